@@ -109,7 +109,7 @@ const getAllProducts = async (req, res) => {
 // Create new product
 const createProduct = async (req, res) => {
   try {
-    const { title, description, price, stock, tagline, ingredients, category, featured } = req.body;
+    const { title, description, price, stock, weight, tagline, ingredients, category, featured } = req.body;
     
     if (!req.file) {
       return res.status(400).json({
@@ -147,6 +147,7 @@ const createProduct = async (req, res) => {
       description,
       price,
       stock,
+      weight,
       image: req.file.key,
       imageUrl: req.file.location,
       tagline,
@@ -280,7 +280,10 @@ const getProfile = async (req, res) => {
 // Update user profile
 const updateProfile = async (req, res) => {
   try {
-    const { name, email, firstName, lastName, phone, dateOfBirth, gender, dietaryPreferences, allergies } = req.body;
+    const {
+      name, email, firstName, lastName, phone, dateOfBirth, gender,
+      dietaryPreferences, allergies, emailPreferences
+    } = req.body;
     const userId = req.user._id;
 
     // Build update object
@@ -294,6 +297,15 @@ const updateProfile = async (req, res) => {
     if (gender !== undefined) updateData.gender = gender;
     if (dietaryPreferences !== undefined) updateData.dietaryPreferences = Array.isArray(dietaryPreferences) ? dietaryPreferences : [];
     if (allergies !== undefined) updateData.allergies = Array.isArray(allergies) ? allergies : [];
+    if (emailPreferences?.orderUpdates !== undefined) {
+      if (typeof emailPreferences.orderUpdates !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'emailPreferences.orderUpdates must be true or false'
+        });
+      }
+      updateData['emailPreferences.orderUpdates'] = emailPreferences.orderUpdates;
+    }
 
     // Check if email is already taken by another user
     if (email) {
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Cart = require('../Models/Cart');
+const Product = require('../Models/Product');
+const { roundCurrency } = require('../utils/orderPricing');
+
+// Guest carts are identified by an opaque ID the client keeps (header or body)
+const getGuestId = (req) => {
+  const guestId = req.headers['x-guest-cart-id'] || req.body?.guestId || req.query.guestId;
+  return typeof guestId === 'string' && guestId.trim() ? guestId.trim() : null;
+};
+
+// Find the cart for the logged in user or the guest ID
+const findCart = async (req) => {
+  if (req.user) {
+    return Cart.findOne({ user: req.user._id });
+  }
+
+  const guestId = getGuestId(req);
+  return guestId ? Cart.findOne({ guestId }) : null;
+};
+
+const findOrCreateCart = async (req) => {
+  const cart = await findCart(req);
+  if (cart) return cart;
+
+  if (req.user) {
+    return new Cart({ user: req.user._id, items: [] });
+  }
+
+  return new Cart({ guestId: getGuestId(req) || crypto.randomUUID(), items: [] });
+};
+
+// Shape a cart for the response using current product prices
+const formatCart = async (cart) => {
+  if (!cart) {
+    return { items: [], itemCount: 0, subtotal: 0 };
+  }
+
+  const productIds = cart.items.map(item => item.product);
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  const items = cart.items.map(item => {
+    const product = productMap.get(item.product.toString());
+    const available = !!product && product.status === 'active';
+
+    return {
+      product: item.product,
+      name: product?.title || null,
+      image: product?.imageUrl || null,
+      category: product?.category || null,
+      price: product?.price || 0,
+      quantity: item.quantity,
+      lineTotal: available ? roundCurrency(product.price * item.quantity) : 0,
+      stock: product?.stock ?? 0,
+      available
+    };
+  });
+
+  return {
+    _id: cart._id,
+    guestId: cart.guestId,
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: roundCurrency(items.reduce((sum, item) => sum + item.lineTotal, 0)),
+    updatedAt: cart.updatedAt
+  };
+};
+
+// Get current cart
+const getCart = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+
+    res.json({
+      success: true,
+      cart: await formatCart(cart)
+    });
+
+  } catch (error) {
+    console.error('Error getting cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cart',
+      error: error.message
+    });
+  }
+};
+
+// Add product to cart
+const addToCart = async (req, res) => {
+  try {
+    const { productId } = req.body;
+    const quantity = parseInt(req.body.quantity) || 1;
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid product ID is required'
+      });
+    }
+
+    if (quantity <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be greater than 0'
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product || product.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found or no longer available'
+      });
+    }
+
+    const cart = await findOrCreateCart(req);
+    cart.addItem(product._id, quantity);
+    await cart.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Product added to cart',
+      cart: await formatCart(cart)
+    });
+
+  } catch (error) {
+    console.error('Error adding to cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding product to cart',
+      error: error.message
+    });
+  }
+};
+
+// Update quantity of a product in cart (0 removes it)
+const updateCartItem = async (req, res) => {
+  try {
+    const quantity = parseInt(req.body.quantity);
+
+    if (isNaN(quantity) || quantity < 0 || quantity > Cart.MAX_ITEM_QUANTITY) {
+      return res.status(400).json({
+        success: false,
+        message: `Quantity must be between 0 and ${Cart.MAX_ITEM_QUANTITY}`
+      });
+    }
+
+    const cart = await findCart(req);
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found'
+      });
+    }
+
+    const updated = quantity === 0
+      ? cart.removeItem(req.params.productId)
+      : cart.setItemQuantity(req.params.productId, quantity);
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product is not in the cart'
+      });
+    }
+
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Cart updated',
+      cart: await formatCart(cart)
+    });
+
+  } catch (error) {
+    console.error('Error updating cart item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating cart',
+      error: error.message
+    });
+  }
+};
+
+// Remove product from cart
+const removeCartItem = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+
+    if (!cart || !cart.removeItem(req.params.productId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product is not in the cart'
+      });
+    }
+
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Product removed from cart',
+      cart: await formatCart(cart)
+    });
+
+  } catch (error) {
+    console.error('Error removing cart item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing product from cart',
+      error: error.message
+    });
+  }
+};
+
+// Empty the cart
+const clearCart = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Cart cleared',
+      cart: await formatCart(cart)
+    });
+
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing cart',
+      error: error.message
+    });
+  }
+};
+
+// Merge guest cart into the user's cart after login
+const mergeGuestCart = async (req, res) => {
+  try {
+    const guestId = getGuestId(req);
+
+    if (!guestId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Guest cart ID is required'
+      });
+    }
+
+    const cart = await findOrCreateCart(req);
+    const guestCart = await Cart.findOne({ guestId });
+
+    if (guestCart) {
+      cart.mergeItems(guestCart.items);
+      await cart.save();
+      await Cart.deleteOne({ _id: guestCart._id });
+      console.log(`Merged guest cart ${guestId} into cart of user ${req.user._id}`);
+    }
+
+    res.json({
+      success: true,
+      message: guestCart ? 'Guest cart merged successfully' : 'No guest cart found to merge',
+      cart: await formatCart(cart)
+    });
+
+  } catch (error) {
+    console.error('Error merging guest cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error merging guest cart',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeGuestCart
+};
@@ -0,0 +1,304 @@
+const mongoose = require('mongoose');
+const Coupon = require('../Models/Coupon');
+const Cart = require('../Models/Cart');
+const { priceOrderItems } = require('../utils/orderPricing');
+const { validateCoupon } = require('../utils/couponEngine');
+
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'appliesTo', 'firstOrderOnly', 'minimumBasket',
+  'applicableProducts', 'applicableCategories', 'usageLimit', 'usageLimitPerUser',
+  'startsAt', 'expiresAt', 'isActive', 'subscriptionDuration', 'subscriptionDurationInMonths'
+];
+
+// Fields that change the Stripe coupon and therefore need a new one
+const STRIPE_COUPON_FIELDS = ['type', 'value', 'subscriptionDuration', 'subscriptionDurationInMonths'];
+
+// Check a code at checkout and show the discount it would give
+const validateCouponCode = async (req, res) => {
+  try {
+    const { code, shippingPrice, isSubscription } = req.body;
+    let { orderItems } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code is required'
+      });
+    }
+
+    if (!orderItems || orderItems.length === 0) {
+      const cart = await Cart.findOne({ user: req.user._id });
+      orderItems = cart ? cart.items : [];
+    }
+
+    const { orderItems: pricedItems, itemsPrice, errors } = await priceOrderItems(orderItems);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some order items are invalid',
+        errors
+      });
+    }
+
+    const result = await validateCoupon(code, {
+      userId: req.user._id,
+      orderItems: pricedItems,
+      itemsPrice,
+      shippingPrice: Number(shippingPrice) || 0,
+      isSubscription: !!isSubscription
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon applied',
+      itemsPrice,
+      discount: result.discount
+    });
+
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error validating coupon',
+      error: error.message
+    });
+  }
+};
+
+// Get all coupons (admin only)
+const getCoupons = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    if (req.query.search) filter.code = { $regex: req.query.search, $options: 'i' };
+
+    const [coupons, totalCoupons] = await Promise.all([
+      Coupon.find(filter)
+        .select('-redemptions')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Coupon.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      coupons,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCoupons / limit),
+        totalCoupons,
+        hasNextPage: page < Math.ceil(totalCoupons / limit),
+        hasPrevPage: page > 1,
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting coupons:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupons',
+      error: error.message
+    });
+  }
+};
+
+// Get single coupon with its redemptions (admin only)
+const getCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coupon ID format'
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('redemptions.user', 'name email')
+      .populate('applicableProducts', 'title category');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      coupon
+    });
+
+  } catch (error) {
+    console.error('Error getting coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupon',
+      error: error.message
+    });
+  }
+};
+
+// Create coupon (admin only)
+const createCoupon = async (req, res) => {
+  try {
+    if (!req.body.code || !req.body.type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code and type are required'
+      });
+    }
+
+    const couponData = {};
+    for (const field of COUPON_FIELDS) {
+      if (req.body[field] !== undefined) couponData[field] = req.body[field];
+    }
+
+    const coupon = await Coupon.create(couponData);
+
+    console.log(`Coupon created: ${coupon.code}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      coupon
+    });
+
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating coupon',
+      error: error.message
+    });
+  }
+};
+
+// Update coupon (admin only)
+const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    for (const field of COUPON_FIELDS) {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    }
+
+    // Stripe coupons are immutable - a new one is created on next use
+    if (STRIPE_COUPON_FIELDS.some(field => coupon.isModified(field))) {
+      coupon.stripeCouponId = null;
+    }
+
+    const updatedCoupon = await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      coupon: updatedCoupon
+    });
+
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating coupon',
+      error: error.message
+    });
+  }
+};
+
+// Delete coupon (admin only) - used coupons are deactivated to keep order history intact
+const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+
+      return res.json({
+        success: true,
+        message: 'Coupon has been used and was deactivated instead of deleted'
+      });
+    }
+
+    await Coupon.deleteOne({ _id: coupon._id });
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting coupon',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  validateCouponCode,
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
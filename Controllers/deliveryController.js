@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const ShippingZone = require('../Models/ShippingZone');
+const DeliveryBlackout = require('../Models/DeliveryBlackout');
+const Order = require('../Models/Order');
+const {
+  SLOT_DAYS_AHEAD,
+  startOfDay,
+  getAvailableSlots,
+  getSlotRange,
+  getSlotUtilization
+} = require('../utils/deliverySlots');
+
+// Delivery slots customers can pick for an address. Query: country, postalCode
+const getDeliverySlots = async (req, res) => {
+  try {
+    const { country, postalCode } = req.query;
+
+    if (!country || !postalCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shipping country and postal code are required'
+      });
+    }
+
+    const zone = await ShippingZone.findForAddress({ country, postalCode });
+    if (!zone) {
+      return res.status(400).json({
+        success: false,
+        message: 'We do not deliver to this address yet'
+      });
+    }
+
+    // Courier zones don't take a slot at checkout
+    const scheduled = zone.getActiveWindows().length > 0;
+    const slots = scheduled ? await getAvailableSlots(zone) : [];
+
+    res.json({
+      success: true,
+      zone: {
+        id: zone._id,
+        name: zone.name
+      },
+      scheduled,
+      daysAhead: SLOT_DAYS_AHEAD,
+      slots
+    });
+
+  } catch (error) {
+    console.error('Error getting delivery slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching delivery slots',
+      error: error.message
+    });
+  }
+};
+
+// Booked places against capacity per slot (admin only). Query: from, to, zone
+const getDeliveryUtilization = async (req, res) => {
+  try {
+    const range = getSlotRange({ from: req.query.from, to: req.query.to });
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    if (req.query.zone && !mongoose.Types.ObjectId.isValid(req.query.zone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid shipping zone ID format'
+      });
+    }
+
+    const utilization = await getSlotUtilization(range, req.query.zone || null);
+
+    res.json({
+      success: true,
+      ...utilization
+    });
+
+  } catch (error) {
+    console.error('Error getting delivery utilization:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching delivery slot utilization',
+      error: error.message
+    });
+  }
+};
+
+// List blackout dates, upcoming ones by default (admin only). Query: from, to, zone
+const getBlackouts = async (req, res) => {
+  try {
+    const filter = {
+      date: { $gte: startOfDay(req.query.from ? new Date(req.query.from) : new Date()) }
+    };
+    if (req.query.to) filter.date.$lte = startOfDay(new Date(req.query.to));
+    if (isNaN(filter.date.$gte.getTime()) || (filter.date.$lte && isNaN(filter.date.$lte.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+    if (req.query.zone) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.zone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid shipping zone ID format'
+        });
+      }
+      // Blackouts for every zone apply to this one too
+      filter.zone = { $in: [req.query.zone, null] };
+    }
+
+    const blackouts = await DeliveryBlackout.find(filter)
+      .populate('zone', 'name')
+      .populate('createdBy', 'name')
+      .sort({ date: 1 });
+
+    res.json({
+      success: true,
+      count: blackouts.length,
+      blackouts
+    });
+
+  } catch (error) {
+    console.error('Error getting blackout dates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching blackout dates',
+      error: error.message
+    });
+  }
+};
+
+// Stop deliveries on a day (admin only). Body: { date, zone (omit for every zone), reason }.
+// Orders already booked on that day are returned so they can be rescheduled.
+const createBlackout = async (req, res) => {
+  try {
+    const { date, zone, reason } = req.body;
+
+    const day = startOfDay(date ? new Date(date) : NaN);
+    if (!date || isNaN(day.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date is required'
+      });
+    }
+    if (day < startOfDay(new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Blackout dates cannot be in the past'
+      });
+    }
+
+    if (zone) {
+      if (!mongoose.Types.ObjectId.isValid(zone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid shipping zone ID format'
+        });
+      }
+      if (!await ShippingZone.exists({ _id: zone })) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shipping zone not found'
+        });
+      }
+    }
+
+    const blackout = await DeliveryBlackout.create({
+      date: day,
+      zone: zone || null,
+      reason,
+      createdBy: req.user._id
+    });
+
+    const affectedFilter = { 'deliverySlot.status': 'booked', 'deliverySlot.date': day };
+    if (zone) affectedFilter['shippingMethod.zone'] = zone;
+    const affectedOrders = await Order.find(affectedFilter)
+      .select('user status deliverySlot shippingMethod.zoneName')
+      .populate('user', 'name email');
+
+    console.log(`Delivery blackout added for ${day.toISOString().slice(0, 10)} (${zone || 'all zones'}) - ${affectedOrders.length} orders booked`);
+
+    res.status(201).json({
+      success: true,
+      message: affectedOrders.length > 0
+        ? `Blackout added - ${affectedOrders.length} booked orders need rescheduling`
+        : 'Blackout added successfully',
+      blackout,
+      affectedOrders
+    });
+
+  } catch (error) {
+    console.error('Error creating blackout date:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This day is already blacked out'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating blackout date',
+      error: error.message
+    });
+  }
+};
+
+// Reopen a blacked out day (admin only)
+const deleteBlackout = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid blackout ID format'
+      });
+    }
+
+    const blackout = await DeliveryBlackout.findByIdAndDelete(req.params.id);
+
+    if (!blackout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blackout date not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Blackout removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting blackout date:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting blackout date',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDeliverySlots,
+  getDeliveryUtilization,
+  getBlackouts,
+  createBlackout,
+  deleteBlackout
+};
@@ -0,0 +1,644 @@
+const mongoose = require('mongoose');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const GiftSubscription = require('../Models/GiftSubscription');
+const Order = require('../Models/Order');
+const Subscription = require('../Models/Subscription');
+const Plan = require('../Models/Plan');
+const User = require('../Models/Users');
+const { priceOrderItems, roundCurrency } = require('../utils/orderPricing');
+const { reserveStock, restockItems } = require('../utils/inventory');
+const { buildSelection } = require('../utils/mealSelection');
+const { sendOrderNotification } = require('../utils/orderNotifications');
+const { stripeIdempotencyOptions } = require('../Middleware/IdempotencyMiddleware');
+const {
+  getOrCreateStripeCustomer,
+  resolvePaymentMethod,
+  setDefaultPaymentMethod
+} = require('../utils/paymentMethods');
+const {
+  MAX_GIFT_CYCLES,
+  markGiftPaid,
+  markGiftPaymentFailed,
+  getPaidStartDate,
+  sendGiftEndingPrompt
+} = require('../utils/giftSubscriptions');
+
+// Purchaser facing shape of a gift (the claim secret never leaves the server)
+const formatGift = (gift) => {
+  const { claimTokenHash, ...rest } = gift.toObject();
+  return rest;
+};
+
+// Look up an active plan by ID or slug
+const findActivePlan = async ({ planId, plan }) => {
+  const found = planId
+    ? (mongoose.Types.ObjectId.isValid(planId) ? await Plan.findById(planId) : null)
+    : await Plan.findOne({ slug: (plan || '').toString().toLowerCase() });
+  return found && found.isActive ? found : null;
+};
+
+// Buy N deliveries of a plan for someone else.
+// Body: { planId or plan, recurrence, cycles, recipientEmail, recipientName, message,
+//         paymentMethodId or setupIntentId }
+const purchaseGift = async (req, res) => {
+  try {
+    const { recurrence, recipientEmail, recipientName, message, paymentMethodId, setupIntentId } = req.body;
+    const cycles = parseInt(req.body.cycles);
+
+    if (!recipientEmail || !recurrence) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recipient email and recurrence are required'
+      });
+    }
+
+    if (!Number.isInteger(cycles) || cycles < 1 || cycles > MAX_GIFT_CYCLES) {
+      return res.status(400).json({
+        success: false,
+        message: `A gift can include between 1 and ${MAX_GIFT_CYCLES} deliveries`
+      });
+    }
+
+    const plan = await findActivePlan(req.body);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription plan not found'
+      });
+    }
+
+    const option = plan.getRecurrenceOption(recurrence);
+    if (!option) {
+      return res.status(400).json({
+        success: false,
+        message: `${plan.name} is not available with ${recurrence} delivery`
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const { paymentMethod, error: paymentMethodError } = await resolvePaymentMethod(user, { paymentMethodId, setupIntentId });
+    if (paymentMethodError) {
+      return res.status(400).json({
+        success: false,
+        message: paymentMethodError
+      });
+    }
+
+    const pricePerCycle = plan.getOptionPrice(option);
+    const gift = new GiftSubscription({
+      purchaser: user._id,
+      recipientEmail,
+      recipientName,
+      message,
+      plan: plan._id,
+      planName: plan.name,
+      recurrence,
+      recurrenceLabel: option.label || Plan.DEFAULT_RECURRENCE_LABELS[recurrence],
+      cycles,
+      pricePerCycle,
+      amount: roundCurrency(pricePerCycle * cycles),
+      currency: plan.currency
+    });
+    await gift.save();
+
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: Math.round(gift.amount * 100),
+        currency: gift.currency,
+        payment_method: paymentMethod.id,
+        // Saved cards can only be charged together with their customer
+        ...(paymentMethod.customer && { customer: paymentMethod.customer }),
+        confirmation_method: 'manual',
+        confirm: true,
+        return_url: `${process.env.FRONTEND_URL || 'http://localhost:3001'}/gifts/${gift._id}`,
+        metadata: {
+          giftId: gift._id.toString(),
+          userId: user._id.toString(),
+          orderType: 'gift'
+        },
+        description: `Gift: ${cycles} x ${plan.name} for ${gift.recipientEmail}`
+      }, stripeIdempotencyOptions(req, 'gift_payment_intent'));
+    } catch (stripeError) {
+      gift.status = 'payment_failed';
+      await gift.save();
+      console.error('Gift payment failed:', stripeError.message);
+      return res.status(402).json({
+        success: false,
+        message: 'Payment failed',
+        error: stripeError.message
+      });
+    }
+
+    gift.paymentIntent = { id: paymentIntent.id, status: paymentIntent.status };
+
+    if (paymentIntent.status === 'succeeded') {
+      await markGiftPaid(gift, paymentIntent);
+    } else if (paymentIntent.status === 'requires_action') {
+      await gift.save();
+      return res.status(201).json({
+        success: true,
+        requiresAction: true,
+        clientSecret: paymentIntent.client_secret,
+        message: 'Additional authentication required',
+        gift: formatGift(gift)
+      });
+    } else {
+      await markGiftPaymentFailed(gift, paymentIntent);
+      return res.status(402).json({
+        success: false,
+        message: `Payment ${paymentIntent.status.replace(/_/g, ' ')}`,
+        gift: formatGift(gift)
+      });
+    }
+
+    console.log(`Gift ${gift._id} purchased by ${user._id} for ${gift.recipientEmail}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Gift sent to ${gift.recipientEmail}`,
+      gift: formatGift(gift)
+    });
+
+  } catch (error) {
+    console.error('Error purchasing gift:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error purchasing gift',
+      error: error.message
+    });
+  }
+};
+
+// Get the gifts the user has bought
+const getMyGifts = async (req, res) => {
+  try {
+    const gifts = await GiftSubscription.find({ purchaser: req.user._id })
+      .select('-claimTokenHash')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      gifts
+    });
+
+  } catch (error) {
+    console.error('Error getting gifts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching gifts',
+      error: error.message
+    });
+  }
+};
+
+// Finish a gift payment after 3D Secure. The payment intent is confirmed by the
+// server, so the purchaser calls this once the authentication is done.
+const confirmGiftPayment = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid gift ID format'
+      });
+    }
+
+    const gift = await GiftSubscription.findOne({ _id: req.params.id, purchaser: req.user._id });
+    if (!gift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift not found'
+      });
+    }
+    if (['paid', 'claimed'].includes(gift.status)) {
+      return res.json({
+        success: true,
+        message: 'Gift already paid',
+        gift: formatGift(gift)
+      });
+    }
+    if (gift.status !== 'pending_payment' || !gift.paymentIntent?.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'This gift has no payment waiting to be completed'
+      });
+    }
+
+    let paymentIntent = await stripe.paymentIntents.retrieve(gift.paymentIntent.id);
+    if (paymentIntent.status === 'requires_confirmation') {
+      try {
+        paymentIntent = await stripe.paymentIntents.confirm(paymentIntent.id, {
+          return_url: `${process.env.FRONTEND_URL || 'http://localhost:3001'}/gifts/${gift._id}`
+        });
+      } catch (stripeError) {
+        if (stripeError.type !== 'StripeCardError') throw stripeError;
+        await markGiftPaymentFailed(gift, stripeError.payment_intent || paymentIntent);
+        return res.status(402).json({
+          success: false,
+          message: 'Payment failed',
+          error: stripeError.message
+        });
+      }
+    }
+
+    if (paymentIntent.status === 'succeeded') {
+      await markGiftPaid(gift, paymentIntent);
+      console.log(`Gift ${gift._id} paid after authentication`);
+      return res.json({
+        success: true,
+        message: `Gift sent to ${gift.recipientEmail}`,
+        gift: formatGift(await GiftSubscription.findById(gift._id))
+      });
+    }
+
+    if (['requires_action', 'processing'].includes(paymentIntent.status)) {
+      gift.paymentIntent.status = paymentIntent.status;
+      await gift.save();
+      return res.json({
+        success: true,
+        requiresAction: paymentIntent.status === 'requires_action',
+        clientSecret: paymentIntent.status === 'requires_action' ? paymentIntent.client_secret : undefined,
+        message: paymentIntent.status === 'requires_action'
+          ? 'Additional authentication required'
+          : 'Payment is processing',
+        gift: formatGift(gift)
+      });
+    }
+
+    await markGiftPaymentFailed(gift, paymentIntent);
+    res.status(402).json({
+      success: false,
+      message: `Payment ${paymentIntent.status.replace(/_/g, ' ')}`,
+      gift: formatGift(gift)
+    });
+
+  } catch (error) {
+    console.error('Error confirming gift payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming gift payment',
+      error: error.message
+    });
+  }
+};
+
+// Show a gift from its claim link, with what the recipient can choose
+const getGiftClaim = async (req, res) => {
+  try {
+    const gift = await GiftSubscription.findByClaimToken(req.params.token)
+      .populate('purchaser', 'name')
+      .populate('plan', 'name description imageUrl maxProducts eligibleCategories');
+
+    if (!gift || !['paid', 'claimed'].includes(gift.status)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift not found or link is invalid'
+      });
+    }
+
+    res.json({
+      success: true,
+      gift: {
+        _id: gift._id,
+        from: gift.purchaser?.name,
+        recipientName: gift.recipientName,
+        message: gift.message,
+        plan: gift.plan,
+        recurrence: gift.recurrence,
+        recurrenceLabel: gift.recurrenceLabel,
+        cycles: gift.cycles,
+        isClaimed: gift.status === 'claimed'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting gift claim:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching gift',
+      error: error.message
+    });
+  }
+};
+
+// Claim a gift: starts a prepaid subscription for the logged-in recipient.
+// Body: { shippingAddress, selectedProducts: [{ product, quantity }] }
+const claimGift = async (req, res) => {
+  try {
+    const { shippingAddress, selectedProducts } = req.body;
+
+    if (!shippingAddress?.address || !shippingAddress.city || !shippingAddress.postalCode || !shippingAddress.country) {
+      return res.status(400).json({
+        success: false,
+        message: 'A complete shipping address is required'
+      });
+    }
+    if (!Array.isArray(selectedProducts) || selectedProducts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose the meals for your box'
+      });
+    }
+
+    const gift = await GiftSubscription.findByClaimToken(req.params.token);
+    if (!gift || !['paid', 'claimed'].includes(gift.status)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift not found or link is invalid'
+      });
+    }
+    if (gift.status === 'claimed') {
+      return res.status(409).json({
+        success: false,
+        message: 'This gift has already been claimed'
+      });
+    }
+
+    const plan = await Plan.findById(gift.plan);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'The plan for this gift is no longer available'
+      });
+    }
+
+    const selection = await buildSelection({ maxProducts: plan.maxProducts, plan: plan._id }, selectedProducts);
+    if (selection.error) {
+      return res.status(400).json({
+        success: false,
+        message: selection.error,
+        errors: selection.errors
+      });
+    }
+    const { orderItems, itemsPrice } = await priceOrderItems(selectedProducts);
+
+    // Only one claim can win
+    const claimed = await GiftSubscription.findOneAndUpdate(
+      { _id: gift._id, status: 'paid' },
+      { $set: { status: 'claimed', claimedBy: req.user._id, claimedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This gift has already been claimed'
+      });
+    }
+
+    let subscription;
+    let order;
+    let reservation = null;
+    try {
+      subscription = new Subscription({
+        orderItems,
+        user: req.user._id,
+        shippingAddress,
+        itemsPrice,
+        taxPrice: 0,
+        shippingPrice: 0,
+        plan: plan._id,
+        gift: gift._id,
+        subscriptionType: plan.slug,
+        subscriptionName: plan.name,
+        subscriptionPrice: gift.pricePerCycle,
+        maxProducts: plan.maxProducts,
+        recurrence: gift.recurrence,
+        recurrenceLabel: gift.recurrenceLabel,
+        selectedProducts: selection.products,
+        billingCycle: 1,
+        totalBillingCycles: gift.cycles,
+        prepaidCycles: gift.cycles,
+        currentBillingCycle: 1,
+        subscriptionStatus: 'active',
+        notes: `Gift subscription (${gift.cycles} prepaid deliveries)`
+      });
+      await subscription.save();
+
+      // The first box goes out straight away
+      order = new Order({
+        orderItems,
+        user: req.user._id,
+        shippingAddress,
+        itemsPrice,
+        taxPrice: 0,
+        shippingPrice: 0,
+        totalPrice: gift.pricePerCycle,
+        isSubscription: true,
+        subscription: subscription._id,
+        subscriptionCycle: 1,
+        status: 'Payment_Confirmed',
+        isPaid: true,
+        paidAt: gift.paidAt,
+        paymentResult: {
+          id: gift.paymentIntent?.id,
+          status: gift.paymentIntent?.status,
+          updateTime: new Date().toISOString()
+        },
+        notes: subscription.notes,
+        statusHistory: [{
+          status: 'Payment_Confirmed',
+          timestamp: new Date(),
+          note: 'Gift subscription claimed',
+          updatedBy: req.user._id
+        }]
+      });
+
+      reservation = await reserveStock(orderItems);
+      if (reservation.success) {
+        order.inventory = { status: 'committed', reservedAt: new Date(), committedAt: new Date() };
+      } else {
+        order.adminNotes = `Stock shortfall: ${reservation.outOfStock.map(item => item.message).join('; ')}`;
+      }
+
+      await order.save();
+    } catch (error) {
+      // Give the gift and the reserved stock back so it can be claimed again
+      if (reservation?.success) {
+        await restockItems(orderItems);
+      }
+      if (subscription && !subscription.isNew) {
+        await Subscription.deleteOne({ _id: subscription._id });
+      }
+      await GiftSubscription.updateOne(
+        { _id: gift._id },
+        { $set: { status: 'paid', claimedBy: null, claimedAt: null } }
+      );
+      throw error;
+    }
+
+    claimed.subscription = subscription._id;
+    await claimed.save();
+
+    sendOrderNotification(order, 'paid');
+    if (gift.cycles === 1) sendGiftEndingPrompt(subscription);
+
+    console.log(`Gift ${gift._id} claimed by ${req.user._id} - subscription ${subscription._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Gift claimed - your first box is being prepared',
+      subscription: {
+        ...subscription.toObject(),
+        billingInfo: subscription.billingInfo
+      },
+      order: {
+        ...order.toObject(),
+        trackingStage: order.getTrackingStage()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error claiming gift:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error claiming gift',
+      error: error.message
+    });
+  }
+};
+
+// Turn a gift subscription into a paid one. Stripe starts billing once the
+// prepaid deliveries have been used up.
+// Body: { paymentMethodId or setupIntentId }
+const continueGiftSubscription = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid subscription ID format'
+      });
+    }
+
+    const subscription = await Subscription.findById(req.params.id);
+
+    if (!subscription || !subscription.gift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift subscription not found'
+      });
+    }
+    if (subscription.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change this subscription'
+      });
+    }
+    if (subscription.stripeSubscriptionId) {
+      return res.status(409).json({
+        success: false,
+        message: 'This subscription has already been continued'
+      });
+    }
+    if (!['active', 'expired'].includes(subscription.subscriptionStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This subscription can no longer be continued'
+      });
+    }
+
+    const plan = await Plan.findById(subscription.plan);
+    const option = plan?.isActive ? plan.getRecurrenceOption(subscription.recurrence) : null;
+    if (!option?.stripePriceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This plan is no longer available - please choose a new subscription'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const customerId = await getOrCreateStripeCustomer(user, stripeIdempotencyOptions(req, 'customer'));
+    const { paymentMethod, error: paymentMethodError } = await resolvePaymentMethod(user, req.body);
+    if (paymentMethodError) {
+      return res.status(400).json({
+        success: false,
+        message: paymentMethodError
+      });
+    }
+    await setDefaultPaymentMethod(customerId, paymentMethod);
+
+    const paidStartDate = getPaidStartDate(subscription);
+
+    let stripeSubscription;
+    try {
+      stripeSubscription = await stripe.subscriptions.create({
+        customer: customerId,
+        items: [{ price: option.stripePriceId }],
+        default_payment_method: paymentMethod.id,
+        // Nothing is charged until the prepaid deliveries run out
+        trial_end: Math.floor(paidStartDate.getTime() / 1000),
+        metadata: {
+          userId: user._id.toString(),
+          subscriptionType: plan.slug,
+          subscriptionName: plan.name,
+          planId: plan._id.toString(),
+          giftId: subscription.gift.toString()
+        }
+      }, stripeIdempotencyOptions(req, 'gift_subscription'));
+    } catch (stripeError) {
+      console.error('Error creating Stripe subscription for gift:', stripeError);
+      return res.status(400).json({
+        success: false,
+        message: 'Error setting up your subscription with Stripe',
+        error: stripeError.message
+      });
+    }
+
+    const wasExpired = subscription.subscriptionStatus === 'expired';
+    subscription.stripeSubscriptionId = stripeSubscription.id;
+    subscription.stripeCustomerId = customerId;
+    subscription.stripePriceId = option.stripePriceId;
+    subscription.subscriptionPrice = plan.getOptionPrice(option);
+    subscription.totalBillingCycles = null;
+    subscription.subscriptionStatus = 'active';
+    if (wasExpired) subscription.nextBillingDate = paidStartDate;
+
+    const updatedSubscription = await subscription.save();
+
+    console.log(`Gift subscription ${subscription._id} continued as ${stripeSubscription.id}, billing from ${paidStartDate.toISOString()}`);
+
+    res.json({
+      success: true,
+      message: 'Your subscription will continue after your gift',
+      paidFrom: paidStartDate,
+      subscription: {
+        ...updatedSubscription.toObject(),
+        billingInfo: updatedSubscription.billingInfo
+      }
+    });
+
+  } catch (error) {
+    console.error('Error continuing gift subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error continuing subscription',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  purchaseGift,
+  getMyGifts,
+  confirmGiftPayment,
+  getGiftClaim,
+  claimGift,
+  continueGiftSubscription
+};
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const {
+  getKitchenRange,
+  getProductionReport,
+  getPackingSlips,
+  productionReportCsv,
+  packingSlipsCsv,
+  renderProductionReportPdf,
+  renderPackingSlipsPdf
+} = require('../utils/kitchenReports');
+
+const FORMATS = ['json', 'csv', 'pdf'];
+
+// Check the shared report query (date or from/to, zone, format).
+// Returns { error } or { range, zone, format }.
+const parseReportQuery = (query) => {
+  const format = (query.format || 'json').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    return { error: `format must be one of: ${FORMATS.join(', ')}` };
+  }
+
+  if (query.zone && !mongoose.Types.ObjectId.isValid(query.zone)) {
+    return { error: 'Invalid shipping zone ID format' };
+  }
+
+  const range = getKitchenRange({ date: query.date, from: query.from, to: query.to });
+  if (range.error) return { error: range.error };
+
+  return { range, zone: query.zone || null, format };
+};
+
+const getFilename = (name, { from, to }) => {
+  const fromDay = from.toISOString().slice(0, 10);
+  const toDay = to.toISOString().slice(0, 10);
+  return fromDay === toDay ? `${name}-${fromDay}` : `${name}-${fromDay}-to-${toDay}`;
+};
+
+const sendFile = (res, format, filename, body) => {
+  res.setHeader('Content-Type', format === 'pdf' ? 'application/pdf' : 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.send(body);
+};
+
+// Portions per product and ingredients to cook by delivery day (admin only).
+// Query: date or from/to, zone, format (json, csv or pdf)
+const getKitchenProduction = async (req, res) => {
+  try {
+    const query = parseReportQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        message: query.error
+      });
+    }
+
+    const report = await getProductionReport(query.range, query.zone);
+    const filename = getFilename('kitchen-production', query.range);
+
+    if (query.format === 'csv') return sendFile(res, 'csv', filename, productionReportCsv(report));
+    if (query.format === 'pdf') return sendFile(res, 'pdf', filename, await renderProductionReportPdf(report));
+
+    res.json({
+      success: true,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Error generating production report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating production report',
+      error: error.message
+    });
+  }
+};
+
+// Packing slip for every order going out in the range (admin only).
+// Query: date or from/to, zone, format (json, csv or pdf)
+const getKitchenPackingSlips = async (req, res) => {
+  try {
+    const query = parseReportQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        message: query.error
+      });
+    }
+
+    const packing = await getPackingSlips(query.range, query.zone);
+    const filename = getFilename('packing-slips', query.range);
+
+    if (query.format === 'csv') return sendFile(res, 'csv', filename, packingSlipsCsv(packing));
+    if (query.format === 'pdf') return sendFile(res, 'pdf', filename, await renderPackingSlipsPdf(packing));
+
+    res.json({
+      success: true,
+      ...packing
+    });
+
+  } catch (error) {
+    console.error('Error generating packing slips:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating packing slips',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getKitchenProduction,
+  getKitchenPackingSlips
+};
@@ -1,18 +1,73 @@
+const mongoose = require('mongoose');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const Order = require('../Models/Order');
+const Subscription = require('../Models/Subscription');
 const User = require('../Models/Users');
 const Review = require('../Models/Review');
+const Cart = require('../Models/Cart');
+const StripeEvent = require('../Models/StripeEvent');
+const Plan = require('../Models/Plan');
+const ShippingZone = require('../Models/ShippingZone');
+const { priceOrderItems, roundCurrency } = require('../utils/orderPricing');
+const { calculateTax } = require('../utils/taxCalculator');
+const { resolveShipping } = require('../utils/shippingCalculator');
+const {
+  validateCoupon,
+  redeemCoupon,
+  reclaimCouponRedemption,
+  releaseCouponRedemption,
+  getStripeCouponId
+} = require('../utils/couponEngine');
+const {
+  reserveStock,
+  restockItems,
+  releaseStock
+} = require('../utils/inventory');
+const { transitionOrder } = require('../utils/orderStateMachine');
+const { sendOrderNotification, queueOrderNotification } = require('../utils/orderNotifications');
+const { generateInvoicePdf } = require('../utils/invoiceGenerator');
+const { stripeIdempotencyOptions } = require('../Middleware/IdempotencyMiddleware');
+const {
+  getOrCreateStripeCustomer,
+  resolvePaymentMethod,
+  setDefaultPaymentMethod
+} = require('../utils/paymentMethods');
+const { UNPAID_STATUSES, getPaymentExpiry } = require('../utils/abandonedOrders');
+const {
+  SELECTION_CUTOFF_HOURS,
+  MAX_CYCLES_AHEAD,
+  buildSelection,
+  getSelectionWindow
+} = require('../utils/mealSelection');
+const { createCycleOrder } = require('../utils/subscriptionOrders');
+const {
+  bookDeliverySlot,
+  releaseSlotBooking,
+  releaseDeliverySlot
+} = require('../utils/deliverySlots');
+const { processRecurringBilling: syncSubscriptionStatuses } = require('../utils/subscriptionCron');
+const { getReportRange, getSubscriptionMetrics } = require('../utils/subscriptionAnalytics');
+const {
+  getSkipWindow,
+  validateHoldDates,
+  scheduleHold,
+  cancelHold
+} = require('../utils/subscriptionHolds');
+const { startDunning, recordDunningRecovery } = require('../utils/dunning');
+const GiftSubscription = require('../Models/GiftSubscription');
+const { markGiftPaid, markGiftPaymentFailed } = require('../utils/giftSubscriptions');
+const {
+  getRefundablePayment,
+  calculateLineRefund,
+  createStripeRefund,
+  recordRefund
+} = require('../utils/refunds');
 
 const createOrder = async (req, res) => {
   try {
     const {
-      orderItems,
       shippingAddress,
       paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
       paymentDetails,
       notes,
       // Subscription fields
@@ -25,11 +80,21 @@ const createOrder = async (req, res) => {
       recurrenceLabel,
       selectedProducts,
       billingCycle,
-      totalBillingCycles
+      totalBillingCycles,
+      preferredDeliveryDay
     } = req.body;
 
+    // Items come from the request (product + quantity only) or the user's saved cart
+    let requestedItems = req.body.orderItems;
+    let fromCart = false;
+    if (!requestedItems || requestedItems.length === 0) {
+      const cart = await Cart.findOne({ user: req.user._id });
+      requestedItems = cart ? cart.items : [];
+      fromCart = true;
+    }
+
     // Enhanced validation checks
-    if (!orderItems || orderItems.length === 0) {
+    if (!requestedItems || requestedItems.length === 0) {
       return res.status(400).json({ 
         success: false,
         message: 'No order items provided' 
@@ -37,7 +102,7 @@ const createOrder = async (req, res) => {
     }
 
     if (!shippingAddress || !shippingAddress.address || !shippingAddress.city || 
-        !shippingAddress.postalCode) {
+        !shippingAddress.postalCode || !shippingAddress.country) {
       return res.status(400).json({ 
         success: false,
         message: 'Complete shipping address is required' 
@@ -51,73 +116,184 @@ const createOrder = async (req, res) => {
       });
     }
 
-    if (!totalPrice || totalPrice <= 0) {
+    // Build order items and totals from current product prices
+    const { orderItems, itemsPrice, errors: itemErrors } = await priceOrderItems(requestedItems);
+
+    if (itemErrors.length > 0) {
       return res.status(400).json({ 
         success: false,
-        message: 'Total price must be greater than 0' 
+        message: 'Some order items are invalid',
+        errors: itemErrors
       });
     }
 
-    // Validate order items structure
-    for (const item of orderItems) {
-      if (!item.name || !item.price || !item.quantity || !item.product) {
-        return res.status(400).json({ 
-          success: false,
-          message: 'Each order item must have name, price, quantity, and product ID' 
-        });
-      }
-      if (item.quantity <= 0) {
+    const shipping = await resolveShipping(orderItems, itemsPrice, shippingAddress, req.body.shippingRateId);
+    if (shipping.error) {
+      return res.status(400).json({ 
+        success: false,
+        message: shipping.error 
+      });
+    }
+    const { shippingPrice, shippingMethod } = shipping;
+
+    // Zones with delivery windows need a slot; it is booked once stock is held
+    const shippingZone = await ShippingZone.findById(shippingMethod.zone);
+    const requiresSlot = !!shippingZone && shippingZone.getActiveWindows().length > 0;
+    if (requiresSlot && (!req.body.deliverySlot?.date || !req.body.deliverySlot?.windowId)) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Choose a delivery slot (date and windowId) for this address' 
+      });
+    }
+
+    if (isSubscription && preferredDeliveryDay !== undefined && preferredDeliveryDay !== null &&
+        !(Number.isInteger(preferredDeliveryDay) && preferredDeliveryDay >= 0 && preferredDeliveryDay <= 6)) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Preferred delivery day must be a weekday number from 0 (Sunday) to 6 (Saturday)' 
+      });
+    }
+
+    // Apply coupon code if one was entered
+    let coupon = null;
+    let discount = null;
+    let lineDiscounts = {};
+    if (req.body.couponCode) {
+      const couponResult = await validateCoupon(req.body.couponCode, {
+        userId: req.user._id,
+        orderItems,
+        itemsPrice,
+        shippingPrice,
+        isSubscription: !!isSubscription
+      });
+      if (couponResult.error) {
         return res.status(400).json({ 
           success: false,
-          message: 'Order item quantity must be greater than 0' 
+          message: couponResult.error 
         });
       }
+      ({ coupon, discount, lineDiscounts } = couponResult);
+    }
+    const discountPrice = discount ? discount.amount : 0;
+
+    const { taxPrice, taxBreakdown, taxJurisdiction } = await calculateTax(orderItems, shippingAddress, lineDiscounts);
+    const totalPrice = roundCurrency(itemsPrice + taxPrice + shippingPrice - discountPrice);
+
+    if (totalPrice <= 0) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Total price must be greater than 0' 
+      });
     }
 
-    // Validate subscription fields if it's a subscription order
+    // Subscriptions are bought from a catalog plan or built as a custom box
+    let subscriptionPlan = { plan: null, option: null };
     if (isSubscription) {
-      if (!subscriptionType || !subscriptionName || !recurrence) {
+      subscriptionPlan = await resolveSubscriptionPlan(req.body, orderItems);
+      if (subscriptionPlan.error) {
         return res.status(400).json({ 
           success: false,
-          message: 'Subscription type, name, and recurrence are required for subscription orders' 
+          message: subscriptionPlan.error 
         });
       }
     }
 
-    if (!paymentDetails) {
+    if (!paymentDetails || (!paymentDetails.paymentMethodId && !paymentDetails.setupIntentId)) {
       return res.status(400).json({ 
         success: false,
-        message: 'Payment details are required' 
+        message: 'A Stripe paymentMethodId or setupIntentId is required in paymentDetails' 
       });
     }
 
-    const { cardNumber, expiryMonth, expiryYear, cvc, cardHolderName } = paymentDetails;
+    console.log(`Creating ${isSubscription ? 'subscription' : 'one-time'} order for user: ${req.user._id}`);
+
+    const user = await User.findById(req.user._id);
 
-    if (!cardNumber || !expiryMonth || !expiryYear || !cvc) {
+    const { paymentMethod: stripePaymentMethod, error: paymentMethodError } = await resolvePaymentMethod(user, paymentDetails);
+    if (paymentMethodError) {
       return res.status(400).json({ 
         success: false,
-        message: 'Card number, expiry month, expiry year, and CVC are required' 
+        message: paymentMethodError 
       });
     }
 
-    console.log(`Creating ${isSubscription ? 'subscription' : 'one-time'} order for user: ${req.user._id}`);
+    // Hold stock for every line before any payment is attempted
+    const reservation = await reserveStock(orderItems);
+    if (!reservation.success) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some items in your order are out of stock',
+        outOfStock: reservation.outOfStock
+      });
+    }
 
-    const user = await User.findById(req.user._id);
+    let deliverySlot = null;
+    if (requiresSlot) {
+      const booking = await bookDeliverySlot(shippingZone, req.body.deliverySlot);
+      if (booking.error) {
+        await restockItems(orderItems);
+        return res.status(booking.full ? 409 : 400).json({
+          success: false,
+          message: booking.error
+        });
+      }
+      deliverySlot = booking.deliverySlot;
+    }
+
+    // Take the coupon use up front; the limits are only enforced atomically here
+    const orderId = new mongoose.Types.ObjectId();
+    if (discount && !await redeemCoupon(discount.coupon, req.user._id, orderId, discount.amount)) {
+      await restockItems(orderItems);
+      await releaseSlotBooking(deliverySlot);
+      return res.status(409).json({
+        success: false,
+        message: 'This coupon has reached its usage limit'
+      });
+    }
 
     try {
       if (isSubscription) {
         // Handle Subscription Order with Stripe Subscription
-        return await createSubscriptionOrder(req, res, {
-          orderItems, shippingAddress, paymentMethod, itemsPrice, taxPrice,
-          shippingPrice, totalPrice, paymentDetails, notes, subscriptionType,
-          subscriptionName, subscriptionPrice, maxProducts, recurrence,
-          recurrenceLabel, selectedProducts, billingCycle, totalBillingCycles, user
-        });
+        try {
+          const { plan, option } = subscriptionPlan;
+          return await createSubscriptionOrder(req, res, {
+            orderId, orderItems, shippingAddress, paymentMethod, itemsPrice, taxPrice,
+            taxBreakdown, taxJurisdiction, shippingPrice, shippingMethod, totalPrice,
+            discount, discountPrice, coupon, paymentDetails, stripePaymentMethod, notes, subscriptionType,
+            subscriptionName, subscriptionPrice, maxProducts, recurrence,
+            recurrenceLabel, selectedProducts, billingCycle, totalBillingCycles, user, fromCart,
+            deliverySlot, preferredDeliveryDay,
+            // Custom boxes bill what their items cost and hold that many products
+            ...(!plan && {
+              subscriptionPrice: roundCurrency(totalPrice + discountPrice),
+              maxProducts: orderItems.reduce((sum, item) => sum + item.quantity, 0)
+            }),
+            // Plan settings win over anything the client sent
+            ...(plan && {
+              plan,
+              planPriceId: option.stripePriceId,
+              subscriptionType: plan.slug,
+              subscriptionName: plan.name,
+              subscriptionPrice: plan.getOptionPrice(option),
+              maxProducts: plan.maxProducts,
+              recurrenceLabel: option.label || Plan.DEFAULT_RECURRENCE_LABELS[recurrence],
+              billingCycle: 1
+            })
+          });
+        } catch (subscriptionError) {
+          // No order was stored, so give the reserved stock, slot and coupon use straight back
+          await restockItems(orderItems);
+          await releaseSlotBooking(deliverySlot);
+          await releaseCouponRedemption({ _id: orderId, discount });
+          throw subscriptionError;
+        }
       } else {
         // Handle One-time Order with Stripe Payment Intent
         return await createOneTimeOrder(req, res, {
-          orderItems, shippingAddress, paymentMethod, itemsPrice, taxPrice,
-          shippingPrice, totalPrice, paymentDetails, notes, user
+          orderId, orderItems, shippingAddress, paymentMethod, itemsPrice, taxPrice,
+          taxBreakdown, taxJurisdiction, shippingPrice, shippingMethod, totalPrice,
+          discount, discountPrice, paymentDetails, stripePaymentMethod, notes, user, fromCart,
+          deliverySlot
         });
       }
     } catch (stripeError) {
@@ -159,21 +335,20 @@ const createOrder = async (req, res) => {
 // Get subscription analytics (admin only)
 const getSubscriptionAnalytics = async (req, res) => {
   try {
-    const totalSubscriptions = await Order.countDocuments({ isSubscription: true });
-    const activeSubscriptions = await Order.countDocuments({ 
-      isSubscription: true, 
-      subscriptionStatus: 'active' 
-    });
-    const pausedSubscriptions = await Order.countDocuments({ 
-      isSubscription: true, 
-      subscriptionStatus: 'paused' 
-    });
-    const cancelledSubscriptions = await Order.countDocuments({ 
-      isSubscription: true, 
-      subscriptionStatus: 'cancelled' 
-    });
+    const range = getReportRange({ from: req.query.from, to: req.query.to });
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const totalSubscriptions = await Subscription.countDocuments();
+    const activeSubscriptions = await Subscription.countDocuments({ subscriptionStatus: 'active' });
+    const pausedSubscriptions = await Subscription.countDocuments({ subscriptionStatus: 'paused' });
+    const cancelledSubscriptions = await Subscription.countDocuments({ subscriptionStatus: 'cancelled' });
 
-    // Get revenue analytics
+    // Get revenue analytics from the delivery orders
     const monthlyRevenue = await Order.aggregate([
       {
         $match: {
@@ -194,10 +369,7 @@ const getSubscriptionAnalytics = async (req, res) => {
     ]);
 
     // Get subscription types distribution
-    const subscriptionTypes = await Order.aggregate([
-      {
-        $match: { isSubscription: true }
-      },
+    const subscriptionTypes = await Subscription.aggregate([
       {
         $group: {
           _id: '$subscriptionType',
@@ -214,7 +386,8 @@ const getSubscriptionAnalytics = async (req, res) => {
         pausedSubscriptions,
         cancelledSubscriptions,
         monthlyRevenue: monthlyRevenue[0] || { totalRevenue: 0, averageOrderValue: 0 },
-        subscriptionTypes
+        subscriptionTypes,
+        metrics: await getSubscriptionMetrics(range)
       }
     });
 
@@ -231,36 +404,64 @@ const getSubscriptionAnalytics = async (req, res) => {
 // Create Stripe Subscription for recurring billing
 const createStripeSubscription = async (req, res) => {
   try {
-    const { email, name, priceId, paymentMethodId } = req.body;
+    const { priceId, paymentMethodId, setupIntentId, couponCode } = req.body;
 
     // Validate required fields
-    if (!email || !name || !priceId || !paymentMethodId) {
+    if (!priceId || (!paymentMethodId && !setupIntentId)) {
       return res.status(400).json({
-        error: 'Missing required fields: email, name, priceId, and paymentMethodId are required'
+        error: 'Missing required fields: priceId and paymentMethodId or setupIntentId are required'
       });
     }
 
-    // 1. Create or retrieve customer
-    let customer;
-    const existingCustomers = await stripe.customers.list({ email, limit: 1 });
-    if (existingCustomers.data.length > 0) {
-      customer = existingCustomers.data[0];
-    } else {
-      customer = await stripe.customers.create({
-        email,
-        name,
-        payment_method: paymentMethodId,
-        invoice_settings: { default_payment_method: paymentMethodId }
+    // Only prices of active catalog plans can be subscribed to
+    const plan = await Plan.findOne({ isActive: true, 'recurrenceOptions.stripePriceId': priceId });
+    if (!plan) {
+      return res.status(400).json({
+        error: 'Invalid price ID. Choose a plan from GET /api/orders/plans.'
+      });
+    }
+
+    // Validate coupon against the plan price before touching the customer
+    let couponResult = null;
+    if (couponCode) {
+      const stripePrice = await stripe.prices.retrieve(priceId);
+      couponResult = await validateCoupon(couponCode, {
+        userId: req.user._id,
+        itemsPrice: (stripePrice.unit_amount || 0) / 100,
+        isSubscription: true
       });
+      if (couponResult.error) {
+        return res.status(400).json({ error: couponResult.error });
+      }
+    }
+
+    // 1. Get the user's customer and make the card its default
+    const customerId = await getOrCreateStripeCustomer(req.user, stripeIdempotencyOptions(req, 'customer'));
+    const { paymentMethod, error: paymentMethodError } = await resolvePaymentMethod(req.user, { paymentMethodId, setupIntentId });
+    if (paymentMethodError) {
+      return res.status(400).json({ error: paymentMethodError });
     }
+    await setDefaultPaymentMethod(customerId, paymentMethod);
 
     // 2. Create subscription
-    const subscription = await stripe.subscriptions.create({
-      customer: customer.id,
+    const subscriptionData = {
+      customer: customerId,
       items: [{ price: priceId }],
       payment_settings: { payment_method_types: ['card'], save_default_payment_method: 'on_subscription' },
       expand: ['latest_invoice.payment_intent'],
-    });
+    };
+
+    if (couponResult) {
+      subscriptionData.discounts = [{ coupon: await getStripeCouponId(couponResult.coupon, couponResult.discount) }];
+    }
+
+    const subscription = await stripe.subscriptions.create(subscriptionData, stripeIdempotencyOptions(req, 'subscription'));
+
+    // The first invoice is still unpaid, so a coupon that ran out meanwhile cancels the subscription
+    if (couponResult && !await redeemCoupon(couponResult.coupon._id, req.user._id, null, couponResult.discount.amount)) {
+      await stripe.subscriptions.cancel(subscription.id);
+      return res.status(409).json({ error: 'This coupon has reached its usage limit' });
+    }
 
     // 3. Return client secret for first payment
     res.json({
@@ -287,37 +488,6 @@ const createStripeSubscription = async (req, res) => {
   }
 };
 
-// Plan config using environment variables or fallback to placeholder IDs
-const plans = {
-  basic: { 
-    priceId: process.env.STRIPE_BASIC_PRICE_ID || 'price_1RhXyIP1U1i66wzc1xXX3d8k', 
-    name: 'Basic Subscription', 
-    amount: 50 
-  },
-  premium: { 
-    priceId: process.env.STRIPE_PREMIUM_PRICE_ID || 'price_1RhXyoP1U1i66wzcyJqee0gD', 
-    name: 'Premium Subscription', 
-    amount: 75 
-  }
-};
-
-const getPlans = (req, res) => {
-  // Check if we have valid price IDs
-  const missingPriceIds = Object.entries(plans)
-    .filter(([key, plan]) => !plan.priceId)
-    .map(([key]) => key);
-  
-  if (missingPriceIds.length > 0) {
-    console.warn(`⚠️  WARNING: Missing Stripe price IDs for: ${missingPriceIds.join(', ')}. Please set STRIPE_BASIC_PRICE_ID and STRIPE_PREMIUM_PRICE_ID environment variables.`);
-  }
-  
-  res.json({ 
-    plans,
-    warning: missingPriceIds.length > 0 ? `Missing price IDs for: ${missingPriceIds.join(', ')}. Set environment variables for production.` : null,
-    configured: missingPriceIds.length === 0
-  });
-};
-
 // Get subscription details by ID
 const getSubscriptionById = async (req, res) => {
   try {
@@ -330,10 +500,9 @@ const getSubscriptionById = async (req, res) => {
       });
     }
 
-    const subscription = await Order.findById(req.params.id)
+    const subscription = await Subscription.findById(req.params.id)
       .populate('user', 'name email')
-      .populate('orderItems.product', 'name image')
-      .populate('statusHistory.updatedBy', 'name');
+      .populate('orderItems.product', 'name image');
 
     if (!subscription) {
       console.log('Subscription not found');
@@ -343,13 +512,6 @@ const getSubscriptionById = async (req, res) => {
       });
     }
 
-    if (!subscription.isSubscription) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'This is not a subscription order' 
-      });
-    }
-
     // Check authorization
     if (subscription.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
       return res.status(403).json({ 
@@ -376,6 +538,12 @@ const getSubscriptionById = async (req, res) => {
       }
     }
 
+    // Most recent deliveries generated for this subscription
+    const deliveries = await Order.find({ subscription: subscription._id })
+      .select('subscriptionCycle status totalPrice isPaid isDelivered deliveredAt tracking createdAt')
+      .sort({ subscriptionCycle: -1 })
+      .limit(10);
+
     console.log('Subscription found and authorized');
 
     res.json({
@@ -383,7 +551,11 @@ const getSubscriptionById = async (req, res) => {
       subscription: {
         ...subscription.toObject(),
         stripeDetails,
-        trackingStage: subscription.getTrackingStage()
+        billingInfo: subscription.billingInfo,
+        deliveries: deliveries.map(delivery => ({
+          ...delivery.toObject(),
+          trackingStage: delivery.getTrackingStage()
+        }))
       }
     });
 
@@ -401,9 +573,9 @@ const getSubscriptionById = async (req, res) => {
 // Update subscription details
 const updateSubscription = async (req, res) => {
   try {
-    const { shippingAddress, selectedProducts, notes } = req.body;
+    const { shippingAddress, selectedProducts, notes, preferredDeliveryDay, preferredDeliveryWindow } = req.body;
     
-    const subscription = await Order.findById(req.params.id);
+    const subscription = await Subscription.findById(req.params.id);
 
     if (!subscription) {
       return res.status(404).json({ 
@@ -412,13 +584,6 @@ const updateSubscription = async (req, res) => {
       });
     }
 
-    if (!subscription.isSubscription) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'This is not a subscription order' 
-      });
-    }
-
     // Check authorization
     if (subscription.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
       return res.status(403).json({ 
@@ -427,13 +592,49 @@ const updateSubscription = async (req, res) => {
       });
     }
 
+    // The default box must fit the plan
+    if (selectedProducts) {
+      const selection = await buildSelection(subscription, selectedProducts.map(item => ({
+        product: item.product || item._id,
+        quantity: item.quantity
+      })));
+      if (selection.error) {
+        return res.status(400).json({ 
+          success: false,
+          message: selection.error,
+          errors: selection.errors
+        });
+      }
+      subscription.selectedProducts = selection.products;
+    }
+
+    // Deliveries are booked on this weekday from the next cycle (null for any day)
+    if (preferredDeliveryDay !== undefined) {
+      if (preferredDeliveryDay !== null &&
+          !(Number.isInteger(preferredDeliveryDay) && preferredDeliveryDay >= 0 && preferredDeliveryDay <= 6)) {
+        return res.status(400).json({ 
+          success: false,
+          message: 'Preferred delivery day must be a weekday number from 0 (Sunday) to 6 (Saturday)' 
+        });
+      }
+      subscription.preferredDeliveryDay = preferredDeliveryDay;
+    }
+    if (preferredDeliveryWindow !== undefined) {
+      const isValidWindow = preferredDeliveryWindow && String(preferredDeliveryWindow).match(/^[0-9a-fA-F]{24}$/);
+      const zone = isValidWindow && await ShippingZone.findById(subscription.shippingMethod?.zone);
+      if (preferredDeliveryWindow && !zone?.deliveryWindows.id(preferredDeliveryWindow)) {
+        return res.status(400).json({ 
+          success: false,
+          message: 'This delivery window is not available for your address' 
+        });
+      }
+      subscription.preferredDeliveryWindow = preferredDeliveryWindow || null;
+    }
+
     // Update allowed fields
     if (shippingAddress) subscription.shippingAddress = shippingAddress;
-    if (selectedProducts) subscription.selectedProducts = selectedProducts;
     if (notes) subscription.notes = notes;
 
-    subscription.addStatusToHistory('Processing', 'Subscription details updated', req.user._id);
-
     const updatedSubscription = await subscription.save();
 
     res.json({
@@ -441,7 +642,7 @@ const updateSubscription = async (req, res) => {
       message: 'Subscription updated successfully',
       subscription: {
         ...updatedSubscription.toObject(),
-        trackingStage: updatedSubscription.getTrackingStage()
+        billingInfo: updatedSubscription.billingInfo
       }
     });
 
@@ -455,10 +656,10 @@ const updateSubscription = async (req, res) => {
   }
 };
 
-// Get subscription payment history
-const getSubscriptionPaymentHistory = async (req, res) => {
+// Get the box for each upcoming delivery and whether it can still be changed
+const getSubscriptionSelections = async (req, res) => {
   try {
-    const subscription = await Order.findById(req.params.id);
+    const subscription = await Subscription.findById(req.params.id);
 
     if (!subscription) {
       return res.status(404).json({ 
@@ -467,155 +668,570 @@ const getSubscriptionPaymentHistory = async (req, res) => {
       });
     }
 
-    if (!subscription.isSubscription) {
+    if (subscription.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to view this subscription' 
+      });
+    }
+
+    const upcomingCycle = subscription.currentBillingCycle + 1;
+    const cycles = [];
+    for (let cycle = upcomingCycle; cycle < upcomingCycle + MAX_CYCLES_AHEAD; cycle++) {
+      if (subscription.totalBillingCycles && cycle > subscription.totalBillingCycles) break;
+
+      const selection = subscription.cycleSelections.find(entry => entry.billingCycle === cycle);
+      const window = getSelectionWindow(subscription, cycle);
+      cycles.push({
+        billingCycle: cycle,
+        products: selection ? selection.products : subscription.selectedProducts,
+        isCustomized: !!selection,
+        editable: !window.error,
+        cutoff: window.cutoff || null,
+        message: window.error || null
+      });
+    }
+
+    res.json({
+      success: true,
+      maxProducts: subscription.maxProducts,
+      nextBillingDate: subscription.nextBillingDate,
+      cutoffHours: SELECTION_CUTOFF_HOURS,
+      defaultSelection: subscription.selectedProducts,
+      cycles
+    });
+
+  } catch (error) {
+    console.error('Error getting subscription selections:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error fetching subscription selections',
+      error: error.message 
+    });
+  }
+};
+
+// Choose the meals for an upcoming delivery. Body: { products: [{ product, quantity }] };
+// an empty list goes back to the default selection.
+const updateCycleSelection = async (req, res) => {
+  try {
+    const cycle = parseInt(req.params.cycle);
+    const { products } = req.body;
+
+    if (!Array.isArray(products)) {
       return res.status(400).json({ 
         success: false,
-        message: 'This is not a subscription order' 
+        message: 'Products must be a list of { product, quantity }' 
+      });
+    }
+
+    const subscription = await Subscription.findById(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Subscription not found' 
       });
     }
 
-    // Check authorization
     if (subscription.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
       return res.status(403).json({ 
         success: false,
-        message: 'Not authorized to view this subscription payment history' 
+        message: 'Not authorized to update this subscription' 
       });
     }
 
-    // Get additional Stripe invoice data if available
-    let stripeInvoices = [];
-    if (subscription.stripeSubscriptionId) {
-      try {
-        const invoices = await stripe.invoices.list({
-          subscription: subscription.stripeSubscriptionId,
-          limit: 100
+    const window = getSelectionWindow(subscription, cycle);
+    if (window.error) {
+      return res.status(window.locked ? 409 : 400).json({ 
+        success: false,
+        message: window.error 
+      });
+    }
+
+    subscription.cycleSelections = subscription.cycleSelections.filter(entry => entry.billingCycle !== cycle);
+
+    if (products.length > 0) {
+      const selection = await buildSelection(subscription, products);
+      if (selection.error) {
+        return res.status(400).json({ 
+          success: false,
+          message: selection.error,
+          errors: selection.errors
         });
-        stripeInvoices = invoices.data;
-      } catch (stripeError) {
-        console.error('Error fetching Stripe invoices:', stripeError);
       }
+
+      subscription.cycleSelections.push({
+        billingCycle: cycle,
+        products: selection.products,
+        updatedAt: new Date(),
+        updatedBy: req.user._id
+      });
     }
 
-    // Combine local payment history with Stripe data
-    const paymentHistory = subscription.paymentHistory.map(payment => {
-      const stripeInvoice = stripeInvoices.find(invoice => 
-        invoice.id === payment.stripeInvoiceId || 
-        invoice.payment_intent === payment.stripePaymentIntentId
-      );
-      
-      return {
-        ...payment.toObject(),
-        stripeInvoice: stripeInvoice ? {
-          id: stripeInvoice.id,
-          number: stripeInvoice.number,
-          status: stripeInvoice.status,
-          amount_paid: stripeInvoice.amount_paid,
-          currency: stripeInvoice.currency,
-          created: new Date(stripeInvoice.created * 1000),
-          due_date: stripeInvoice.due_date ? new Date(stripeInvoice.due_date * 1000) : null,
-          period_start: stripeInvoice.period_start ? new Date(stripeInvoice.period_start * 1000) : null,
-          period_end: stripeInvoice.period_end ? new Date(stripeInvoice.period_end * 1000) : null
-        } : null
-      };
-    });
+    // Past cycles are no longer needed
+    subscription.cycleSelections = subscription.cycleSelections.filter(entry =>
+      entry.billingCycle > subscription.currentBillingCycle
+    );
+
+    await subscription.save();
+
+    console.log(`Selection for cycle ${cycle} of subscription ${subscription._id} updated`);
 
     res.json({
       success: true,
-      paymentHistory: paymentHistory.sort((a, b) => new Date(b.paidAt) - new Date(a.paidAt)),
-      subscription: {
-        id: subscription._id,
-        subscriptionName: subscription.subscriptionName,
-        subscriptionPrice: subscription.subscriptionPrice,
-        currentBillingCycle: subscription.currentBillingCycle,
-        totalBillingCycles: subscription.totalBillingCycles,
-        subscriptionStatus: subscription.subscriptionStatus,
-        nextBillingDate: subscription.nextBillingDate
-      }
+      message: products.length > 0 ? 'Delivery updated successfully' : 'Delivery reset to your default selection',
+      billingCycle: cycle,
+      products: products.length > 0
+        ? subscription.cycleSelections.find(entry => entry.billingCycle === cycle).products
+        : subscription.selectedProducts,
+      cutoff: window.cutoff
     });
 
   } catch (error) {
-    console.error('Error getting subscription payment history:', error);
+    console.error('Error updating cycle selection:', error);
     res.status(500).json({ 
       success: false,
-      message: 'Error fetching subscription payment history',
+      message: 'Error updating delivery selection',
       error: error.message 
     });
   }
 };
 
+// Work out a move to another catalog plan. The new plan has to offer the
+// subscription's recurrence and fit its chosen boxes.
+// Returns { error, status } or { subscription, plan, option, price, stripeSubscription, item }.
+const resolvePlanChange = async (req) => {
+  const { planId, plan: planSlug } = { ...req.query, ...req.body };
 
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    return { status: 400, error: 'Invalid subscription ID format' };
+  }
 
-// Helper function to create one-time order
-const createOneTimeOrder = async (req, res, orderData) => {
-  const {
-    orderItems, shippingAddress, paymentMethod, itemsPrice, taxPrice,
-    shippingPrice, totalPrice, paymentDetails, notes, user
-  } = orderData;
+  const subscription = await Subscription.findById(req.params.id);
 
-  const { paymentMethodId: frontendPaymentMethodId, cardNumber, expiryMonth, expiryYear, cvc, cardHolderName } = paymentDetails;
+  if (!subscription) {
+    return { status: 404, error: 'Subscription not found' };
+  }
+  if (subscription.user.toString() !== req.user._id.toString()) {
+    return { status: 403, error: 'Not authorized to change this subscription' };
+  }
+  if (subscription.subscriptionStatus !== 'active' || !subscription.stripeSubscriptionId) {
+    return { status: 400, error: 'Only active subscriptions can change plan' };
+  }
+  if ((subscription.billingCycle || 1) !== 1) {
+    return { status: 400, error: 'This subscription cannot be moved onto a catalog plan' };
+  }
+  if (!planId && (!planSlug || planSlug === 'custom')) {
+    return { status: 400, error: 'Choose the plan to change to' };
+  }
 
-  // Clean card number for display purposes
-  const cleanCardNumber = cardNumber ? cardNumber.replace(/\s/g, '') : '4242424242424242';
+  // Every box still to be delivered has to fit the new plan
+  const boxes = [subscription.selectedProducts, ...subscription.cycleSelections.map(entry => entry.products)]
+    .filter(products => products && products.length > 0);
+  const boxItems = [];
+  for (const products of boxes) {
+    const { orderItems } = await priceOrderItems(
+      products.map(product => ({ product: product._id, quantity: product.quantity }))
+    );
+    boxItems.push(orderItems);
+  }
+  if (boxItems.length === 0) boxItems.push(subscription.orderItems);
 
-  // Create the order first
-  const orderDbData = {
-    orderItems,
-    user: req.user._id,
-    shippingAddress,
-    paymentMethod: paymentMethod.toLowerCase(),
-    itemsPrice: itemsPrice || 0,
-    taxPrice: taxPrice || 0,
-    shippingPrice: shippingPrice || 0,
-    totalPrice,
-    status: 'Pending',
-    notes,
-    isSubscription: false,
-    paymentType: 'online',
-    statusHistory: [{
-      status: 'Pending',
-      timestamp: new Date(),
-      note: 'Order placed successfully',
-      updatedBy: req.user._id
-    }]
-  };
+  let target = null;
+  for (const items of boxItems) {
+    target = await resolveSubscriptionPlan(
+      { planId, subscriptionType: planSlug, recurrence: subscription.recurrence },
+      items
+    );
+    if (target.error) {
+      return { status: 400, error: target.error };
+    }
+  }
 
-  const order = await Order.create(orderDbData);
-  console.log(`One-time order created with ID: ${order._id}`);
+  const { plan, option } = target;
+  if (subscription.plan && subscription.plan.toString() === plan._id.toString()) {
+    return { status: 400, error: `You are already subscribed to ${plan.name}` };
+  }
 
-  // Use the payment method ID from frontend or fallback to test method
-  const paymentMethodId = frontendPaymentMethodId || 'pm_card_visa';
-  
-  // Create payment intent for one-time payment
-  const paymentIntent = await stripe.paymentIntents.create({
-    amount: Math.round(totalPrice * 100),
-    currency: process.env.STRIPE_CURRENCY || 'usd',
-    payment_method: paymentMethodId,
-    confirmation_method: 'manual',
-    confirm: true,
-    return_url: `${process.env.FRONTEND_URL || 'http://localhost:3001'}/order-success`,
-    metadata: {
-      orderId: order._id.toString(),
-      userId: req.user._id.toString(),
-      userEmail: user?.email || '',
-      cardLast4: cleanCardNumber.slice(-4),
-      orderType: 'one_time'
-    },
-    description: `One-time Order #${order._id} - ${orderItems.length} items`,
-    shipping: {
-      name: cardHolderName || user?.name || 'Customer',
-      address: {
-        line1: shippingAddress.address,
-        city: shippingAddress.city,
-        postal_code: shippingAddress.postalCode,
-        country: shippingAddress.country || 'US',
-      },
-    },
-  });
+  const stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripeSubscriptionId);
+  const item = stripeSubscription.items.data[0];
+  if (!item) {
+    return { status: 400, error: 'Stripe subscription has no items to change' };
+  }
 
-  console.log(`Payment Intent created: ${paymentIntent.id}, Status: ${paymentIntent.status}`);
+  return { subscription, plan, option, price: plan.getOptionPrice(option), stripeSubscription, item };
+};
 
-  // Update order with payment details
-  order.paymentIntent = {
+// Proration lines on a Stripe invoice (the flag moved under parent in newer API versions)
+const isProrationLine = (line) => !!(line.proration ?? line.parent?.subscription_item_details?.proration);
+
+// Show what changing plan would cost before the customer confirms.
+// Query: planId or plan (slug). The returned prorationDate should be sent back
+// on confirmation so the charge matches the preview.
+const previewPlanChange = async (req, res) => {
+  try {
+    const change = await resolvePlanChange(req);
+    if (change.error) {
+      return res.status(change.status).json({ 
+        success: false,
+        message: change.error 
+      });
+    }
+
+    const { subscription, plan, option, price, stripeSubscription, item } = change;
+    const prorationDate = Math.floor(Date.now() / 1000);
+
+    const preview = await stripe.invoices.createPreview({
+      customer: stripeSubscription.customer,
+      subscription: stripeSubscription.id,
+      subscription_details: {
+        items: [{ id: item.id, price: option.stripePriceId }],
+        proration_behavior: 'create_prorations',
+        proration_date: prorationDate
+      }
+    });
+
+    const prorationLines = preview.lines.data.filter(isProrationLine);
+    const prorationAmount = roundCurrency(prorationLines.reduce((sum, line) => sum + line.amount, 0) / 100);
+
+    res.json({
+      success: true,
+      preview: {
+        currentPlan: {
+          id: subscription.plan,
+          name: subscription.subscriptionName,
+          price: subscription.subscriptionPrice,
+          maxProducts: subscription.maxProducts
+        },
+        newPlan: {
+          id: plan._id,
+          name: plan.name,
+          slug: plan.slug,
+          price,
+          maxProducts: plan.maxProducts,
+          recurrenceLabel: option.label
+        },
+        isUpgrade: price > subscription.subscriptionPrice,
+        prorationDate,
+        prorationAmount,
+        prorationLines: prorationLines.map(line => ({
+          description: line.description,
+          amount: roundCurrency(line.amount / 100)
+        })),
+        nextInvoiceTotal: roundCurrency(preview.total / 100),
+        nextInvoiceDate: preview.next_payment_attempt
+          ? new Date(preview.next_payment_attempt * 1000)
+          : subscription.nextBillingDate,
+        currency: preview.currency
+      }
+    });
+
+  } catch (error) {
+    console.error('Error previewing plan change:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error previewing plan change',
+      error: error.message 
+    });
+  }
+};
+
+// Move the subscription to another plan. Stripe prorates the rest of the
+// current period onto the next invoice.
+// Body: { planId or plan, prorationDate (from the preview) }
+const changeSubscriptionPlan = async (req, res) => {
+  try {
+    const change = await resolvePlanChange(req);
+    if (change.error) {
+      return res.status(change.status).json({ 
+        success: false,
+        message: change.error 
+      });
+    }
+
+    const { subscription, plan, option, price, stripeSubscription, item } = change;
+
+    // The preview's proration date keeps the charge identical to what was shown
+    const now = Math.floor(Date.now() / 1000);
+    const periodStart = item.current_period_start ?? stripeSubscription.current_period_start;
+    let prorationDate = now;
+    if (req.body.prorationDate !== undefined) {
+      prorationDate = parseInt(req.body.prorationDate);
+      if (!prorationDate || prorationDate > now || (periodStart && prorationDate < periodStart)) {
+        return res.status(400).json({ 
+          success: false,
+          message: 'This preview has expired, please review the change again' 
+        });
+      }
+    }
+
+    let updatedStripeSubscription;
+    try {
+      updatedStripeSubscription = await stripe.subscriptions.update(stripeSubscription.id, {
+        items: [{ id: item.id, price: option.stripePriceId }],
+        proration_behavior: 'create_prorations',
+        proration_date: prorationDate,
+        metadata: {
+          subscriptionType: plan.slug,
+          subscriptionName: plan.name,
+          planId: plan._id.toString()
+        }
+      }, stripeIdempotencyOptions(req, 'change-plan'));
+    } catch (stripeError) {
+      console.error('Error changing Stripe subscription plan:', stripeError);
+      return res.status(400).json({
+        success: false,
+        message: 'Error changing plan with Stripe',
+        error: stripeError.message
+      });
+    }
+
+    // Pending proration items for this change show the amount added to the next invoice
+    let prorationAmount = 0;
+    try {
+      for await (const invoiceItem of stripe.invoiceItems.list({
+        customer: stripeSubscription.customer,
+        pending: true,
+        limit: 100
+      })) {
+        const itemSubscription = invoiceItem.subscription ?? invoiceItem.parent?.subscription_details?.subscription;
+        if (itemSubscription === stripeSubscription.id && isProrationLine(invoiceItem)) {
+          prorationAmount += invoiceItem.amount;
+        }
+      }
+    } catch (stripeError) {
+      console.error('Error reading proration items:', stripeError.message);
+    }
+
+    subscription.planChanges.push({
+      fromPlan: subscription.plan,
+      toPlan: plan._id,
+      fromPrice: subscription.subscriptionPrice,
+      toPrice: price,
+      prorationAmount: roundCurrency(prorationAmount / 100),
+      changedBy: req.user._id
+    });
+    subscription.plan = plan._id;
+    subscription.subscriptionType = plan.slug;
+    subscription.subscriptionName = plan.name;
+    subscription.subscriptionPrice = price;
+    subscription.maxProducts = plan.maxProducts;
+    subscription.recurrenceLabel = option.label;
+    subscription.stripePriceId = option.stripePriceId;
+
+    const updatedSubscription = await subscription.save();
+
+    console.log(`Subscription ${subscription._id} moved to plan ${plan.slug} (${updatedStripeSubscription.id})`);
+
+    res.json({
+      success: true,
+      message: `Your subscription is now ${plan.name}`,
+      prorationAmount: roundCurrency(prorationAmount / 100),
+      subscription: {
+        ...updatedSubscription.toObject(),
+        billingInfo: updatedSubscription.billingInfo
+      }
+    });
+
+  } catch (error) {
+    console.error('Error changing subscription plan:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error changing subscription plan',
+      error: error.message 
+    });
+  }
+};
+
+// Get subscription payment history
+const getSubscriptionPaymentHistory = async (req, res) => {
+  try {
+    const subscription = await Subscription.findById(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Subscription not found' 
+      });
+    }
+
+    // Check authorization
+    if (subscription.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to view this subscription payment history' 
+      });
+    }
+
+    // Get additional Stripe invoice data if available
+    let stripeInvoices = [];
+    if (subscription.stripeSubscriptionId) {
+      try {
+        const invoices = await stripe.invoices.list({
+          subscription: subscription.stripeSubscriptionId,
+          limit: 100
+        });
+        stripeInvoices = invoices.data;
+      } catch (stripeError) {
+        console.error('Error fetching Stripe invoices:', stripeError);
+      }
+    }
+
+    // Combine local payment history with Stripe data
+    const paymentHistory = subscription.paymentHistory.map(payment => {
+      const stripeInvoice = stripeInvoices.find(invoice => 
+        invoice.id === payment.stripeInvoiceId || 
+        invoice.payment_intent === payment.stripePaymentIntentId
+      );
+      
+      return {
+        ...payment.toObject(),
+        stripeInvoice: stripeInvoice ? {
+          id: stripeInvoice.id,
+          number: stripeInvoice.number,
+          status: stripeInvoice.status,
+          amount_paid: stripeInvoice.amount_paid,
+          currency: stripeInvoice.currency,
+          created: new Date(stripeInvoice.created * 1000),
+          due_date: stripeInvoice.due_date ? new Date(stripeInvoice.due_date * 1000) : null,
+          period_start: stripeInvoice.period_start ? new Date(stripeInvoice.period_start * 1000) : null,
+          period_end: stripeInvoice.period_end ? new Date(stripeInvoice.period_end * 1000) : null
+        } : null
+      };
+    });
+
+    res.json({
+      success: true,
+      paymentHistory: paymentHistory.sort((a, b) => new Date(b.paidAt) - new Date(a.paidAt)),
+      subscription: {
+        id: subscription._id,
+        subscriptionName: subscription.subscriptionName,
+        subscriptionPrice: subscription.subscriptionPrice,
+        currentBillingCycle: subscription.currentBillingCycle,
+        totalBillingCycles: subscription.totalBillingCycles,
+        subscriptionStatus: subscription.subscriptionStatus,
+        nextBillingDate: subscription.nextBillingDate,
+        skippedCycles: subscription.skippedCycles
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting subscription payment history:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error fetching subscription payment history',
+      error: error.message 
+    });
+  }
+};
+
+
+
+// Helper function to create one-time order
+const createOneTimeOrder = async (req, res, orderData) => {
+  const {
+    orderId, orderItems, shippingAddress, paymentMethod, itemsPrice, taxPrice,
+    taxBreakdown, taxJurisdiction, shippingPrice, shippingMethod, totalPrice,
+    discount, discountPrice, paymentDetails, stripePaymentMethod, notes, user, fromCart,
+    deliverySlot
+  } = orderData;
+
+  const cardHolderName = paymentDetails.cardHolderName || stripePaymentMethod.billing_details?.name;
+  const cardLast4 = stripePaymentMethod.card?.last4 || '';
+
+  // Create the order first
+  const orderDbData = {
+    _id: orderId,
+    orderItems,
+    user: req.user._id,
+    shippingAddress,
+    paymentMethod: paymentMethod.toLowerCase(),
+    itemsPrice: itemsPrice || 0,
+    taxPrice: taxPrice || 0,
+    taxBreakdown,
+    taxJurisdiction,
+    shippingPrice: shippingPrice || 0,
+    shippingMethod,
+    ...(deliverySlot && { deliverySlot }),
+    tracking: {
+      courier: shippingMethod.courier,
+      estimatedDeliveryDate: deliverySlot?.startsAt
+    },
+    discountPrice,
+    discount,
+    totalPrice,
+    status: 'Pending',
+    notes,
+    isSubscription: false,
+    paymentType: 'online',
+    inventory: {
+      status: 'reserved',
+      reservedAt: new Date()
+    },
+    statusHistory: [{
+      status: 'Pending',
+      timestamp: new Date(),
+      note: 'Order placed successfully',
+      updatedBy: req.user._id
+    }]
+  };
+
+  let order;
+  try {
+    order = await Order.create(orderDbData);
+  } catch (error) {
+    await restockItems(orderItems);
+    await releaseSlotBooking(deliverySlot);
+    await releaseCouponRedemption({ _id: orderId, discount });
+    throw error;
+  }
+  console.log(`One-time order created with ID: ${order._id}`);
+
+  // Create payment intent for one-time payment
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.create({
+      amount: Math.round(totalPrice * 100),
+      currency: process.env.STRIPE_CURRENCY || 'usd',
+      payment_method: stripePaymentMethod.id,
+      // Saved cards can only be charged together with their customer
+      ...(stripePaymentMethod.customer && { customer: stripePaymentMethod.customer }),
+      confirmation_method: 'manual',
+      confirm: true,
+      return_url: `${process.env.FRONTEND_URL || 'http://localhost:3001'}/order-success`,
+      metadata: {
+        orderId: order._id.toString(),
+        userId: req.user._id.toString(),
+        userEmail: user?.email || '',
+        cardLast4,
+        orderType: 'one_time'
+      },
+      description: `One-time Order #${order._id} - ${orderItems.length} items`,
+      shipping: {
+        name: cardHolderName || user?.name || 'Customer',
+        address: {
+          line1: shippingAddress.address,
+          city: shippingAddress.city,
+          postal_code: shippingAddress.postalCode,
+          country: shippingAddress.country || 'US',
+        },
+      },
+    }, stripeIdempotencyOptions(req, 'payment_intent'));
+  } catch (stripeError) {
+    // Declined cards throw instead of returning a failed intent - fail the order and free its stock
+    order.addStatusToHistory('Payment_Failed', `Payment failed: ${stripeError.message}`, req.user._id);
+    await releaseStock(order);
+    await releaseDeliverySlot(order);
+    await releaseCouponRedemption(order);
+    await order.save();
+    throw stripeError;
+  }
+
+  console.log(`Payment Intent created: ${paymentIntent.id}, Status: ${paymentIntent.status}`);
+
+  // Update order with payment details
+  order.paymentIntent = {
     id: paymentIntent.id,
     status: paymentIntent.status,
     clientSecret: paymentIntent.client_secret,
@@ -623,12 +1239,7 @@ const createOneTimeOrder = async (req, res, orderData) => {
 
         // Handle payment status
       if (paymentIntent.status === 'succeeded') {
-        order.isPaid = true;
-        order.paidAt = new Date();
-        order.status = 'Payment_Confirmed';
-        order.statusHistory.push({
-          status: 'Payment_Confirmed',
-          timestamp: new Date(),
+        await transitionOrder(order, 'Payment_Confirmed', {
           note: 'Online payment completed successfully',
           updatedBy: req.user._id
         });
@@ -648,12 +1259,13 @@ const createOneTimeOrder = async (req, res, orderData) => {
           billingCycle: 1,
           stripePaymentIntentId: paymentIntent.id,
           metadata: {
-            cardLast4: cleanCardNumber.slice(-4),
+            cardLast4,
             paymentMethod: 'stripe'
           }
         });
 
         await order.save();
+        if (fromCart) await clearUserCart(req.user._id);
 
     return res.status(201).json({
       success: true,
@@ -664,12 +1276,14 @@ const createOneTimeOrder = async (req, res, orderData) => {
         status: 'succeeded',
         paymentIntentId: paymentIntent.id,
         amount: totalPrice,
-        cardLast4: cleanCardNumber.slice(-4),
+        cardLast4,
       }
     });
 
   } else if (paymentIntent.status === 'requires_action') {
+    queueOrderNotification(order, 'placed');
     await order.save();
+    if (fromCart) await clearUserCart(req.user._id);
 
     return res.status(201).json({
       success: true,
@@ -685,13 +1299,11 @@ const createOneTimeOrder = async (req, res, orderData) => {
     });
 
   } else {
-    order.statusHistory.push({
-      status: 'Payment_Failed',
-      timestamp: new Date(),
-      note: 'Payment was declined or failed',
-      updatedBy: req.user._id
-    });
+    order.addStatusToHistory('Payment_Failed', 'Payment was declined or failed', req.user._id);
     order.paymentIntent.status = paymentIntent.status;
+    await releaseStock(order);
+    await releaseDeliverySlot(order);
+    await releaseCouponRedemption(order);
     await order.save();
 
     return res.status(400).json({
@@ -701,7 +1313,7 @@ const createOneTimeOrder = async (req, res, orderData) => {
       payment: {
         status: paymentIntent.status,
         error: 'Payment was declined or failed',
-        cardLast4: cleanCardNumber.slice(-4),
+        cardLast4,
       }
     });
   }
@@ -710,75 +1322,53 @@ const createOneTimeOrder = async (req, res, orderData) => {
 // Helper function to create subscription order
 const createSubscriptionOrder = async (req, res, orderData) => {
   const {
-    orderItems, shippingAddress, paymentMethod, itemsPrice, taxPrice,
-    shippingPrice, totalPrice, paymentDetails, notes, subscriptionType,
+    orderId, orderItems, shippingAddress, paymentMethod, itemsPrice, taxPrice,
+    taxBreakdown, taxJurisdiction, shippingPrice, shippingMethod, totalPrice,
+    discount, discountPrice, coupon, stripePaymentMethod, notes, subscriptionType,
     subscriptionName, subscriptionPrice, maxProducts, recurrence,
-    recurrenceLabel, selectedProducts, billingCycle, totalBillingCycles, user
+    recurrenceLabel, selectedProducts, billingCycle, totalBillingCycles, user, fromCart,
+    deliverySlot, preferredDeliveryDay, plan = null, planPriceId = null
   } = orderData;
 
-  const { paymentMethodId: frontendPaymentMethodId, cardNumber, expiryMonth, expiryYear, cvc, cardHolderName } = paymentDetails;
-  const cleanCardNumber = cardNumber.replace(/\s/g, '');
+  const cardLast4 = stripePaymentMethod.card?.last4 || '';
 
-  // Create or get Stripe customer
-  let customer;
-  const existingCustomers = await stripe.customers.list({ 
-    email: user.email, 
-    limit: 1 
-  });
+  // Get the user's Stripe customer and make this card its default
+  const customerId = await getOrCreateStripeCustomer(user, stripeIdempotencyOptions(req, 'customer'));
+  await setDefaultPaymentMethod(customerId, stripePaymentMethod);
 
-  if (existingCustomers.data.length > 0) {
-    customer = existingCustomers.data[0];
-  } else {
-    customer = await stripe.customers.create({
-      email: user.email,
-      name: user.name || cardHolderName,
-      metadata: {
-        userId: req.user._id.toString()
-      }
-    });
-  }
+  // The coupon is applied by Stripe, so the recurring price is the undiscounted amount
+  const recurringPrice = subscriptionPrice || roundCurrency(totalPrice + discountPrice);
 
-  // Use the payment method ID from the frontend
-  const paymentMethodId = frontendPaymentMethodId || 'pm_card_visa';
-  
-  // Attach payment method to customer
-  await stripe.paymentMethods.attach(paymentMethodId, {
-    customer: customer.id,
-  });
-
-  // Set as default payment method
-  await stripe.customers.update(customer.id, {
-    invoice_settings: {
-      default_payment_method: paymentMethodId,
-    },
-  });
-
-  // Create or get subscription price
-  const priceData = {
-    unit_amount: Math.round((subscriptionPrice || totalPrice) * 100),
-    currency: process.env.STRIPE_CURRENCY || 'usd',
-    recurring: {
-      interval: getStripeInterval(recurrence),
-      interval_count: billingCycle || 1
-    },
-    product_data: {
-      name: subscriptionName,
+  // Catalog plans bill their own Stripe price; custom boxes get a price of their own
+  let priceId = planPriceId;
+  if (!priceId) {
+    const priceData = {
+      unit_amount: Math.round(recurringPrice * 100),
+      currency: process.env.STRIPE_CURRENCY || 'usd',
+      recurring: {
+        interval: getStripeInterval(recurrence),
+        interval_count: billingCycle || 1
+      },
+      product_data: {
+        name: subscriptionName,
+        metadata: {
+          subscriptionType: subscriptionType
+        }
+      },
       metadata: {
-        subscriptionType: subscriptionType
+        subscriptionType: subscriptionType,
+        userId: req.user._id.toString()
       }
-    },
-    metadata: {
-      subscriptionType: subscriptionType,
-      userId: req.user._id.toString()
-    }
-  };
+    };
 
-  const price = await stripe.prices.create(priceData);
+    const price = await stripe.prices.create(priceData, stripeIdempotencyOptions(req, 'price'));
+    priceId = price.id;
+  }
 
   // Create subscription
   const subscriptionData = {
-    customer: customer.id,
-    items: [{ price: price.id }],
+    customer: customerId,
+    items: [{ price: priceId }],
     payment_settings: {
       payment_method_types: ['card'],
       save_default_payment_method: 'on_subscription'
@@ -787,7 +1377,8 @@ const createSubscriptionOrder = async (req, res, orderData) => {
     metadata: {
       userId: req.user._id.toString(),
       subscriptionType: subscriptionType,
-      subscriptionName: subscriptionName
+      subscriptionName: subscriptionName,
+      planId: plan ? plan._id.toString() : ''
     }
   };
 
@@ -796,89 +1387,205 @@ const createSubscriptionOrder = async (req, res, orderData) => {
     subscriptionData.cancel_at = new Date(Date.now() + (totalBillingCycles * getBillingCycleMs(recurrence, billingCycle)));
   }
 
-  const subscription = await stripe.subscriptions.create(subscriptionData);
+  // Map the coupon onto its Stripe counterpart
+  if (coupon) {
+    discount.stripeCouponId = await getStripeCouponId(coupon, discount);
+    subscriptionData.discounts = [{ coupon: discount.stripeCouponId }];
+  }
 
-  // Create the order in database
-  const orderDbData = {
-    orderItems,
-    user: req.user._id,
-    shippingAddress,
-    paymentMethod: paymentMethod.toLowerCase(),
-    itemsPrice: itemsPrice || 0,
-    taxPrice: taxPrice || 0,
-    shippingPrice: shippingPrice || 0,
-    totalPrice,
-    status: 'Payment_Confirmed',
-    notes,
-    isSubscription: true,
-    subscriptionType,
-    subscriptionName,
-    subscriptionPrice: subscriptionPrice || totalPrice,
-    maxProducts,
-    recurrence,
-    recurrenceLabel,
-    selectedProducts: selectedProducts || [],
-    billingCycle: billingCycle || 1,
-    totalBillingCycles,
-    currentBillingCycle: 1,
-    subscriptionStatus: 'active',
-    paymentType: 'online',
-    isPaid: true,
-    paidAt: new Date(),
-    // Store Stripe subscription details
-    stripeSubscriptionId: subscription.id,
-    stripeCustomerId: customer.id,
-    stripePriceId: price.id,
-    statusHistory: [{
+  const stripeSubscription = await stripe.subscriptions.create(subscriptionData, stripeIdempotencyOptions(req, 'subscription'));
+
+  // Nothing may be left billing in Stripe when the subscription can't be stored
+  let subscription;
+  let order;
+  try {
+    // The subscription holds the plan, schedule and billing; each cycle gets its own delivery order
+    subscription = new Subscription({
+      user: req.user._id,
+      orderItems,
+      shippingAddress,
+      paymentMethod: paymentMethod.toLowerCase(),
+      itemsPrice: itemsPrice || 0,
+      taxPrice: taxPrice || 0,
+      taxBreakdown,
+      taxJurisdiction,
+      shippingPrice: shippingPrice || 0,
+      shippingMethod,
+      // Later deliveries follow the first one unless another weekday was asked for
+      preferredDeliveryDay: preferredDeliveryDay ?? (deliverySlot ? deliverySlot.date.getUTCDay() : null),
+      preferredDeliveryWindow: deliverySlot?.window || null,
+      discount,
+      notes,
+      plan: plan ? plan._id : null,
+      subscriptionType,
+      subscriptionName,
+      subscriptionPrice: recurringPrice,
+      maxProducts,
+      recurrence,
+      recurrenceLabel,
+      selectedProducts: selectedProducts || [],
+      billingCycle: billingCycle || 1,
+      totalBillingCycles,
+      currentBillingCycle: 1,
+      subscriptionStatus: 'active',
+      // Store Stripe subscription details
+      stripeSubscriptionId: stripeSubscription.id,
+      stripeCustomerId: customerId,
+      stripePriceId: priceId
+    });
+
+    // Add initial payment to history
+    const initialPaymentData = {
+      paymentId: stripeSubscription.latest_invoice?.payment_intent?.id || stripeSubscription.id,
+      amount: stripeSubscription.latest_invoice ? stripeSubscription.latest_invoice.amount_due / 100 : recurringPrice,
+      currency: 'usd',
+      status: 'succeeded',
+      billingCycle: 1,
+      stripeInvoiceId: stripeSubscription.latest_invoice?.id,
+      stripePaymentIntentId: stripeSubscription.latest_invoice?.payment_intent?.id,
+      metadata: {
+        cardLast4,
+        paymentMethod: 'stripe',
+        subscriptionId: stripeSubscription.id
+      }
+    };
+
+    console.log('Adding initial payment to history:', initialPaymentData);
+    subscription.addPaymentToHistory(initialPaymentData);
+    await subscription.save();
+
+    // Delivery order for the first cycle
+    const orderDbData = {
+      _id: orderId,
+      orderItems,
+      user: req.user._id,
+      shippingAddress,
+      paymentMethod: paymentMethod.toLowerCase(),
+      itemsPrice: itemsPrice || 0,
+      taxPrice: taxPrice || 0,
+      taxBreakdown,
+      taxJurisdiction,
+      shippingPrice: shippingPrice || 0,
+      shippingMethod,
+      ...(deliverySlot && { deliverySlot }),
+      tracking: {
+        courier: shippingMethod.courier,
+        estimatedDeliveryDate: deliverySlot?.startsAt
+      },
+      discountPrice,
+      discount,
+      totalPrice,
       status: 'Payment_Confirmed',
-      timestamp: new Date(),
-      note: 'Subscription order created and first payment processed',
-      updatedBy: req.user._id
-    }]
-  };
+      notes,
+      isSubscription: true,
+      subscription: subscription._id,
+      subscriptionCycle: 1,
+      paymentType: 'online',
+      isPaid: true,
+      paidAt: new Date(),
+      inventory: {
+        status: 'committed',
+        reservedAt: new Date(),
+        committedAt: new Date()
+      },
+      statusHistory: [{
+        status: 'Payment_Confirmed',
+        timestamp: new Date(),
+        note: 'Subscription order created and first payment processed',
+        updatedBy: req.user._id
+      }]
+    };
 
-  const order = await Order.create(orderDbData);
-  console.log(`Subscription order created with ID: ${order._id}, Stripe Subscription: ${subscription.id}`);
+    order = new Order(orderDbData);
+    queueOrderNotification(order, 'paid');
+    await order.save();
+  } catch (error) {
+    await stripe.subscriptions.cancel(stripeSubscription.id)
+      .catch(cancelError => console.error(`Error cancelling Stripe subscription ${stripeSubscription.id}:`, cancelError));
+    const firstPayment = stripeSubscription.latest_invoice?.payment_intent;
+    if (firstPayment?.status === 'succeeded') {
+      await stripe.refunds.create({ payment_intent: firstPayment.id })
+        .catch(refundError => console.error(`Error refunding payment ${firstPayment.id}:`, refundError));
+    }
+    if (subscription && !subscription.isNew) await Subscription.deleteOne({ _id: subscription._id });
+    throw error;
+  }
 
-  // Add initial payment to history
-  const initialPaymentData = {
-    paymentId: subscription.latest_invoice?.payment_intent?.id || subscription.id,
-    amount: subscriptionPrice || totalPrice,
-    currency: 'usd',
-    status: 'succeeded',
-    billingCycle: 1,
-    stripeInvoiceId: subscription.latest_invoice?.id,
-    stripePaymentIntentId: subscription.latest_invoice?.payment_intent?.id,
-    metadata: {
-      cardLast4: cleanCardNumber.slice(-4),
-      paymentMethod: 'stripe',
-      subscriptionId: subscription.id
-    }
-  };
-  
-  console.log('Adding initial payment to history:', initialPaymentData);
-  order.addPaymentToHistory(initialPaymentData);
+  console.log(`Subscription ${subscription._id} created with first order ${order._id}, Stripe Subscription: ${stripeSubscription.id}`);
 
-  await order.save();
-  console.log(`Subscription order ${order._id} created with initial payment tracked`);
+  if (fromCart) await clearUserCart(req.user._id);
 
   return res.status(201).json({
     success: true,
     message: 'Subscription created successfully! Automatic billing has been set up.',
     order,
     orderId: order._id,
+    subscriptionId: subscription._id,
     subscription: {
-      id: subscription.id,
-      status: subscription.status,
-      current_period_start: new Date(subscription.current_period_start * 1000),
-      current_period_end: new Date(subscription.current_period_end * 1000),
-      amount: subscriptionPrice || totalPrice,
+      id: stripeSubscription.id,
+      status: stripeSubscription.status,
+      current_period_start: new Date(stripeSubscription.current_period_start * 1000),
+      current_period_end: new Date(stripeSubscription.current_period_end * 1000),
+      amount: recurringPrice,
       interval: recurrence,
-      cardLast4: cleanCardNumber.slice(-4),
+      cardLast4,
     }
   });
 };
 
+// Helper function to check a subscription order against its plan. Orders name the
+// plan by planId (or its slug as subscriptionType); 'custom' boxes have no plan.
+// Returns { error } or { plan, option }.
+const resolveSubscriptionPlan = async ({ planId, subscriptionType, subscriptionName, recurrence }, orderItems) => {
+  if (!recurrence) {
+    return { error: 'Recurrence is required for subscription orders' };
+  }
+
+  if (!planId && subscriptionType === 'custom') {
+    if (!subscriptionName) {
+      return { error: 'Subscription name is required for custom subscriptions' };
+    }
+    return { plan: null, option: null };
+  }
+
+  let plan = null;
+  if (planId) {
+    plan = /^[0-9a-fA-F]{24}$/.test(planId) ? await Plan.findById(planId) : null;
+  } else if (subscriptionType) {
+    plan = await Plan.findOne({ slug: subscriptionType.toString().toLowerCase() });
+  }
+
+  if (!plan || !plan.isActive) {
+    return { error: 'Subscription plan not found' };
+  }
+
+  const option = plan.getRecurrenceOption(recurrence);
+  if (!option?.stripePriceId) {
+    return { error: `${plan.name} is not available with ${recurrence} delivery` };
+  }
+
+  const productCount = orderItems.reduce((sum, item) => sum + item.quantity, 0);
+  if (productCount > plan.maxProducts) {
+    return { error: `${plan.name} allows up to ${plan.maxProducts} products per delivery` };
+  }
+
+  const ineligibleItems = orderItems.filter(item => !plan.allowsCategory(item.category));
+  if (ineligibleItems.length > 0) {
+    return { error: `${ineligibleItems.map(item => item.name).join(', ')} cannot be included in ${plan.name}` };
+  }
+
+  return { plan, option };
+};
+
+// Helper function to empty the user's cart once its items have been ordered
+const clearUserCart = async (userId) => {
+  try {
+    await Cart.updateOne({ user: userId }, { $set: { items: [] } });
+  } catch (error) {
+    console.error('Error clearing cart after order:', error);
+  }
+};
+
 // Helper function to convert recurrence to Stripe interval
 const getStripeInterval = (recurrence) => {
   switch (recurrence) {
@@ -1003,6 +1710,7 @@ const getMyOrders = async (req, res) => {
     const totalOrders = await Order.countDocuments(filter);
     
     const orders = await Order.find(filter)
+      .populate('subscription', 'subscriptionName recurrenceLabel subscriptionStatus')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
@@ -1063,7 +1771,8 @@ const getOrderById = async (req, res) => {
     const order = await Order.findById(req.params.id)
       .populate('user', 'name email')
       .populate('orderItems.product', 'name image')
-      .populate('statusHistory.updatedBy', 'name');
+      .populate('statusHistory.updatedBy', 'name')
+      .populate('subscription', 'subscriptionName recurrenceLabel subscriptionStatus nextBillingDate');
 
     if (!order) {
       console.log('Order not found');
@@ -1113,11 +1822,7 @@ const updateOrderStatus = async (req, res) => {
     }
 
     const { status, note, trackingNumber, courier, estimatedDeliveryDate } = req.body;
-    const validStatuses = [
-      'Pending', 'Payment_Confirmed', 'Processing', 'Ready_to_Ship', 
-      'Shipped', 'Out_for_Delivery', 'Delivered', 'Cancelled', 
-      'Payment_Failed', 'Returned', 'Refunded'
-    ];
+    const validStatuses = Object.keys(Order.STATUS_TRANSITIONS);
 
     if (!status) {
       return res.status(400).json({ 
@@ -1142,23 +1847,20 @@ const updateOrderStatus = async (req, res) => {
       });
     }
 
-    // Check if this is a subscription that has been cancelled by the user
-    if (order.isSubscription && order.subscriptionStatus === 'cancelled') {
+    // Only moves allowed by the transition table are accepted
+    const transition = await transitionOrder(order, status, {
+      note: note || `Status updated to ${status}`,
+      updatedBy: req.user._id
+    });
+
+    if (!transition.success) {
       return res.status(400).json({ 
         success: false,
-        message: 'Cannot update status for a subscription that has been cancelled by the user. The subscription must be reactivated first.' 
+        message: transition.message,
+        allowedTransitions: order.getAllowedTransitions()
       });
     }
 
-    // Add status to history
-    order.addStatusToHistory(status, note || `Status updated to ${status}`, req.user._id);
-
-    // Update specific fields based on status
-    if (status === 'Delivered' && !order.isDelivered) {
-      order.isDelivered = true;
-      order.deliveredAt = new Date();
-    }
-
     // Update tracking information if provided
     if (trackingNumber) order.tracking.trackingNumber = trackingNumber;
     if (courier) order.tracking.courier = courier;
@@ -1187,13 +1889,93 @@ const updateOrderStatus = async (req, res) => {
   }
 };
 
+// Download the order invoice as a PDF. Subscriptions get one invoice per
+// payment; pass ?paymentId= to download a single one.
+const getOrderInvoice = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate('user', 'name email');
+
+    if (!order) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Order not found' 
+      });
+    }
+
+    // Check authorization
+    if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to view this invoice' 
+      });
+    }
+
+    if (!order.isPaid) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'An invoice is issued once the order has been paid' 
+      });
+    }
+
+    const invoice = await generateInvoicePdf(order, order.user, req.query.paymentId || null);
+
+    if (!invoice) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'No invoice found for this order' 
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.filename}"`);
+    res.send(invoice.pdf);
+
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error generating invoice',
+      error: error.message 
+    });
+  }
+};
+
+// Get the statuses an order can move to next (admin only)
+const getAllowedTransitions = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('status');
+
+    if (!order) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Order not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      currentStatus: order.status,
+      allowedTransitions: order.getAllowedTransitions()
+    });
+
+  } catch (error) {
+    console.error('Error getting allowed transitions:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error fetching allowed transitions',
+      error: error.message 
+    });
+  }
+};
+
 // Get order tracking info for frontend
 const getOrderTracking = async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate('user', '_id name email')
       .populate('statusHistory.updatedBy', 'name')
-      .select('status statusHistory tracking paymentType totalPrice user isSubscription stripeSubscriptionId');
+      .populate('subscription', 'stripeSubscriptionId')
+      .select('status statusHistory tracking paymentType totalPrice user isSubscription subscription subscriptionCycle');
 
     if (!order) {
       return res.status(404).json({ 
@@ -1222,9 +2004,9 @@ const getOrderTracking = async (req, res) => {
 
     // Get subscription info if it's a subscription
     let subscriptionInfo = null;
-    if (order.isSubscription && order.stripeSubscriptionId) {
+    if (order.subscription?.stripeSubscriptionId) {
       try {
-        const subscription = await stripe.subscriptions.retrieve(order.stripeSubscriptionId);
+        const subscription = await stripe.subscriptions.retrieve(order.subscription.stripeSubscriptionId);
         subscriptionInfo = {
           id: subscription.id,
           status: subscription.status,
@@ -1296,26 +2078,13 @@ const cancelOrder = async (req, res) => {
     }
 
     // Check if order can be cancelled
-    if (['Shipped', 'Out_for_Delivery', 'Delivered'].includes(order.status)) {
+    if (!order.canTransitionTo('Cancelled')) {
       return res.status(400).json({ 
         success: false,
-        message: 'Cannot cancel shipped, out for delivery, or delivered orders' 
+        message: `Cannot cancel an order that is ${order.status.replace(/_/g, ' ').toLowerCase()}` 
       });
     }
 
-    // Cancel Stripe subscription if it's a subscription order
-    if (order.isSubscription && order.stripeSubscriptionId) {
-      try {
-        await stripe.subscriptions.update(order.stripeSubscriptionId, {
-          cancel_at_period_end: true
-        });
-        console.log(`Cancelled Stripe subscription: ${order.stripeSubscriptionId}`);
-        order.subscriptionStatus = 'cancelled';
-      } catch (stripeError) {
-        console.error('Error cancelling Stripe subscription:', stripeError);
-      }
-    }
-
     // Cancel Stripe payment intent if exists and not paid
     if (order.paymentIntent?.id && !order.isPaid) {
       try {
@@ -1327,10 +2096,11 @@ const cancelOrder = async (req, res) => {
     }
 
     // Update order with cancellation details
-    order.addStatusToHistory('Cancelled', reason || 'Order cancelled by user', req.user._id);
+    await transitionOrder(order, 'Cancelled', {
+      note: reason || 'Order cancelled by user',
+      updatedBy: req.user._id
+    });
     order.cancellationReason = reason;
-    order.cancelledBy = req.user._id;
-    order.cancelledAt = new Date();
 
     const updatedOrder = await order.save();
 
@@ -1382,16 +2152,6 @@ const deleteOrder = async (req, res) => {
       });
     }
 
-    // Cancel Stripe subscription if exists
-    if (order.isSubscription && order.stripeSubscriptionId) {
-      try {
-        await stripe.subscriptions.cancel(order.stripeSubscriptionId);
-        console.log(`Deleted Stripe subscription: ${order.stripeSubscriptionId}`);
-      } catch (stripeError) {
-        console.error('Error deleting Stripe subscription:', stripeError);
-      }
-    }
-
     // Cancel Stripe payment intent if exists
     if (order.paymentIntent?.id && !order.isPaid) {
       try {
@@ -1451,43 +2211,324 @@ const confirmStripePayment = async (req, res) => {
     }
 
     if (paymentIntent.status === 'succeeded') {
-      order.isPaid = true;
-      order.paidAt = new Date();
-      order.addStatusToHistory('Payment_Confirmed', 'Stripe payment confirmed successfully', req.user._id);
+      if (order.isPaid) {
+        return res.json({
+          success: true,
+          message: 'Payment already confirmed',
+          order: {
+            ...order.toObject(),
+            trackingStage: order.getTrackingStage()
+          }
+        });
+      }
+
+      const transition = await transitionOrder(order, 'Payment_Confirmed', {
+        note: 'Stripe payment confirmed successfully',
+        updatedBy: req.user._id
+      });
+
+      if (!transition.success) {
+        return res.status(400).json({
+          success: false,
+          message: transition.message
+        });
+      }
+
       order.paymentResult = {
         id: paymentIntent.id,
         status: paymentIntent.status,
         updateTime: new Date().toISOString(),
         emailAddress: req.user.email,
       };
-      order.paymentIntent.status = paymentIntent.status;
+      order.paymentIntent.status = paymentIntent.status;
+
+      await order.save();
+
+      console.log(`Stripe payment confirmed for order: ${order._id}`);
+
+      res.json({
+        success: true,
+        message: 'Payment confirmed successfully',
+        order: {
+          ...order.toObject(),
+          trackingStage: order.getTrackingStage()
+        }
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        message: 'Payment not successful',
+        status: paymentIntent.status,
+      });
+    }
+
+  } catch (error) {
+    console.error('Payment confirmation error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error confirming payment',
+      error: error.message 
+    });
+  }
+};
+
+// Payment intent states a customer can still complete
+const RESUMABLE_PAYMENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+// Load an unpaid order for the "complete your payment" link. The link token or
+// the order's owner grants access. Returns { order } or { status, message }.
+const loadResumableOrder = async (req) => {
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    return { status: 400, message: 'Invalid order ID format' };
+  }
+
+  const order = await Order.findById(req.params.id);
+  const token = req.query.token || req.body?.token;
+  const isOwner = req.user && order?.user.toString() === req.user._id.toString();
+
+  if (!order || order.isSubscription || (!isOwner && !order.isValidPaymentResumeToken(token))) {
+    return { status: 404, message: 'Order not found or payment link is invalid' };
+  }
+  if (order.isPaid) {
+    return { status: 409, message: 'This order has already been paid' };
+  }
+  if (!UNPAID_STATUSES.includes(order.status) || getPaymentExpiry(order) < new Date()) {
+    return { status: 410, message: 'This order can no longer be paid' };
+  }
+
+  return { order };
+};
+
+// Record a successful payment on a resumed order
+const markResumedOrderPaid = async (order, paymentIntent) => {
+  const transition = await transitionOrder(order, 'Payment_Confirmed', {
+    note: 'Payment completed from payment link',
+    updatedBy: order.user
+  });
+  if (!transition.success) return transition;
+
+  order.paymentResult = {
+    id: paymentIntent.id,
+    status: paymentIntent.status,
+    updateTime: new Date().toISOString()
+  };
+  order.addPaymentToHistory({
+    paymentId: paymentIntent.id,
+    amount: order.totalPrice,
+    currency: paymentIntent.currency,
+    status: 'succeeded',
+    billingCycle: 1,
+    stripePaymentIntentId: paymentIntent.id,
+    metadata: {
+      paymentMethod: 'stripe',
+      source: 'payment_link'
+    }
+  });
+  if (order.paymentResume) order.paymentResume.tokenHash = undefined;
+  return transition;
+};
+
+// Show an unpaid order behind a "complete your payment" link
+const getPaymentResume = async (req, res) => {
+  try {
+    const { order, status, message } = await loadResumableOrder(req);
+    if (!order) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    let payment = { status: 'requires_payment_method', clientSecret: null };
+    if (order.paymentIntent?.id) {
+      const paymentIntent = await stripe.paymentIntents.retrieve(order.paymentIntent.id);
+      payment = {
+        status: paymentIntent.status,
+        clientSecret: RESUMABLE_PAYMENT_STATUSES.includes(paymentIntent.status) ? paymentIntent.client_secret : null,
+        nextAction: paymentIntent.status === 'requires_action' ? paymentIntent.next_action : null
+      };
+    }
+
+    res.json({
+      success: true,
+      order: {
+        _id: order._id,
+        status: order.status,
+        orderItems: order.orderItems,
+        shippingAddress: order.shippingAddress,
+        itemsPrice: order.itemsPrice,
+        discountPrice: order.discountPrice,
+        shippingPrice: order.shippingPrice,
+        taxPrice: order.taxPrice,
+        totalPrice: order.totalPrice,
+        createdAt: order.createdAt
+      },
+      payment,
+      expiresAt: getPaymentExpiry(order)
+    });
+
+  } catch (error) {
+    console.error('Error loading order for payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading order',
+      error: error.message
+    });
+  }
+};
+
+// Complete the payment of an unpaid order. Send paymentMethodId or setupIntentId
+// to pay with a card; send neither to finish a payment after 3D Secure.
+const resumeOrderPayment = async (req, res) => {
+  try {
+    const { order, status, message } = await loadResumableOrder(req);
+    if (!order) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { paymentMethodId, setupIntentId } = req.body || {};
+    let paymentIntent = order.paymentIntent?.id
+      ? await stripe.paymentIntents.retrieve(order.paymentIntent.id)
+      : null;
+
+    // A payment still in flight must finish before another one is tried
+    if (paymentIntent && !['succeeded', 'canceled', ...RESUMABLE_PAYMENT_STATUSES].includes(paymentIntent.status)) {
+      return res.status(409).json({
+        success: false,
+        message: paymentIntent.status === 'processing'
+          ? 'Your payment is still processing, please check back shortly'
+          : 'A payment for this order is already in progress',
+        payment: { status: paymentIntent.status }
+      });
+    }
+
+    if (paymentIntent?.status !== 'succeeded') {
+      let stripePaymentMethod = null;
+      if (paymentMethodId || setupIntentId) {
+        const user = await User.findById(order.user);
+        const result = await resolvePaymentMethod(user, { paymentMethodId, setupIntentId });
+        if (result.error) {
+          return res.status(400).json({ success: false, message: result.error });
+        }
+        stripePaymentMethod = result.paymentMethod;
+      } else if (paymentIntent?.status !== 'requires_confirmation') {
+        return res.status(400).json({
+          success: false,
+          message: 'A Stripe paymentMethodId or setupIntentId is required'
+        });
+      }
+
+      // A failed payment gave its coupon use back - take it again before charging
+      if (!await reclaimCouponRedemption(order)) {
+        return res.status(409).json({
+          success: false,
+          message: `Coupon ${order.discount.code} has reached its usage limit, please place a new order`
+        });
+      }
+
+      const returnUrl = `${process.env.FRONTEND_URL || 'http://localhost:3001'}/orders/${order._id}/complete-payment`;
+
+      try {
+        if (paymentIntent && RESUMABLE_PAYMENT_STATUSES.includes(paymentIntent.status)) {
+          // Saved cards can only be charged together with their customer
+          if (stripePaymentMethod?.customer && paymentIntent.customer !== stripePaymentMethod.customer) {
+            await stripe.paymentIntents.update(paymentIntent.id, { customer: stripePaymentMethod.customer });
+          }
+          paymentIntent = await stripe.paymentIntents.confirm(paymentIntent.id, {
+            ...(stripePaymentMethod && { payment_method: stripePaymentMethod.id }),
+            return_url: returnUrl
+          });
+        } else {
+          // The earlier attempt was cancelled or never started - start a new one
+          paymentIntent = await stripe.paymentIntents.create({
+            amount: Math.round(order.totalPrice * 100),
+            currency: process.env.STRIPE_CURRENCY || 'usd',
+            payment_method: stripePaymentMethod.id,
+            ...(stripePaymentMethod.customer && { customer: stripePaymentMethod.customer }),
+            confirmation_method: 'manual',
+            confirm: true,
+            return_url: returnUrl,
+            metadata: {
+              orderId: order._id.toString(),
+              userId: order.user.toString(),
+              cardLast4: stripePaymentMethod.card?.last4 || '',
+              orderType: 'one_time'
+            },
+            description: `One-time Order #${order._id} - ${order.orderItems.length} items`
+          }, stripeIdempotencyOptions(req, 'payment_intent'));
+        }
+      } catch (stripeError) {
+        if (stripeError.type !== 'StripeCardError') throw stripeError;
+
+        await releaseCouponRedemption(order);
+        if (order.status === 'Pending') {
+          await transitionOrder(order, 'Payment_Failed', { note: `Payment failed: ${stripeError.message}` });
+          await order.save();
+        }
+
+        return res.status(400).json({
+          success: false,
+          message: 'Your card was declined',
+          error: stripeError.message,
+          details: {
+            code: stripeError.code,
+            decline_code: stripeError.decline_code
+          }
+        });
+      }
+
+      order.paymentIntent = {
+        id: paymentIntent.id,
+        status: paymentIntent.status,
+        clientSecret: paymentIntent.client_secret
+      };
+    }
 
+    if (paymentIntent.status === 'succeeded') {
+      const transition = await markResumedOrderPaid(order, paymentIntent);
+      if (!transition.success) {
+        return res.status(400).json({ success: false, message: transition.message });
+      }
       await order.save();
 
-      console.log(`Stripe payment confirmed for order: ${order._id}`);
+      console.log(`Order ${order._id} paid from payment link`);
 
-      res.json({
+      return res.json({
         success: true,
-        message: 'Payment confirmed successfully',
-        order: {
-          ...order.toObject(),
-          trackingStage: order.getTrackingStage()
-        }
+        message: 'Payment completed successfully',
+        orderId: order._id,
+        payment: { status: paymentIntent.status, paymentIntentId: paymentIntent.id }
       });
-    } else {
-      res.status(400).json({
-        success: false,
-        message: 'Payment not successful',
-        status: paymentIntent.status,
+    }
+
+    await order.save();
+
+    if (paymentIntent.status === 'requires_action') {
+      return res.json({
+        success: true,
+        message: 'Additional authentication required',
+        orderId: order._id,
+        payment: {
+          status: paymentIntent.status,
+          paymentIntentId: paymentIntent.id,
+          clientSecret: paymentIntent.client_secret,
+          nextAction: paymentIntent.next_action
+        }
       });
     }
 
+    await releaseCouponRedemption(order);
+
+    res.status(400).json({
+      success: false,
+      message: 'Payment failed',
+      orderId: order._id,
+      payment: { status: paymentIntent.status, error: 'Payment was declined or failed' }
+    });
+
   } catch (error) {
-    console.error('Payment confirmation error:', error);
-    res.status(500).json({ 
+    console.error('Error completing order payment:', error);
+    res.status(500).json({
       success: false,
-      message: 'Error confirming payment',
-      error: error.message 
+      message: 'Error completing payment',
+      error: error.message
     });
   }
 };
@@ -1506,19 +2547,68 @@ const handleStripeWebhook = async (req, res) => {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  console.log(`Stripe webhook event: ${event.type}`);
+  console.log(`Stripe webhook event: ${event.type} (${event.id})`);
+
+  try {
+    await StripeEvent.record(event);
+    const result = await runStripeEvent(event.id);
+
+    if (result.status === 'failed') {
+      // A non-2xx response makes Stripe send the event again later
+      return res.status(500).json({ received: true, error: result.error.message });
+    }
+
+    res.json({ received: true, duplicate: result.status === 'duplicate' });
+  } catch (error) {
+    console.error('Error storing Stripe event:', error);
+    res.status(500).json({ received: false, error: error.message });
+  }
+};
+
+// Process a stored event unless it was already applied or is being applied
+// right now. Returns { status: 'processed' | 'duplicate' | 'failed', error }.
+const runStripeEvent = async (eventId, options = {}) => {
+  const record = await StripeEvent.claim(eventId, options);
+  if (!record) return { status: 'duplicate' };
+
+  try {
+    await processStripeEvent(record.payload);
+    await record.markProcessed();
+    return { status: 'processed', record };
+  } catch (error) {
+    console.error(`Error processing Stripe event ${eventId}:`, error);
+    await record.markFailed(error);
+    return { status: 'failed', record, error };
+  }
+};
 
+// Apply a Stripe event to our orders. Errors are thrown so the event is
+// recorded as failed and can be retried.
+const processStripeEvent = async (event) => {
   switch (event.type) {
     case 'payment_intent.succeeded':
       const paymentIntent = event.data.object;
       const orderId = paymentIntent.metadata.orderId;
 
       try {
+        // Gift purchases have no order until the recipient claims them
+        if (paymentIntent.metadata.giftId) {
+          const gift = await GiftSubscription.findById(paymentIntent.metadata.giftId);
+          if (gift && await markGiftPaid(gift, paymentIntent)) {
+            console.log(`Gift ${gift._id} marked as paid via webhook`);
+          }
+          break;
+        }
+
         const order = await Order.findById(orderId);
         if (order && !order.isPaid) {
-          order.isPaid = true;
-          order.paidAt = new Date();
-          order.addStatusToHistory('Payment_Confirmed', 'Payment confirmed via Stripe webhook');
+          const transition = await transitionOrder(order, 'Payment_Confirmed', {
+            note: 'Payment confirmed via Stripe webhook'
+          });
+          if (!transition.success) {
+            console.warn(`Payment succeeded for order ${orderId} but ${transition.message}`);
+            break;
+          }
           order.paymentResult = {
             id: paymentIntent.id,
             status: paymentIntent.status,
@@ -1530,6 +2620,7 @@ const handleStripeWebhook = async (req, res) => {
         }
       } catch (error) {
         console.error('Error updating order after payment success:', error);
+        throw error;
       }
       break;
 
@@ -1538,19 +2629,24 @@ const handleStripeWebhook = async (req, res) => {
       const subscriptionId = invoice.subscription;
 
       try {
-        // Find the order with this subscription ID
-        const order = await Order.findOne({ stripeSubscriptionId: subscriptionId });
+        const subscription = await Subscription.findOne({ stripeSubscriptionId: subscriptionId });
         
-        if (order && order.isSubscription) {
+        // Stripe can deliver the same invoice more than once
+        const alreadyRecorded = subscription?.paymentHistory.some(entry => entry.stripeInvoiceId === invoice.id);
+        if (alreadyRecorded) {
+          console.log(`Invoice ${invoice.id} already recorded on subscription ${subscription._id}`);
+        } else if (invoice.amount_paid === 0 && invoice.billing_reason === 'subscription_create') {
+          // Trial start of a continued gift subscription - nothing was charged
+          console.log(`Skipping zero-amount invoice ${invoice.id} for subscription ${subscriptionId}`);
+        } else if (subscription) {
           console.log(`Processing payment for subscription ${subscriptionId}, invoice ${invoice.id}`);
           
-          // Add payment to history for the original subscription order
-          order.addPaymentToHistory({
+          subscription.addPaymentToHistory({
             paymentId: invoice.payment_intent || invoice.id,
             amount: invoice.amount_paid / 100, // Convert from cents
             currency: invoice.currency,
             status: 'succeeded',
-            billingCycle: order.currentBillingCycle + 1,
+            billingCycle: subscription.currentBillingCycle + 1,
             stripeInvoiceId: invoice.id,
             stripePaymentIntentId: invoice.payment_intent,
             metadata: {
@@ -1561,59 +2657,24 @@ const handleStripeWebhook = async (req, res) => {
             }
           });
 
-          // For recurring payments, create a new order for the billing cycle
+          // Paying the invoice being chased ends dunning
+          recordDunningRecovery(subscription, invoice.id, `Invoice ${invoice.number || invoice.id} paid`);
+
+          // For recurring payments, create the delivery order for the billing cycle
           if (invoice.billing_reason === 'subscription_cycle') {
-            const newOrderData = {
-              orderItems: order.orderItems,
-              user: order.user,
-              shippingAddress: order.shippingAddress,
-              paymentMethod: order.paymentMethod,
-              itemsPrice: order.itemsPrice,
-              taxPrice: order.taxPrice,
-              shippingPrice: order.shippingPrice,
-              totalPrice: order.subscriptionPrice,
-              isSubscription: true,
-              subscriptionType: order.subscriptionType,
-              subscriptionName: order.subscriptionName,
-              subscriptionPrice: order.subscriptionPrice,
-              maxProducts: order.maxProducts,
-              recurrence: order.recurrence,
-              recurrenceLabel: order.recurrenceLabel,
-              selectedProducts: order.selectedProducts,
-              billingCycle: order.billingCycle,
-              totalBillingCycles: order.totalBillingCycles,
-              currentBillingCycle: order.currentBillingCycle + 1,
-              subscriptionStatus: 'active',
-              stripeSubscriptionId: subscriptionId,
-              stripeCustomerId: order.stripeCustomerId,
-              stripePriceId: order.stripePriceId,
-              status: 'Payment_Confirmed',
-              isPaid: true,
-              paidAt: new Date(),
-              paymentType: 'online',
-              statusHistory: [{
-                status: 'Payment_Confirmed',
-                timestamp: new Date(),
-                note: `Recurring payment processed for billing cycle ${order.currentBillingCycle + 1}`,
-                updatedBy: order.user
-              }]
-            };
-
-            const newOrder = await Order.create(newOrderData);
-            
-            // Update the original subscription order
-            order.currentBillingCycle += 1;
-            await order.save();
-            
-            console.log(`Created new order ${newOrder._id} for subscription billing cycle ${order.currentBillingCycle}`);
+            const newOrder = await createCycleOrder(subscription, {
+              note: `Recurring payment processed for billing cycle ${subscription.currentBillingCycle + 1}`
+            });
+
+            console.log(`Created new order ${newOrder._id} for subscription billing cycle ${subscription.currentBillingCycle}`);
           } else {
-            // Just update the original order for initial payment
-            await order.save();
-            console.log(`Updated original subscription order ${order._id} with payment history`);
+            await subscription.save();
+            console.log(`Updated subscription ${subscription._id} with payment history`);
           }
         }
       } catch (error) {
         console.error('Error processing subscription payment:', error);
+        throw error;
       }
       break;
 
@@ -1622,15 +2683,16 @@ const handleStripeWebhook = async (req, res) => {
       const failedSubscriptionId = failedInvoice.subscription;
 
       try {
-        const order = await Order.findOne({ stripeSubscriptionId: failedSubscriptionId });
-        if (order && order.isSubscription) {
-          order.addStatusToHistory('Payment_Failed', 'Subscription payment failed via Stripe webhook');
-          order.subscriptionStatus = 'payment_failed';
-          await order.save();
-          console.log(`Subscription payment failed for order ${order._id}`);
+        const subscription = await Subscription.findOne({ stripeSubscriptionId: failedSubscriptionId });
+        if (subscription) {
+          // Billing state only - deliveries already paid for keep their status
+          startDunning(subscription, failedInvoice);
+          await subscription.save();
+          console.log(`Subscription payment failed for subscription ${subscription._id}`);
         }
       } catch (error) {
-        console.error('Error updating order after subscription payment failure:', error);
+        console.error('Error updating subscription after payment failure:', error);
+        throw error;
       }
       break;
 
@@ -1638,15 +2700,21 @@ const handleStripeWebhook = async (req, res) => {
       const deletedSubscription = event.data.object;
       
       try {
-        const order = await Order.findOne({ stripeSubscriptionId: deletedSubscription.id });
-        if (order && order.isSubscription) {
-          order.addStatusToHistory('Cancelled', 'Subscription cancelled via Stripe webhook');
-          order.subscriptionStatus = 'cancelled';
-          await order.save();
-          console.log(`Subscription cancelled for order ${order._id}`);
+        const subscription = await Subscription.findOne({ stripeSubscriptionId: deletedSubscription.id });
+        if (subscription) {
+          subscription.subscriptionStatus = 'cancelled';
+          if (subscription.dunning?.status === 'active') {
+            subscription.dunning.status = 'cancelled';
+            subscription.dunning.endedAt = new Date();
+            subscription.dunning.nextAttemptAt = null;
+            subscription.dunning.timeline.push({ event: 'cancelled', message: 'Subscription cancelled in Stripe' });
+          }
+          await subscription.save();
+          console.log(`Subscription ${subscription._id} cancelled`);
         }
       } catch (error) {
-        console.error('Error updating order after subscription cancellation:', error);
+        console.error('Error updating subscription after cancellation:', error);
+        throw error;
       }
       break;
 
@@ -1655,15 +2723,27 @@ const handleStripeWebhook = async (req, res) => {
       const failedOrderId = failedPayment.metadata.orderId;
 
       try {
+        if (failedPayment.metadata.giftId) {
+          const gift = await GiftSubscription.findById(failedPayment.metadata.giftId);
+          if (gift) await markGiftPaymentFailed(gift, failedPayment);
+          break;
+        }
+
         const order = await Order.findById(failedOrderId);
         if (order) {
-          order.addStatusToHistory('Payment_Failed', 'Payment failed via Stripe webhook');
+          const transition = await transitionOrder(order, 'Payment_Failed', {
+            note: 'Payment failed via Stripe webhook'
+          });
+          if (!transition.success) {
+            console.warn(`Payment failed for order ${failedOrderId} but ${transition.message}`);
+          }
           order.paymentIntent.status = failedPayment.status;
           await order.save();
           console.log(`Order ${failedOrderId} marked as payment failed via webhook`);
         }
       } catch (error) {
         console.error('Error updating order after payment failure:', error);
+        throw error;
       }
       break;
 
@@ -1674,35 +2754,225 @@ const handleStripeWebhook = async (req, res) => {
       try {
         const order = await Order.findById(canceledOrderId);
         if (order) {
-          order.addStatusToHistory('Cancelled', 'Payment cancelled via Stripe webhook');
+          if (order.status !== 'Cancelled') {
+            const transition = await transitionOrder(order, 'Cancelled', {
+              note: 'Payment cancelled via Stripe webhook'
+            });
+            if (!transition.success) {
+              console.warn(`Payment cancelled for order ${canceledOrderId} but ${transition.message}`);
+            }
+          }
           order.paymentIntent.status = canceledPayment.status;
           await order.save();
           console.log(`Order ${canceledOrderId} cancelled via webhook`);
         }
       } catch (error) {
         console.error('Error updating order after payment cancellation:', error);
+        throw error;
+      }
+      break;
+
+    case 'charge.refunded':
+      const refundedCharge = event.data.object;
+
+      try {
+        // Sync every refund on the charge, including ones made in the Stripe dashboard
+        const refunds = await stripe.refunds.list({
+          payment_intent: refundedCharge.payment_intent,
+          limit: 100
+        });
+
+        // Subscription invoices are paid on the subscription; the refund belongs
+        // to the delivery order of the cycle that invoice paid for
+        let paymentOrder = await Order.findOne({
+          $or: [{ 'paymentIntent.id': refundedCharge.payment_intent }, { 'paymentResult.id': refundedCharge.payment_intent, subscription: null }]
+        });
+        let payment = null;
+        if (!paymentOrder) {
+          const subscription = await Subscription.findOne({ 'paymentHistory.stripePaymentIntentId': refundedCharge.payment_intent });
+          payment = subscription?.paymentHistory.find(entry =>
+            entry.status === 'succeeded' && entry.stripePaymentIntentId === refundedCharge.payment_intent
+          );
+          if (payment) {
+            paymentOrder = await Order.findOne({ subscription: subscription._id, subscriptionCycle: payment.billingCycle });
+          }
+        }
+
+        for (const refund of refunds.data) {
+          if (['failed', 'canceled'].includes(refund.status)) continue;
+
+          const refundOrderId = refund.metadata?.orderId || paymentOrder?._id;
+          if (!refundOrderId) {
+            console.warn(`No order found for refund ${refund.id}`);
+            continue;
+          }
+
+          await recordRefund(refundOrderId, refund, {
+            invoiceId: payment?.stripeInvoiceId,
+            billingCycle: payment?.billingCycle,
+            source: refund.metadata?.orderId ? 'admin' : 'stripe_dashboard'
+          });
+        }
+      } catch (error) {
+        console.error('Error syncing refund from Stripe:', error);
+        throw error;
       }
       break;
 
     default:
       console.log(`Unhandled event type ${event.type}`);
   }
+};
+
+// List stored Stripe events, failed ones by default (admin only)
+const getStripeEvents = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    const status = req.query.status || 'failed';
+    if (status !== 'all') filter.status = status;
+    if (req.query.type) filter.type = req.query.type;
+
+    const [events, totalEvents] = await Promise.all([
+      StripeEvent.find(filter)
+        .select('-payload -lastError.stack')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      StripeEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      events,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalEvents / limit),
+        totalEvents,
+        hasNextPage: page < Math.ceil(totalEvents / limit),
+        hasPrevPage: page > 1,
+      }
+    });
 
-  res.json({ received: true });
+  } catch (error) {
+    console.error('Error getting Stripe events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching Stripe events',
+      error: error.message
+    });
+  }
 };
 
-// Create payment intent (separate endpoint for frontend)
-const createPaymentIntent = async (req, res) => {
+// Process a stored Stripe event again, e.g. after an outage (admin only)
+const replayStripeEvent = async (req, res) => {
   try {
-    const { amount, currency = 'usd', orderData } = req.body;
+    const stripeEvent = await StripeEvent.findOne({ eventId: req.params.eventId }).select('-payload');
+
+    if (!stripeEvent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stripe event not found'
+      });
+    }
 
-    if (!amount || amount <= 0) {
+    if (stripeEvent.status === 'processed') {
       return res.status(400).json({
         success: false,
-        message: 'Valid amount is required'
+        message: 'This event has already been processed'
+      });
+    }
+
+    const result = await runStripeEvent(stripeEvent.eventId, { replayedBy: req.user._id });
+
+    if (result.status === 'duplicate') {
+      return res.status(409).json({
+        success: false,
+        message: 'This event is already being processed'
+      });
+    }
+
+    if (result.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        message: 'Replaying the event failed',
+        error: result.error.message,
+        attempts: result.record.attempts
       });
     }
 
+    console.log(`Stripe event ${stripeEvent.eventId} replayed by ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Event processed successfully',
+      attempts: result.record.attempts
+    });
+
+  } catch (error) {
+    console.error('Error replaying Stripe event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error replaying Stripe event',
+      error: error.message
+    });
+  }
+};
+
+// Price a create-payment-intent checkout from the catalog, shipping, tax and
+// coupon rules, and check a delivery slot was chosen where the zone needs one.
+// Returns { error, errors } or the order totals.
+const priceCheckout = async (userId, orderData) => {
+  const { orderItems, itemsPrice, errors: itemErrors } = await priceOrderItems(orderData.orderItems);
+  if (itemErrors.length > 0) {
+    return { error: 'Some order items are invalid', errors: itemErrors };
+  }
+
+  const shipping = await resolveShipping(orderItems, itemsPrice, orderData.shippingAddress, orderData.shippingRateId);
+  if (shipping.error) return { error: shipping.error };
+  const { shippingPrice, shippingMethod } = shipping;
+
+  // Zones with delivery windows need a slot; confirmPayment books it
+  const shippingZone = await ShippingZone.findById(shippingMethod.zone);
+  const requiresSlot = !!shippingZone && shippingZone.getActiveWindows().length > 0;
+  if (requiresSlot && (!orderData.deliverySlot?.date || !orderData.deliverySlot?.windowId)) {
+    return { error: 'Choose a delivery slot (date and windowId) for this address' };
+  }
+
+  let coupon = null;
+  let discount = null;
+  let lineDiscounts = {};
+  if (orderData.couponCode) {
+    const couponResult = await validateCoupon(orderData.couponCode, {
+      userId,
+      orderItems,
+      itemsPrice,
+      shippingPrice
+    });
+    if (couponResult.error) return { error: couponResult.error };
+    ({ coupon, discount, lineDiscounts } = couponResult);
+  }
+  const discountPrice = discount ? discount.amount : 0;
+
+  const { taxPrice, taxBreakdown, taxJurisdiction } = await calculateTax(orderItems, orderData.shippingAddress, lineDiscounts);
+  const totalPrice = roundCurrency(itemsPrice + taxPrice + shippingPrice - discountPrice);
+  if (totalPrice <= 0) return { error: 'Total price must be greater than 0' };
+
+  return {
+    orderItems, itemsPrice, shippingPrice, shippingMethod, shippingZone, requiresSlot, coupon,
+    discount, discountPrice, taxPrice, taxBreakdown, taxJurisdiction, totalPrice
+  };
+};
+
+// Create payment intent (separate endpoint for frontend). The amount is worked
+// out here from orderData; any amount sent by the client is ignored.
+const createPaymentIntent = async (req, res) => {
+  try {
+    const { orderData } = req.body;
+
     if (!orderData) {
       return res.status(400).json({
         success: false,
@@ -1710,23 +2980,40 @@ const createPaymentIntent = async (req, res) => {
       });
     }
 
+    const pricing = await priceCheckout(req.user._id, orderData);
+    if (pricing.error) {
+      return res.status(400).json({
+        success: false,
+        message: pricing.error,
+        ...(pricing.errors && { errors: pricing.errors })
+      });
+    }
+
     // Create payment intent without confirming
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount),
-      currency: currency,
+      amount: Math.round(pricing.totalPrice * 100),
+      currency: process.env.STRIPE_CURRENCY || 'usd',
       automatic_payment_methods: {
         enabled: true,
       },
       metadata: {
         userId: req.user._id.toString(),
         userEmail: req.user.email || '',
+        couponCode: pricing.discount?.code || ''
       },
-    });
+    }, stripeIdempotencyOptions(req, 'payment_intent'));
 
     res.json({
       success: true,
       clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id
+      paymentIntentId: paymentIntent.id,
+      pricing: {
+        itemsPrice: pricing.itemsPrice,
+        shippingPrice: pricing.shippingPrice,
+        taxPrice: pricing.taxPrice,
+        discountPrice: pricing.discountPrice,
+        totalPrice: pricing.totalPrice
+      }
     });
 
   } catch (error) {
@@ -1754,6 +3041,14 @@ const confirmPayment = async (req, res) => {
     // Retrieve payment intent from Stripe
     const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
 
+    // Only the customer the intent was created for can turn it into an order
+    if (paymentIntent.metadata?.userId !== req.user._id.toString() || paymentIntent.metadata?.orderId) {
+      return res.status(403).json({
+        success: false,
+        message: 'This payment does not belong to you'
+      });
+    }
+
     if (paymentIntent.status !== 'succeeded') {
       return res.status(400).json({
         success: false,
@@ -1761,32 +3056,145 @@ const confirmPayment = async (req, res) => {
       });
     }
 
-    // Create the order
-    const order = await Order.create({
+    // Each payment pays for one order
+    const alreadyUsed = await Order.exists({
+      $or: [{ 'paymentIntent.id': paymentIntent.id }, { 'paymentResult.id': paymentIntent.id }]
+    });
+    if (alreadyUsed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This payment has already been used for an order'
+      });
+    }
+
+    // Never trust client prices - rebuild items and totals from the catalog
+    const pricing = await priceCheckout(req.user._id, {
       ...orderData,
-      user: req.user._id,
-      isPaid: true,
-      paidAt: new Date(),
-      status: 'Payment_Confirmed',
-      paymentType: 'online',
-      paymentResult: {
-        id: paymentIntent.id,
-        status: paymentIntent.status,
-        updateTime: new Date().toISOString(),
-        emailAddress: req.user.email || '',
-      },
-      statusHistory: [{
-        status: 'Pending',
-        timestamp: new Date(),
-        note: 'Order placed successfully',
-        updatedBy: req.user._id
-      }, {
-        status: 'Payment_Confirmed',
-        timestamp: new Date(),
-        note: 'Payment confirmed successfully',
-        updatedBy: req.user._id
-      }]
+      couponCode: paymentIntent.metadata?.couponCode || orderData.couponCode
     });
+    if (pricing.error) {
+      return res.status(400).json({
+        success: false,
+        message: pricing.error,
+        ...(pricing.errors && { errors: pricing.errors })
+      });
+    }
+    const {
+      orderItems, itemsPrice, shippingPrice, shippingMethod, shippingZone, requiresSlot,
+      discount, discountPrice, taxPrice, taxBreakdown, taxJurisdiction, totalPrice
+    } = pricing;
+
+    if (paymentIntent.amount_received < Math.round(totalPrice * 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment amount does not match the order total'
+      });
+    }
+
+    // The payment stays unused when the slot can't be booked, so the customer
+    // can pick another one and confirm again
+    let deliverySlot = null;
+    if (requiresSlot) {
+      const booking = await bookDeliverySlot(shippingZone, orderData.deliverySlot);
+      if (booking.error) {
+        return res.status(booking.full ? 409 : 400).json({
+          success: false,
+          message: booking.error
+        });
+      }
+      deliverySlot = booking.deliverySlot;
+    }
+
+    // Payment is already taken here, so a stock shortfall is flagged for admins instead of rejected
+    const reservation = await reserveStock(orderItems);
+
+    // Create the order
+    let order;
+    try {
+      order = await Order.create({
+        shippingAddress: orderData.shippingAddress,
+        paymentMethod: (orderData.paymentMethod || 'stripe').toLowerCase(),
+        notes: orderData.notes,
+        inventory: reservation.success
+          ? { status: 'committed', reservedAt: new Date(), committedAt: new Date() }
+          : { status: 'none' },
+        adminNotes: reservation.success
+          ? undefined
+          : `Stock shortfall: ${reservation.outOfStock.map(item => item.message).join('; ')}`,
+        orderItems,
+        itemsPrice,
+        taxPrice,
+        taxBreakdown,
+        taxJurisdiction,
+        shippingPrice,
+        shippingMethod,
+        ...(deliverySlot && { deliverySlot }),
+        tracking: {
+          courier: shippingMethod.courier,
+          estimatedDeliveryDate: deliverySlot?.startsAt
+        },
+        discount,
+        discountPrice,
+        totalPrice,
+        user: req.user._id,
+        isPaid: true,
+        paidAt: new Date(),
+        status: 'Payment_Confirmed',
+        paymentType: 'online',
+        paymentIntent: {
+          id: paymentIntent.id,
+          status: paymentIntent.status
+        },
+        paymentResult: {
+          id: paymentIntent.id,
+          status: paymentIntent.status,
+          updateTime: new Date().toISOString(),
+          emailAddress: req.user.email || '',
+        },
+        statusHistory: [{
+          status: 'Pending',
+          timestamp: new Date(),
+          note: 'Order placed successfully',
+          updatedBy: req.user._id
+        }, {
+          status: 'Payment_Confirmed',
+          timestamp: new Date(),
+          note: 'Payment confirmed successfully',
+          updatedBy: req.user._id
+        }]
+      });
+    } catch (createError) {
+      if (reservation.success) await restockItems(orderItems);
+      await releaseSlotBooking(deliverySlot);
+
+      // Another request turned the same payment into an order first
+      if (createError.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'This payment has already been used for an order'
+        });
+      }
+      throw createError;
+    }
+
+    // The payment was priced with the coupon, so when its last use went to
+    // someone else meanwhile the order is refunded instead
+    if (discount && !await redeemCoupon(discount.coupon, req.user._id, order._id, discount.amount)) {
+      const note = `Coupon ${discount.code} reached its usage limit`;
+      const refund = await createStripeRefund(order, { paymentIntentId: paymentIntent.id }, paymentIntent.amount_received / 100, {
+        reason: 'requested_by_customer',
+        note
+      });
+      await recordRefund(order._id, refund, { source: 'coupon_limit', note });
+
+      return res.status(409).json({
+        success: false,
+        message: 'This coupon has reached its usage limit. Your payment has been refunded, please check out again.',
+        orderId: order._id
+      });
+    }
+
+    sendOrderNotification(order, 'paid');
 
     console.log(`Order confirmed with payment: ${order._id}`);
 
@@ -1807,10 +3215,12 @@ const confirmPayment = async (req, res) => {
   }
 };
 
-// New function: Initiate return request
-const initiateReturn = async (req, res) => {
+// Refund an order through Stripe (admin only). Pass items [{ product, quantity }]
+// for a per-line refund, an amount for a custom refund, or neither to refund
+// everything still refundable on the payment.
+const refundOrder = async (req, res) => {
   try {
-    const { reason } = req.body;
+    const { items, amount, reason, note, paymentId } = req.body || {};
     const order = await Order.findById(req.params.id);
 
     if (!order) {
@@ -1820,43 +3230,83 @@ const initiateReturn = async (req, res) => {
       });
     }
 
-    // Check authorization
-    if (order.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ 
+    if (!order.isPaid) {
+      return res.status(400).json({ 
         success: false,
-        message: 'Not authorized to return this order' 
+        message: 'Only paid orders can be refunded' 
       });
     }
 
-    // Check if order can be returned
-    if (order.status !== 'Delivered') {
+    const payment = await getRefundablePayment(order, paymentId);
+
+    if (!payment) {
       return res.status(400).json({ 
         success: false,
-        message: 'Only delivered orders can be returned' 
+        message: 'No Stripe payment found to refund for this order' 
       });
     }
 
-    // Check return window (e.g., 30 days)
-    const deliveryDate = new Date(order.deliveredAt);
-    const currentDate = new Date();
-    const daysDifference = Math.floor((currentDate - deliveryDate) / (1000 * 60 * 60 * 24));
-    
-    if (daysDifference > 30) {
+    const remaining = roundCurrency(payment.amount - payment.refunded);
+    let refundItems = [];
+    let refundAmount = remaining;
+
+    if (Array.isArray(items) && items.length > 0) {
+      const lineRefund = calculateLineRefund(order, items);
+      if (lineRefund.error) {
+        return res.status(400).json({ 
+          success: false,
+          message: lineRefund.error 
+        });
+      }
+      refundItems = lineRefund.items;
+      refundAmount = lineRefund.amount;
+    }
+
+    // An explicit amount overrides the line total (e.g. to include shipping)
+    if (amount !== undefined) {
+      refundAmount = roundCurrency(Number(amount));
+    }
+
+    if (!(refundAmount > 0)) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Refund amount must be greater than zero' 
+      });
+    }
+
+    if (refundAmount > remaining) {
       return res.status(400).json({ 
         success: false,
-        message: 'Return window has expired. Returns are only accepted within 30 days of delivery.' 
+        message: `Refund amount exceeds the ${remaining.toFixed(2)} still refundable on this payment` 
       });
     }
 
-    order.addStatusToHistory('Returned', `Return requested: ${reason}`, req.user._id);
-    order.returnReason = reason;
-    order.returnRequestedAt = new Date();
+    const refund = await createStripeRefund(order, payment, refundAmount, {
+      items: refundItems,
+      reason,
+      note
+    });
+
+    // The charge.refunded webhook may already have recorded it
+    const updatedOrder = await recordRefund(order._id, refund, {
+      invoiceId: payment.invoiceId,
+      billingCycle: payment.billingCycle,
+      source: 'admin',
+      note: note || reason,
+      updatedBy: req.user._id
+    }) || await Order.findById(order._id);
 
-    const updatedOrder = await order.save();
+    console.log(`Refund ${refund.id} of ${refundAmount} issued for order ${order._id}`);
 
     res.json({
       success: true,
-      message: 'Return request initiated successfully',
+      message: `Refund of ${refundAmount.toFixed(2)} issued successfully`,
+      refund: {
+        id: refund.id,
+        amount: refundAmount,
+        status: refund.status,
+        items: refundItems
+      },
       order: {
         ...updatedOrder.toObject(),
         trackingStage: updatedOrder.getTrackingStage()
@@ -1864,10 +3314,19 @@ const initiateReturn = async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error initiating return:', error);
+    console.error('Error refunding order:', error);
+
+    if (error.type === 'StripeInvalidRequestError') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Stripe rejected the refund',
+        error: error.message 
+      });
+    }
+
     res.status(500).json({ 
       success: false,
-      message: 'Error initiating return',
+      message: 'Error refunding order',
       error: error.message 
     });
   }
@@ -1887,17 +3346,30 @@ const updateTracking = async (req, res) => {
       });
     }
 
+    const trackingChanged = trackingNumber && trackingNumber !== order.tracking.trackingNumber;
+
     // Update tracking information
     if (trackingNumber) order.tracking.trackingNumber = trackingNumber;
     if (courier) order.tracking.courier = courier;
     if (estimatedDeliveryDate) order.tracking.estimatedDeliveryDate = new Date(estimatedDeliveryDate);
     if (trackingUrl) order.tracking.trackingUrl = trackingUrl;
 
+    // A tracking number on a packed order means the courier has it
+    if (trackingChanged && order.status === 'Ready_to_Ship') {
+      await transitionOrder(order, 'Shipped', {
+        note: `Shipped with tracking number ${trackingNumber}`,
+        updatedBy: req.user._id
+      });
+    } else if (trackingChanged && ['Shipped', 'Out_for_Delivery'].includes(order.status)) {
+      queueOrderNotification(order, 'shipped');
+    }
+
     const updatedOrder = await order.save();
 
     res.json({
       success: true,
       message: 'Tracking information updated successfully',
+      status: updatedOrder.status,
       tracking: updatedOrder.tracking
     });
 
@@ -1922,18 +3394,15 @@ const getMySubscriptions = async (req, res) => {
     
     const status = req.query.status;
     
-    let filter = { 
-      user: req.user._id,
-      isSubscription: true
-    };
+    let filter = { user: req.user._id };
     
     if (status && status !== 'all') {
       filter.subscriptionStatus = status;
     }
 
-    const totalSubscriptions = await Order.countDocuments(filter);
+    const totalSubscriptions = await Subscription.countDocuments(filter);
     
-    const subscriptions = await Order.find(filter)
+    const subscriptions = await Subscription.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
@@ -1984,9 +3453,9 @@ const getMySubscriptions = async (req, res) => {
 const pauseSubscription = async (req, res) => {
   try {
     const { reason } = req.body;
-    const order = await Order.findById(req.params.id);
+    const subscription = await Subscription.findById(req.params.id);
 
-    if (!order) {
+    if (!subscription) {
       return res.status(404).json({ 
         success: false,
         message: 'Subscription not found' 
@@ -1994,38 +3463,37 @@ const pauseSubscription = async (req, res) => {
     }
 
     // Check authorization
-    if (order.user.toString() !== req.user._id.toString()) {
+    if (subscription.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({ 
         success: false,
         message: 'Not authorized to pause this subscription' 
       });
     }
 
-    // Check if it's a subscription
-    if (!order.isSubscription) {
+    // Check if subscription can be paused
+    if (subscription.subscriptionStatus !== 'active') {
       return res.status(400).json({ 
         success: false,
-        message: 'This is not a subscription order' 
+        message: 'Only active subscriptions can be paused' 
       });
     }
 
-    // Check if subscription can be paused
-    if (order.subscriptionStatus !== 'active') {
+    if (subscription.hasPendingHold()) {
       return res.status(400).json({ 
         success: false,
-        message: 'Only active subscriptions can be paused' 
+        message: 'Cancel the scheduled skip or vacation hold before pausing' 
       });
     }
 
     // Pause Stripe subscription
-    if (order.stripeSubscriptionId) {
+    if (subscription.stripeSubscriptionId) {
       try {
-        await stripe.subscriptions.update(order.stripeSubscriptionId, {
+        await stripe.subscriptions.update(subscription.stripeSubscriptionId, {
           pause_collection: {
             behavior: 'keep_as_draft'
           }
         });
-        console.log(`Paused Stripe subscription: ${order.stripeSubscriptionId}`);
+        console.log(`Paused Stripe subscription: ${subscription.stripeSubscriptionId}`);
       } catch (stripeError) {
         console.error('Error pausing Stripe subscription:', stripeError);
         return res.status(400).json({
@@ -2036,19 +3504,18 @@ const pauseSubscription = async (req, res) => {
       }
     }
 
-    order.subscriptionStatus = 'paused';
-    order.addStatusToHistory('Cancelled', `Subscription paused: ${reason || 'User request'}`, req.user._id);
+    subscription.subscriptionStatus = 'paused';
 
-    const updatedOrder = await order.save();
+    const updatedSubscription = await subscription.save();
 
-    console.log(`Subscription ${order._id} paused`);
+    console.log(`Subscription ${subscription._id} paused: ${reason || 'User request'}`);
 
     res.json({
       success: true,
       message: 'Subscription paused successfully',
       subscription: {
-        ...updatedOrder.toObject(),
-        trackingStage: updatedOrder.getTrackingStage()
+        ...updatedSubscription.toObject(),
+        billingInfo: updatedSubscription.billingInfo
       }
     });
 
@@ -2065,9 +3532,9 @@ const pauseSubscription = async (req, res) => {
 // Resume subscription
 const resumeSubscription = async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id);
+    const subscription = await Subscription.findById(req.params.id);
 
-    if (!order) {
+    if (!subscription) {
       return res.status(404).json({ 
         success: false,
         message: 'Subscription not found' 
@@ -2075,23 +3542,15 @@ const resumeSubscription = async (req, res) => {
     }
 
     // Check authorization
-    if (order.user.toString() !== req.user._id.toString()) {
+    if (subscription.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({ 
         success: false,
         message: 'Not authorized to resume this subscription' 
       });
     }
 
-    // Check if it's a subscription
-    if (!order.isSubscription) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'This is not a subscription order' 
-      });
-    }
-
     // Check if subscription can be resumed
-    if (order.subscriptionStatus !== 'paused') {
+    if (subscription.subscriptionStatus !== 'paused') {
       return res.status(400).json({ 
         success: false,
         message: 'Only paused subscriptions can be resumed' 
@@ -2099,12 +3558,12 @@ const resumeSubscription = async (req, res) => {
     }
 
     // Resume Stripe subscription
-    if (order.stripeSubscriptionId) {
+    if (subscription.stripeSubscriptionId) {
       try {
-        await stripe.subscriptions.update(order.stripeSubscriptionId, {
+        await stripe.subscriptions.update(subscription.stripeSubscriptionId, {
           pause_collection: ''
         });
-        console.log(`Resumed Stripe subscription: ${order.stripeSubscriptionId}`);
+        console.log(`Resumed Stripe subscription: ${subscription.stripeSubscriptionId}`);
       } catch (stripeError) {
         console.error('Error resuming Stripe subscription:', stripeError);
         return res.status(400).json({
@@ -2115,19 +3574,18 @@ const resumeSubscription = async (req, res) => {
       }
     }
 
-    order.subscriptionStatus = 'active';
-    order.addStatusToHistory('Payment_Confirmed', 'Subscription resumed', req.user._id);
+    subscription.subscriptionStatus = 'active';
 
-    const updatedOrder = await order.save();
+    const updatedSubscription = await subscription.save();
 
-    console.log(`Subscription ${order._id} resumed`);
+    console.log(`Subscription ${subscription._id} resumed`);
 
     res.json({
       success: true,
       message: 'Subscription resumed successfully',
       subscription: {
-        ...updatedOrder.toObject(),
-        trackingStage: updatedOrder.getTrackingStage()
+        ...updatedSubscription.toObject(),
+        billingInfo: updatedSubscription.billingInfo
       }
     });
 
@@ -2141,13 +3599,340 @@ const resumeSubscription = async (req, res) => {
   }
 };
 
+// Load a subscription the user may skip or hold. Sends the error response and
+// returns null when it can't be changed.
+const loadHoldableSubscription = async (req, res) => {
+  const subscription = await Subscription.findById(req.params.id);
+
+  if (!subscription) {
+    res.status(404).json({ 
+      success: false,
+      message: 'Subscription not found' 
+    });
+    return null;
+  }
+
+  if (subscription.user.toString() !== req.user._id.toString()) {
+    res.status(403).json({ 
+      success: false,
+      message: 'Not authorized to change this subscription' 
+    });
+    return null;
+  }
+
+  if (subscription.subscriptionStatus !== 'active') {
+    res.status(400).json({ 
+      success: false,
+      message: 'Only active subscriptions can skip deliveries' 
+    });
+    return null;
+  }
+
+  return subscription;
+};
+
+// Skip the next delivery. Its invoice is voided by Stripe and billing carries on
+// with the following cycle.
+const skipNextDelivery = async (req, res) => {
+  try {
+    const subscription = await loadHoldableSubscription(req, res);
+    if (!subscription) return;
+
+    if (subscription.hasPendingHold()) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'A skip or vacation hold is already scheduled' 
+      });
+    }
+
+    if (!subscription.nextBillingDate || subscription.nextBillingDate <= new Date()) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'The next delivery can no longer be skipped' 
+      });
+    }
+
+    const { startsAt, resumesAt } = getSkipWindow(subscription);
+    const skippedCycle = subscription.currentBillingCycle + 1;
+
+    try {
+      await scheduleHold(subscription, {
+        type: 'skip',
+        startsAt,
+        resumesAt,
+        reason: req.body.reason,
+        createdBy: req.user._id
+      });
+    } catch (stripeError) {
+      console.error('Error skipping Stripe invoice:', stripeError);
+      return res.status(400).json({
+        success: false,
+        message: 'Error skipping delivery with Stripe',
+        error: stripeError.message
+      });
+    }
+
+    console.log(`Subscription ${subscription._id} skipped cycle ${skippedCycle}`);
+
+    res.json({
+      success: true,
+      message: 'Your next delivery has been skipped',
+      skippedCycle,
+      billingInfo: subscription.billingInfo
+    });
+
+  } catch (error) {
+    console.error('Error skipping delivery:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error skipping delivery',
+      error: error.message 
+    });
+  }
+};
+
+// Hold deliveries between two dates; billing resumes by itself afterwards.
+// Body: { startDate, endDate, reason }
+const holdSubscription = async (req, res) => {
+  try {
+    const subscription = await loadHoldableSubscription(req, res);
+    if (!subscription) return;
+
+    if (subscription.hasPendingHold()) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'A skip or vacation hold is already scheduled' 
+      });
+    }
+
+    const dates = validateHoldDates(req.body.startDate || new Date(), req.body.endDate);
+    if (dates.error) {
+      return res.status(400).json({ 
+        success: false,
+        message: dates.error 
+      });
+    }
+
+    // A hold that has already started only covers deliveries still to come
+    const startsAt = dates.startsAt < new Date() ? new Date() : dates.startsAt;
+
+    try {
+      await scheduleHold(subscription, {
+        type: 'vacation',
+        startsAt,
+        resumesAt: dates.resumesAt,
+        reason: req.body.reason,
+        createdBy: req.user._id
+      });
+    } catch (stripeError) {
+      console.error('Error pausing Stripe collection:', stripeError);
+      return res.status(400).json({
+        success: false,
+        message: 'Error scheduling hold with Stripe',
+        error: stripeError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: subscription.deliveryHold.status === 'active'
+        ? 'Your deliveries are on hold'
+        : 'Your vacation hold has been scheduled',
+      hold: subscription.deliveryHold,
+      billingInfo: subscription.billingInfo
+    });
+
+  } catch (error) {
+    console.error('Error holding subscription:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error scheduling vacation hold',
+      error: error.message 
+    });
+  }
+};
+
+// Call off a skip or vacation hold; deliveries not yet passed are reinstated
+const cancelSubscriptionHold = async (req, res) => {
+  try {
+    const subscription = await loadHoldableSubscription(req, res);
+    if (!subscription) return;
+
+    if (!subscription.hasPendingHold()) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'There is no skip or vacation hold to cancel' 
+      });
+    }
+
+    try {
+      await cancelHold(subscription);
+    } catch (stripeError) {
+      console.error('Error resuming Stripe collection:', stripeError);
+      return res.status(400).json({
+        success: false,
+        message: 'Error cancelling hold with Stripe',
+        error: stripeError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Your deliveries have been resumed',
+      billingInfo: subscription.billingInfo
+    });
+
+  } catch (error) {
+    console.error('Error cancelling subscription hold:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error cancelling hold',
+      error: error.message 
+    });
+  }
+};
+
+// Open Stripe's hosted page for updating the card on a subscription in dunning.
+// Works for the logged-in owner or with the token from a reminder email.
+const createPaymentUpdateSession = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Invalid subscription ID format' 
+      });
+    }
+
+    const subscription = await Subscription.findById(req.params.id);
+    const token = req.query.token || req.body?.token;
+    const isOwner = req.user && subscription?.user.toString() === req.user._id.toString();
+
+    if (!subscription || (!isOwner && !subscription.isValidPaymentResumeToken(token))) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Subscription not found or link is invalid' 
+      });
+    }
+
+    if (subscription.dunning?.status !== 'active') {
+      return res.status(409).json({ 
+        success: false,
+        message: 'This subscription has no payment outstanding' 
+      });
+    }
+
+    let customerId = subscription.stripeCustomerId;
+    if (!customerId) {
+      const user = await User.findById(subscription.user).select('stripeCustomerId');
+      customerId = user?.stripeCustomerId;
+    }
+    if (!customerId) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'No Stripe customer found for this subscription' 
+      });
+    }
+
+    const returnUrl = `${process.env.FRONTEND_URL || 'http://localhost:3001'}/subscriptions/${subscription._id}`;
+    const session = await stripe.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: returnUrl,
+      flow_data: {
+        type: 'payment_method_update',
+        after_completion: {
+          type: 'redirect',
+          redirect: { return_url: returnUrl }
+        }
+      }
+    });
+
+    // The open invoice can also be paid straight away on Stripe's invoice page
+    const invoice = await stripe.invoices.retrieve(subscription.dunning.stripeInvoiceId);
+
+    res.json({
+      success: true,
+      url: session.url,
+      invoiceUrl: invoice.status === 'open' ? invoice.hosted_invoice_url : null,
+      amountDue: subscription.dunning.amountDue,
+      nextAttemptAt: subscription.dunning.nextAttemptAt
+    });
+
+  } catch (error) {
+    console.error('Error creating payment update session:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error opening payment method update',
+      error: error.message 
+    });
+  }
+};
+
+// Get subscriptions in dunning (admin only). Query: status (active by default, or 'all')
+const getDunningSubscriptions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const status = req.query.status || 'active';
+
+    const filter = {
+      'dunning.status': status === 'all' ? { $ne: null } : status
+    };
+
+    const [subscriptions, totalSubscriptions] = await Promise.all([
+      Subscription.find(filter)
+        .select('user subscriptionName subscriptionType subscriptionPrice subscriptionStatus stripeSubscriptionId nextBillingDate dunning')
+        .populate('user', 'name email')
+        .sort({ 'dunning.startedAt': -1 })
+        .skip(skip)
+        .limit(limit),
+      Subscription.countDocuments(filter)
+    ]);
+
+    const summary = await Subscription.aggregate([
+      { $match: { 'dunning.status': { $ne: null } } },
+      {
+        $group: {
+          _id: '$dunning.status',
+          count: { $sum: 1 },
+          amountDue: { $sum: '$dunning.amountDue' }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      subscriptions,
+      summary: summary.reduce((result, entry) => ({
+        ...result,
+        [entry._id]: { count: entry.count, amountDue: roundCurrency(entry.amountDue) }
+      }), {}),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalSubscriptions / limit),
+        totalSubscriptions,
+        hasNextPage: page < Math.ceil(totalSubscriptions / limit),
+        hasPrevPage: page > 1,
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting dunning subscriptions:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error fetching subscriptions in dunning',
+      error: error.message 
+    });
+  }
+};
+
 // Cancel subscription
 const cancelSubscription = async (req, res) => {
   try {
     const { reason } = req.body;
-    const order = await Order.findById(req.params.id);
+    const subscription = await Subscription.findById(req.params.id);
 
-    if (!order) {
+    if (!subscription) {
       return res.status(404).json({ 
         success: false,
         message: 'Subscription not found' 
@@ -2155,23 +3940,15 @@ const cancelSubscription = async (req, res) => {
     }
 
     // Check authorization
-    if (order.user.toString() !== req.user._id.toString()) {
+    if (subscription.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({ 
         success: false,
         message: 'Not authorized to cancel this subscription' 
       });
     }
 
-    // Check if it's a subscription
-    if (!order.isSubscription) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'This is not a subscription order' 
-      });
-    }
-
     // Check if subscription can be cancelled
-    if (['cancelled', 'expired'].includes(order.subscriptionStatus)) {
+    if (['cancelled', 'expired'].includes(subscription.subscriptionStatus)) {
       return res.status(400).json({ 
         success: false,
         message: 'Subscription is already cancelled or expired' 
@@ -2179,12 +3956,12 @@ const cancelSubscription = async (req, res) => {
     }
 
     // Cancel Stripe subscription
-    if (order.stripeSubscriptionId) {
+    if (subscription.stripeSubscriptionId) {
       try {
-        await stripe.subscriptions.update(order.stripeSubscriptionId, {
+        await stripe.subscriptions.update(subscription.stripeSubscriptionId, {
           cancel_at_period_end: true
         });
-        console.log(`Cancelled Stripe subscription: ${order.stripeSubscriptionId}`);
+        console.log(`Cancelled Stripe subscription: ${subscription.stripeSubscriptionId}`);
       } catch (stripeError) {
         console.error('Error cancelling Stripe subscription:', stripeError);
         return res.status(400).json({
@@ -2195,19 +3972,20 @@ const cancelSubscription = async (req, res) => {
       }
     }
 
-    order.subscriptionStatus = 'cancelled';
-    order.addStatusToHistory('Cancelled', `Subscription cancelled: ${reason || 'User request'}`, req.user._id);
+    subscription.subscriptionStatus = 'cancelled';
+    subscription.cancellationReason = reason || 'User request';
+    if (subscription.hasPendingHold()) subscription.deliveryHold.status = 'cancelled';
 
-    const updatedOrder = await order.save();
+    const updatedSubscription = await subscription.save();
 
-    console.log(`Subscription ${order._id} cancelled`);
+    console.log(`Subscription ${subscription._id} cancelled`);
 
     res.json({
       success: true,
       message: 'Subscription cancelled successfully',
       subscription: {
-        ...updatedOrder.toObject(),
-        trackingStage: updatedOrder.getTrackingStage()
+        ...updatedSubscription.toObject(),
+        billingInfo: updatedSubscription.billingInfo
       }
     });
 
@@ -2223,64 +4001,15 @@ const cancelSubscription = async (req, res) => {
 
 
 
-// Process recurring billing for subscriptions (now handled by Stripe webhooks)
+// Bring subscription statuses in line with Stripe (billing itself is handled by Stripe webhooks)
 const processRecurringBilling = async (req, res) => {
   try {
-    console.log('Checking Stripe subscriptions status...');
-    
-    // Get all active subscriptions from database
-    const activeSubscriptions = await Order.find({ 
-      isSubscription: true, 
-      subscriptionStatus: 'active',
-      stripeSubscriptionId: { $exists: true }
-    }).populate('user', 'name email');
-    
-    const processedSubscriptions = [];
-    const failedSubscriptions = [];
-
-    for (const subscription of activeSubscriptions) {
-      try {
-        // Check Stripe subscription status
-        const stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripeSubscriptionId);
-        
-        // Update local subscription status based on Stripe status
-        let updated = false;
-        if (stripeSubscription.status === 'canceled' && subscription.subscriptionStatus !== 'cancelled') {
-          subscription.subscriptionStatus = 'cancelled';
-          subscription.addStatusToHistory('Cancelled', 'Subscription cancelled in Stripe', null);
-          updated = true;
-        } else if (stripeSubscription.status === 'past_due' && subscription.subscriptionStatus !== 'payment_failed') {
-          subscription.subscriptionStatus = 'payment_failed';
-          subscription.addStatusToHistory('Payment_Failed', 'Subscription payment past due', null);
-          updated = true;
-        }
-
-        if (updated) {
-          await subscription.save();
-          processedSubscriptions.push({
-            subscriptionId: subscription._id,
-            stripeStatus: stripeSubscription.status,
-            action: 'updated_status'
-          });
-        }
-
-        console.log(`Checked subscription ${subscription._id}, Stripe status: ${stripeSubscription.status}`);
-      } catch (error) {
-        console.error(`Error checking subscription ${subscription._id}:`, error);
-        failedSubscriptions.push({
-          subscriptionId: subscription._id,
-          error: error.message
-        });
-      }
-    }
+    const result = await syncSubscriptionStatuses();
 
     res.json({
       success: true,
       message: 'Subscription status check completed',
-      processed: processedSubscriptions.length,
-      failed: failedSubscriptions.length,
-      processedSubscriptions,
-      failedSubscriptions,
+      ...result,
       note: 'Recurring billing is now handled automatically by Stripe webhooks'
     });
 
@@ -2300,12 +4029,18 @@ module.exports = {
   getMyOrders,
   getOrderById,
   updateOrderStatus,
+  getAllowedTransitions,
+  getOrderInvoice,
   confirmStripePayment,
+  getPaymentResume,
+  resumeOrderPayment,
   handleStripeWebhook,
+  getStripeEvents,
+  replayStripeEvent,
   cancelOrder,
   deleteOrder,
   getOrderTracking,
-  initiateReturn,
+  refundOrder,
   updateTracking,
   createPaymentIntent,
   confirmPayment,
@@ -2313,12 +4048,20 @@ module.exports = {
   getMySubscriptions,
   pauseSubscription,
   resumeSubscription,
+  skipNextDelivery,
+  holdSubscription,
+  cancelSubscriptionHold,
+  createPaymentUpdateSession,
+  getDunningSubscriptions,
   cancelSubscription,
   processRecurringBilling,
   getSubscriptionAnalytics, 
   createStripeSubscription,
-  getPlans,
   getSubscriptionById,
   updateSubscription,
+  getSubscriptionSelections,
+  updateCycleSelection,
+  previewPlanChange,
+  changeSubscriptionPlan,
   getSubscriptionPaymentHistory
 };
\ No newline at end of file
@@ -0,0 +1,108 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { getOrCreateStripeCustomer, describeCard } = require('../utils/paymentMethods');
+
+// Start saving a card. The frontend confirms the returned client secret with
+// Stripe and can then pay with the SetupIntent or its PaymentMethod.
+const createSetupIntent = async (req, res) => {
+  try {
+    const customerId = await getOrCreateStripeCustomer(req.user);
+
+    const setupIntent = await stripe.setupIntents.create({
+      customer: customerId,
+      payment_method_types: ['card'],
+      usage: 'off_session',
+      metadata: {
+        userId: req.user._id.toString()
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      setupIntentId: setupIntent.id,
+      clientSecret: setupIntent.client_secret
+    });
+
+  } catch (error) {
+    console.error('Error creating setup intent:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating setup intent',
+      error: error.message
+    });
+  }
+};
+
+// List the user's saved cards
+const getPaymentMethods = async (req, res) => {
+  try {
+    if (!req.user.stripeCustomerId) {
+      return res.json({
+        success: true,
+        paymentMethods: [],
+        defaultPaymentMethod: null
+      });
+    }
+
+    const [paymentMethods, customer] = await Promise.all([
+      stripe.paymentMethods.list({ customer: req.user.stripeCustomerId, type: 'card', limit: 100 }),
+      stripe.customers.retrieve(req.user.stripeCustomerId)
+    ]);
+
+    res.json({
+      success: true,
+      paymentMethods: paymentMethods.data.map(describeCard),
+      defaultPaymentMethod: customer.invoice_settings?.default_payment_method || null
+    });
+
+  } catch (error) {
+    console.error('Error getting payment methods:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payment methods',
+      error: error.message
+    });
+  }
+};
+
+// Remove a saved card
+const deletePaymentMethod = async (req, res) => {
+  try {
+    let paymentMethod;
+    try {
+      paymentMethod = await stripe.paymentMethods.retrieve(req.params.id);
+    } catch (error) {
+      paymentMethod = null;
+    }
+
+    // Cards of other customers are reported as missing
+    if (!paymentMethod || !req.user.stripeCustomerId || paymentMethod.customer !== req.user.stripeCustomerId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment method not found'
+      });
+    }
+
+    await stripe.paymentMethods.detach(paymentMethod.id);
+
+    console.log(`Payment method ${paymentMethod.id} removed for user ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Payment method removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting payment method:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing payment method',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createSetupIntent,
+  getPaymentMethods,
+  deletePaymentMethod
+};
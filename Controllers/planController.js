@@ -0,0 +1,302 @@
+const mongoose = require('mongoose');
+const Plan = require('../Models/Plan');
+const Subscription = require('../Models/Subscription');
+const { syncPlanWithStripe, archivePlanInStripe } = require('../utils/planSync');
+
+const PLAN_FIELDS = [
+  'name', 'slug', 'description', 'features', 'imageUrl', 'price', 'currency',
+  'recurrenceOptions', 'maxProducts', 'eligibleCategories', 'isActive', 'sortOrder'
+];
+
+// Fields that change the Stripe product or prices
+const STRIPE_PLAN_FIELDS = ['name', 'description', 'price', 'currency', 'recurrenceOptions', 'isActive'];
+
+// Customer facing shape of a plan
+const formatPlan = (plan) => ({
+  _id: plan._id,
+  name: plan.name,
+  slug: plan.slug,
+  description: plan.description,
+  features: plan.features,
+  imageUrl: plan.imageUrl,
+  price: plan.price,
+  currency: plan.currency,
+  maxProducts: plan.maxProducts,
+  eligibleCategories: plan.eligibleCategories,
+  recurrenceOptions: plan.recurrenceOptions.map(option => ({
+    recurrence: option.recurrence,
+    label: option.label || Plan.DEFAULT_RECURRENCE_LABELS[option.recurrence],
+    price: plan.getOptionPrice(option),
+    priceId: option.stripePriceId
+  }))
+});
+
+// Plan catalog shown at checkout
+const getPlans = async (req, res) => {
+  try {
+    const plans = await Plan.find({ isActive: true }).sort({ sortOrder: 1, price: 1 });
+
+    res.json({
+      success: true,
+      plans: plans.map(formatPlan)
+    });
+
+  } catch (error) {
+    console.error('Error getting plans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching plans',
+      error: error.message
+    });
+  }
+};
+
+// Get all plans including inactive ones (admin only)
+const getAllPlans = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const plans = await Plan.find(filter).sort({ sortOrder: 1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      plans
+    });
+
+  } catch (error) {
+    console.error('Error getting plans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching plans',
+      error: error.message
+    });
+  }
+};
+
+// Get single plan (admin only)
+const getPlan = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid plan ID format'
+      });
+    }
+
+    const plan = await Plan.findById(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      plan
+    });
+
+  } catch (error) {
+    console.error('Error getting plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching plan',
+      error: error.message
+    });
+  }
+};
+
+// Create plan and its Stripe product and prices (admin only)
+const createPlan = async (req, res) => {
+  try {
+    const planData = {};
+    for (const field of PLAN_FIELDS) {
+      if (req.body[field] !== undefined) planData[field] = req.body[field];
+    }
+
+    // Stripe IDs are managed by the sync, never by the client
+    if (Array.isArray(planData.recurrenceOptions)) {
+      planData.recurrenceOptions = planData.recurrenceOptions.map(({ stripePriceId, ...option }) => option);
+    }
+
+    const plan = new Plan(planData);
+    await plan.validate();
+
+    if (await Plan.exists({ slug: plan.slug })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A plan with this slug already exists'
+      });
+    }
+
+    await syncPlanWithStripe(plan);
+    await plan.save();
+
+    console.log(`Plan created: ${plan.slug}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Plan created successfully',
+      plan
+    });
+
+  } catch (error) {
+    console.error('Error creating plan:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A plan with this slug already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating plan',
+      error: error.message
+    });
+  }
+};
+
+// Update plan (admin only). Changed prices get new Stripe prices; existing
+// subscribers stay on the price they signed up with.
+const updatePlan = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid plan ID format'
+      });
+    }
+
+    const plan = await Plan.findById(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    const previousPriceIds = plan.recurrenceOptions.map(option => option.stripePriceId).filter(Boolean);
+
+    for (const field of PLAN_FIELDS) {
+      if (req.body[field] === undefined) continue;
+
+      if (field === 'recurrenceOptions' && Array.isArray(req.body.recurrenceOptions)) {
+        // Keep the Stripe price of options that are still offered
+        plan.recurrenceOptions = req.body.recurrenceOptions.map(({ stripePriceId, ...option }) => ({
+          ...option,
+          stripePriceId: plan.getRecurrenceOption(option.recurrence)?.stripePriceId || null
+        }));
+      } else {
+        plan[field] = req.body[field];
+      }
+    }
+
+    await plan.validate();
+
+    if (STRIPE_PLAN_FIELDS.some(field => plan.isModified(field))) {
+      await syncPlanWithStripe(plan, previousPriceIds);
+    }
+
+    const updatedPlan = await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Plan updated successfully',
+      plan: updatedPlan
+    });
+
+  } catch (error) {
+    console.error('Error updating plan:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A plan with this slug already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating plan',
+      error: error.message
+    });
+  }
+};
+
+// Delete plan (admin only) - plans with subscribers are deactivated to keep their history intact
+const deletePlan = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid plan ID format'
+      });
+    }
+
+    const plan = await Plan.findById(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    const hasSubscribers = await Subscription.exists({ plan: plan._id });
+
+    if (hasSubscribers) {
+      plan.isActive = false;
+      await syncPlanWithStripe(plan);
+      await plan.save();
+
+      return res.json({
+        success: true,
+        message: 'Plan has subscribers and was deactivated instead of deleted'
+      });
+    }
+
+    await archivePlanInStripe(plan);
+    await Plan.deleteOne({ _id: plan._id });
+
+    res.json({
+      success: true,
+      message: 'Plan deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting plan',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPlans,
+  getAllPlans,
+  getPlan,
+  createPlan,
+  updatePlan,
+  deletePlan
+};
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const ReconciliationReport = require('../Models/ReconciliationReport');
+const { runReconciliation } = require('../utils/stripeReconciliation');
+
+// List reconciliation runs, newest first (admin only)
+const getReconciliationReports = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.hasOpen === 'true') filter['summary.open'] = { $gt: 0 };
+
+    const [reports, totalReports] = await Promise.all([
+      ReconciliationReport.find(filter)
+        .select('-discrepancies')
+        .populate('triggeredBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ReconciliationReport.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      reports,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalReports / limit),
+        totalReports,
+        hasNextPage: page < Math.ceil(totalReports / limit),
+        hasPrevPage: page > 1,
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting reconciliation reports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation reports',
+      error: error.message
+    });
+  }
+};
+
+// Get one run with its discrepancies (admin only). Pass ?fixed=false for open ones only.
+const getReconciliationReport = async (req, res) => {
+  try {
+    const query = req.params.id === 'latest'
+      ? ReconciliationReport.findOne().sort({ createdAt: -1 })
+      : mongoose.Types.ObjectId.isValid(req.params.id) ? ReconciliationReport.findById(req.params.id) : null;
+
+    const report = query ? await query.populate('triggeredBy', 'name email') : null;
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation report not found'
+      });
+    }
+
+    const result = report.toObject();
+    if (req.query.fixed !== undefined) {
+      result.discrepancies = result.discrepancies.filter(entry => entry.fixed === (req.query.fixed === 'true'));
+    }
+    if (req.query.type) {
+      result.discrepancies = result.discrepancies.filter(entry => entry.type === req.query.type);
+    }
+
+    res.json({
+      success: true,
+      report: result
+    });
+
+  } catch (error) {
+    console.error('Error getting reconciliation report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation report',
+      error: error.message
+    });
+  }
+};
+
+// Run a reconciliation now (admin only). Optional lookbackHours in the body.
+const runReconciliationNow = async (req, res) => {
+  try {
+    const lookbackHours = parseInt(req.body?.lookbackHours) || undefined;
+
+    if (lookbackHours !== undefined && (lookbackHours < 1 || lookbackHours > 24 * 90)) {
+      return res.status(400).json({
+        success: false,
+        message: 'lookbackHours must be between 1 and 2160'
+      });
+    }
+
+    const report = await runReconciliation({ trigger: 'manual', triggeredBy: req.user._id, lookbackHours });
+
+    res.status(report.status === 'completed' ? 200 : 500).json({
+      success: report.status === 'completed',
+      message: report.status === 'completed' ? 'Reconciliation completed' : 'Reconciliation failed',
+      report
+    });
+
+  } catch (error) {
+    console.error('Error running reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running reconciliation',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getReconciliationReports,
+  getReconciliationReport,
+  runReconciliationNow
+};
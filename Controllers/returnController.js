@@ -0,0 +1,647 @@
+const mongoose = require('mongoose');
+const Order = require('../Models/Order');
+const ReturnRequest = require('../Models/ReturnRequest');
+const ReturnPolicy = require('../Models/ReturnPolicy');
+const { deleteS3Object } = require('../config/s3');
+const { roundCurrency } = require('../utils/orderPricing');
+const { transitionOrder } = require('../utils/orderStateMachine');
+const {
+  getRefundablePayment,
+  calculateLineRefund,
+  createStripeRefund,
+  recordRefund
+} = require('../utils/refunds');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Remove uploaded photos when the return request is not created
+const discardUploads = async (files = []) => {
+  for (const file of files) {
+    await deleteS3Object(file.key);
+  }
+};
+
+// Load a return and make sure it can move to the given status
+const findReturnForTransition = async (id, status) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { statusCode: 400, message: 'Invalid return ID format' };
+  }
+
+  const returnRequest = await ReturnRequest.findById(id);
+
+  if (!returnRequest) {
+    return { statusCode: 404, message: 'Return request not found' };
+  }
+  if (!returnRequest.canTransitionTo(status)) {
+    return { statusCode: 400, message: `Cannot move a ${returnRequest.status} return to ${status}` };
+  }
+
+  return { returnRequest };
+};
+
+// Request a return for selected order lines (customer).
+// Multipart body: orderId, items (JSON [{ product, quantity }]), reason, description, photos[]
+const requestReturn = async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    const orderId = req.params.id || req.body.orderId;
+    const { reason, description } = req.body;
+    let { items } = req.body;
+
+    if (typeof items === 'string') {
+      try {
+        items = JSON.parse(items);
+      } catch (parseError) {
+        items = null;
+      }
+    }
+
+    if (!reason) {
+      await discardUploads(files);
+      return res.status(400).json({
+        success: false,
+        message: 'Return reason is required'
+      });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      await discardUploads(files);
+      return res.status(400).json({
+        success: false,
+        message: 'Select at least one item to return'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      await discardUploads(files);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID format'
+      });
+    }
+
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      await discardUploads(files);
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Check authorization
+    if (order.user.toString() !== req.user._id.toString()) {
+      await discardUploads(files);
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to return this order'
+      });
+    }
+
+    if (!['Delivered', 'Returned'].includes(order.status) || !order.deliveredAt) {
+      await discardUploads(files);
+      return res.status(400).json({
+        success: false,
+        message: 'Only delivered orders can be returned'
+      });
+    }
+
+    const returnWindows = await ReturnPolicy.getReturnWindows();
+    // Refunded returns are already counted in each line's refundedQuantity
+    const openReturns = await ReturnRequest.find({ order: order._id, status: { $nin: ['rejected', 'refunded'] } });
+    const daysSinceDelivery = Math.floor((Date.now() - new Date(order.deliveredAt).getTime()) / DAY_MS);
+
+    const returnItems = [];
+    const errors = [];
+
+    for (const requested of items) {
+      const line = order.orderItems.find(item => item.product.toString() === requested.product?.toString());
+      const quantity = Number(requested.quantity);
+
+      if (!line) {
+        errors.push(`Product ${requested.product} is not part of this order`);
+        continue;
+      }
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        errors.push(`Invalid return quantity for ${line.name}`);
+        continue;
+      }
+
+      const returnWindow = line.category in returnWindows
+        ? returnWindows[line.category]
+        : ReturnPolicy.DEFAULT_RETURN_WINDOW_DAYS;
+
+      if (returnWindow === null) {
+        errors.push(`${line.name} cannot be returned`);
+        continue;
+      }
+      if (daysSinceDelivery > returnWindow) {
+        errors.push(`The ${returnWindow}-day return window for ${line.name} has expired`);
+        continue;
+      }
+
+      const alreadyRequested = openReturns.reduce((sum, entry) => sum + entry.items
+        .filter(item => item.product.toString() === line.product.toString())
+        .reduce((lineSum, item) => lineSum + item.quantity, 0), 0);
+      const returnable = line.quantity - (line.refundedQuantity || 0) - alreadyRequested;
+
+      if (quantity > returnable) {
+        errors.push(`Only ${Math.max(0, returnable)} of ${line.name} can be returned`);
+        continue;
+      }
+
+      returnItems.push({
+        product: line.product,
+        name: line.name,
+        category: line.category,
+        quantity,
+        price: line.price
+      });
+    }
+
+    if (errors.length > 0) {
+      await discardUploads(files);
+      return res.status(400).json({
+        success: false,
+        message: 'Some items cannot be returned',
+        errors
+      });
+    }
+
+    const returnRequest = await ReturnRequest.create({
+      order: order._id,
+      user: req.user._id,
+      items: returnItems,
+      reason,
+      description,
+      photos: files.map(file => ({ url: file.location, key: file.key }))
+    });
+
+    order.returnReason = reason;
+    order.returnRequestedAt = new Date();
+    await order.save();
+
+    console.log(`Return ${returnRequest.rmaNumber} requested for order ${order._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Return request submitted successfully',
+      returnRequest
+    });
+
+  } catch (error) {
+    console.error('Error requesting return:', error);
+    await discardUploads(files);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting return',
+      error: error.message
+    });
+  }
+};
+
+// Get logged in user's returns
+const getMyReturns = async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ user: req.user._id })
+      .populate('order', 'totalPrice status createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: returns.length,
+      returns
+    });
+
+  } catch (error) {
+    console.error('Error getting my returns:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching your returns',
+      error: error.message
+    });
+  }
+};
+
+// Get all returns (admin only)
+const getReturns = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.order) filter.order = req.query.order;
+
+    const [returns, totalReturns] = await Promise.all([
+      ReturnRequest.find(filter)
+        .populate('user', 'name email')
+        .populate('order', 'totalPrice status deliveredAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ReturnRequest.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      returns,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalReturns / limit),
+        totalReturns,
+        hasNextPage: page < Math.ceil(totalReturns / limit),
+        hasPrevPage: page > 1,
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting returns:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching returns',
+      error: error.message
+    });
+  }
+};
+
+// Get single return (owner or admin)
+const getReturnById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid return ID format'
+      });
+    }
+
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate('user', 'name email')
+      .populate('order', 'orderItems totalPrice status deliveredAt')
+      .populate('statusHistory.updatedBy', 'name email');
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    if (returnRequest.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this return'
+      });
+    }
+
+    res.json({
+      success: true,
+      returnRequest
+    });
+
+  } catch (error) {
+    console.error('Error getting return:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching return',
+      error: error.message
+    });
+  }
+};
+
+// Approve a return request (admin only)
+const approveReturn = async (req, res) => {
+  try {
+    const { returnRequest, statusCode, message } = await findReturnForTransition(req.params.id, 'approved');
+
+    if (!returnRequest) {
+      return res.status(statusCode).json({
+        success: false,
+        message
+      });
+    }
+
+    returnRequest.addStatusToHistory('approved', req.body.note || 'Return approved', req.user._id);
+    returnRequest.approvedAt = new Date();
+    if (req.body.adminNotes) returnRequest.adminNotes = req.body.adminNotes;
+    await returnRequest.save();
+
+    console.log(`Return ${returnRequest.rmaNumber} approved`);
+
+    res.json({
+      success: true,
+      message: 'Return approved',
+      returnRequest
+    });
+
+  } catch (error) {
+    console.error('Error approving return:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving return',
+      error: error.message
+    });
+  }
+};
+
+// Reject a return request (admin only)
+const rejectReturn = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection reason is required'
+      });
+    }
+
+    const { returnRequest, statusCode, message } = await findReturnForTransition(req.params.id, 'rejected');
+
+    if (!returnRequest) {
+      return res.status(statusCode).json({
+        success: false,
+        message
+      });
+    }
+
+    returnRequest.addStatusToHistory('rejected', reason, req.user._id);
+    returnRequest.rejectionReason = reason;
+    returnRequest.rejectedAt = new Date();
+    if (req.body.adminNotes) returnRequest.adminNotes = req.body.adminNotes;
+    await returnRequest.save();
+
+    console.log(`Return ${returnRequest.rmaNumber} rejected`);
+
+    res.json({
+      success: true,
+      message: 'Return rejected',
+      returnRequest
+    });
+
+  } catch (error) {
+    console.error('Error rejecting return:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting return',
+      error: error.message
+    });
+  }
+};
+
+// Mark the returned items as received (admin only)
+const markReturnReceived = async (req, res) => {
+  try {
+    const { returnRequest, statusCode, message } = await findReturnForTransition(req.params.id, 'received');
+
+    if (!returnRequest) {
+      return res.status(statusCode).json({
+        success: false,
+        message
+      });
+    }
+
+    returnRequest.addStatusToHistory('received', req.body.note || 'Returned items received', req.user._id);
+    returnRequest.receivedAt = new Date();
+    await returnRequest.save();
+
+    const order = await Order.findById(returnRequest.order);
+    if (order && order.status === 'Delivered') {
+      await transitionOrder(order, 'Returned', {
+        note: `Items received for return ${returnRequest.rmaNumber}`,
+        updatedBy: req.user._id
+      });
+      await order.save();
+    }
+
+    console.log(`Return ${returnRequest.rmaNumber} received`);
+
+    res.json({
+      success: true,
+      message: 'Return marked as received',
+      returnRequest
+    });
+
+  } catch (error) {
+    console.error('Error marking return received:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking return as received',
+      error: error.message
+    });
+  }
+};
+
+// Refund the returned lines through Stripe (admin only).
+// An optional amount overrides the line total (e.g. to keep a restocking fee).
+const refundReturn = async (req, res) => {
+  try {
+    const { returnRequest, statusCode, message } = await findReturnForTransition(req.params.id, 'refunded');
+
+    if (!returnRequest) {
+      return res.status(statusCode).json({
+        success: false,
+        message
+      });
+    }
+
+    const order = await Order.findById(returnRequest.order);
+
+    if (!order || !order.isPaid) {
+      return res.status(400).json({
+        success: false,
+        message: 'The order for this return has no payment to refund'
+      });
+    }
+
+    const payment = await getRefundablePayment(order);
+
+    if (!payment) {
+      return res.status(400).json({
+        success: false,
+        message: 'No Stripe payment found to refund for this order'
+      });
+    }
+
+    const lineRefund = calculateLineRefund(order, returnRequest.items);
+
+    if (lineRefund.error) {
+      return res.status(400).json({
+        success: false,
+        message: lineRefund.error
+      });
+    }
+
+    const remaining = roundCurrency(payment.amount - payment.refunded);
+    const refundAmount = req.body.amount !== undefined
+      ? roundCurrency(Number(req.body.amount))
+      : Math.min(lineRefund.amount, remaining);
+
+    if (!(refundAmount > 0) || refundAmount > lineRefund.amount || refundAmount > remaining) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be between 0 and ${Math.min(lineRefund.amount, remaining).toFixed(2)}`
+      });
+    }
+
+    const note = `Refund for return ${returnRequest.rmaNumber}`;
+    const refund = await createStripeRefund(order, payment, refundAmount, {
+      items: lineRefund.items,
+      reason: 'requested_by_customer',
+      note
+    });
+
+    await recordRefund(order._id, refund, {
+      invoiceId: payment.invoiceId,
+      billingCycle: payment.billingCycle,
+      source: 'admin',
+      note,
+      updatedBy: req.user._id
+    });
+
+    returnRequest.addStatusToHistory('refunded', req.body.note || `Refunded ${refundAmount.toFixed(2)}`, req.user._id);
+    returnRequest.refundedAt = new Date();
+    returnRequest.refund = {
+      stripeRefundId: refund.id,
+      amount: refundAmount
+    };
+    await returnRequest.save();
+
+    console.log(`Return ${returnRequest.rmaNumber} refunded: ${refundAmount}`);
+
+    res.json({
+      success: true,
+      message: `Refund of ${refundAmount.toFixed(2)} issued successfully`,
+      returnRequest
+    });
+
+  } catch (error) {
+    console.error('Error refunding return:', error);
+
+    if (error.type === 'StripeInvalidRequestError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Stripe rejected the refund',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error refunding return',
+      error: error.message
+    });
+  }
+};
+
+// Get the return window for each product category
+const getReturnPolicies = async (req, res) => {
+  try {
+    const [policies, returnWindows] = await Promise.all([
+      ReturnPolicy.find().sort({ category: 1 }),
+      ReturnPolicy.getReturnWindows()
+    ]);
+
+    res.json({
+      success: true,
+      defaultReturnWindowDays: ReturnPolicy.DEFAULT_RETURN_WINDOW_DAYS,
+      returnWindows,
+      policies
+    });
+
+  } catch (error) {
+    console.error('Error getting return policies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching return policies',
+      error: error.message
+    });
+  }
+};
+
+// Create or update the return policy for a category (admin only)
+const setReturnPolicy = async (req, res) => {
+  try {
+    const { returnWindowDays, isReturnable, notes } = req.body;
+
+    if (returnWindowDays === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Return window is required'
+      });
+    }
+
+    const policy = await ReturnPolicy.findOneAndUpdate(
+      { category: req.params.category },
+      { category: req.params.category, returnWindowDays, isReturnable, notes },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: `Return policy for ${policy.category} saved`,
+      policy
+    });
+
+  } catch (error) {
+    console.error('Error saving return policy:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error saving return policy',
+      error: error.message
+    });
+  }
+};
+
+// Remove a category policy so the default window applies (admin only)
+const deleteReturnPolicy = async (req, res) => {
+  try {
+    const policy = await ReturnPolicy.findOneAndDelete({ category: req.params.category });
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Return policy for ${policy.category} removed`
+    });
+
+  } catch (error) {
+    console.error('Error deleting return policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting return policy',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  requestReturn,
+  getMyReturns,
+  getReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  markReturnReceived,
+  refundReturn,
+  getReturnPolicies,
+  setReturnPolicy,
+  deleteReturnPolicy
+};
@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const ShippingZone = require('../Models/ShippingZone');
+const Cart = require('../Models/Cart');
+const { priceOrderItems } = require('../utils/orderPricing');
+const { quoteShipping } = require('../utils/shippingCalculator');
+
+// Quote shipping options for a basket before placing the order
+const getShippingQuote = async (req, res) => {
+  try {
+    const { shippingAddress } = req.body;
+    let { orderItems } = req.body;
+
+    if (!shippingAddress?.country || !shippingAddress?.postalCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shipping country and postal code are required'
+      });
+    }
+
+    // Fall back to the logged in user's cart
+    if ((!orderItems || orderItems.length === 0) && req.user) {
+      const cart = await Cart.findOne({ user: req.user._id });
+      orderItems = cart ? cart.items : [];
+    }
+
+    const { orderItems: pricedItems, itemsPrice, errors } = await priceOrderItems(orderItems);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some order items are invalid',
+        errors
+      });
+    }
+
+    const { zone, options, totalWeight } = await quoteShipping(pricedItems, itemsPrice, shippingAddress);
+
+    if (!zone) {
+      return res.status(400).json({
+        success: false,
+        message: 'We do not deliver to this address yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      zone: {
+        id: zone._id,
+        name: zone.name
+      },
+      itemsPrice,
+      totalWeight,
+      options
+    });
+
+  } catch (error) {
+    console.error('Error quoting shipping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating shipping options',
+      error: error.message
+    });
+  }
+};
+
+// Get all delivery zones (admin only)
+const getShippingZones = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.country) filter.countries = req.query.country.toUpperCase();
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const zones = await ShippingZone.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: zones.length,
+      zones
+    });
+
+  } catch (error) {
+    console.error('Error getting shipping zones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shipping zones',
+      error: error.message
+    });
+  }
+};
+
+// Get single delivery zone (admin only)
+const getShippingZone = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid shipping zone ID format'
+      });
+    }
+
+    const zone = await ShippingZone.findById(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      zone
+    });
+
+  } catch (error) {
+    console.error('Error getting shipping zone:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shipping zone',
+      error: error.message
+    });
+  }
+};
+
+// Create delivery zone with its rate rules (admin only)
+const createShippingZone = async (req, res) => {
+  try {
+    const { name, countries, postalCodePrefixes, defaultCourier, rates, deliveryWindows, isActive } = req.body;
+
+    if (!name || !Array.isArray(countries) || countries.length === 0 || !defaultCourier) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, at least one country and a default courier are required'
+      });
+    }
+
+    const zone = await ShippingZone.create({
+      name,
+      countries,
+      postalCodePrefixes,
+      defaultCourier,
+      rates,
+      deliveryWindows,
+      isActive
+    });
+
+    console.log(`Shipping zone created: ${zone.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipping zone created successfully',
+      zone
+    });
+
+  } catch (error) {
+    console.error('Error creating shipping zone:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating shipping zone',
+      error: error.message
+    });
+  }
+};
+
+// Update delivery zone (admin only)
+const updateShippingZone = async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    const allowedFields = ['name', 'countries', 'postalCodePrefixes', 'defaultCourier', 'rates', 'deliveryWindows', 'isActive'];
+    for (const field of allowedFields) {
+      if (req.body[field] !== undefined) zone[field] = req.body[field];
+    }
+
+    const updatedZone = await zone.save();
+
+    res.json({
+      success: true,
+      message: 'Shipping zone updated successfully',
+      zone: updatedZone
+    });
+
+  } catch (error) {
+    console.error('Error updating shipping zone:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating shipping zone',
+      error: error.message
+    });
+  }
+};
+
+// Delete delivery zone (admin only)
+const deleteShippingZone = async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shipping zone deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting shipping zone:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting shipping zone',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getShippingQuote,
+  getShippingZones,
+  getShippingZone,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone
+};
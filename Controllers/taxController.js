@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const TaxRate = require('../Models/TaxRate');
+const { priceOrderItems } = require('../utils/orderPricing');
+const { calculateTax } = require('../utils/taxCalculator');
+
+// Get all tax rates (admin only)
+const getTaxRates = async (req, res) => {
+  try {
+    const { country, isActive } = req.query;
+
+    const filter = {};
+    if (country) filter.country = country.toUpperCase();
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const taxRates = await TaxRate.find(filter).sort({ country: 1, postalCodePrefix: 1 });
+
+    res.json({
+      success: true,
+      count: taxRates.length,
+      taxRates
+    });
+
+  } catch (error) {
+    console.error('Error getting tax rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tax rates',
+      error: error.message
+    });
+  }
+};
+
+// Get single tax rate (admin only)
+const getTaxRate = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tax rate ID format'
+      });
+    }
+
+    const taxRate = await TaxRate.findById(req.params.id);
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      taxRate
+    });
+
+  } catch (error) {
+    console.error('Error getting tax rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tax rate',
+      error: error.message
+    });
+  }
+};
+
+// Create tax rate (admin only)
+const createTaxRate = async (req, res) => {
+  try {
+    const { name, country, postalCodePrefix, rate, exemptCategories, isActive, notes } = req.body;
+
+    if (!name || !country || rate === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, country and rate are required'
+      });
+    }
+
+    const taxRate = await TaxRate.create({
+      name,
+      country,
+      postalCodePrefix,
+      rate,
+      exemptCategories,
+      isActive,
+      notes
+    });
+
+    console.log(`Tax rate created: ${taxRate.country} ${taxRate.postalCodePrefix || '(all)'} ${taxRate.rate}%`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rate created successfully',
+      taxRate
+    });
+
+  } catch (error) {
+    console.error('Error creating tax rate:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tax rate already exists for this country and postal code region'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating tax rate',
+      error: error.message
+    });
+  }
+};
+
+// Update tax rate (admin only)
+const updateTaxRate = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tax rate ID format'
+      });
+    }
+
+    const taxRate = await TaxRate.findById(req.params.id);
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    const allowedFields = ['name', 'country', 'postalCodePrefix', 'rate', 'exemptCategories', 'isActive', 'notes'];
+    for (const field of allowedFields) {
+      if (req.body[field] !== undefined) taxRate[field] = req.body[field];
+    }
+
+    const updatedTaxRate = await taxRate.save();
+
+    res.json({
+      success: true,
+      message: 'Tax rate updated successfully',
+      taxRate: updatedTaxRate
+    });
+
+  } catch (error) {
+    console.error('Error updating tax rate:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tax rate already exists for this country and postal code region'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating tax rate',
+      error: error.message
+    });
+  }
+};
+
+// Delete tax rate (admin only)
+const deleteTaxRate = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tax rate ID format'
+      });
+    }
+
+    const taxRate = await TaxRate.findByIdAndDelete(req.params.id);
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax rate deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting tax rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting tax rate',
+      error: error.message
+    });
+  }
+};
+
+// Preview tax for a basket and address (used by checkout before placing the order)
+const previewTax = async (req, res) => {
+  try {
+    const { orderItems, shippingAddress } = req.body;
+
+    if (!shippingAddress?.country) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shipping country is required'
+      });
+    }
+
+    const { orderItems: pricedItems, itemsPrice, errors } = await priceOrderItems(orderItems);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some order items are invalid',
+        errors
+      });
+    }
+
+    const tax = await calculateTax(pricedItems, shippingAddress);
+
+    res.json({
+      success: true,
+      itemsPrice,
+      ...tax
+    });
+
+  } catch (error) {
+    console.error('Error previewing tax:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating tax',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTaxRates,
+  getTaxRate,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+  previewTax
+};
@@ -0,0 +1,42 @@
+// Card details must go straight from the browser to Stripe. Requests that carry
+// card numbers, CVCs or expiry dates are rejected so they never reach our
+// handlers, logs or database.
+const CARD_DATA_FIELDS = [
+  'cardnumber', 'pan', 'cvc', 'cvv', 'cvc2', 'cvv2', 'securitycode',
+  'expirymonth', 'expiryyear', 'expmonth', 'expyear', 'expirationmonth', 'expirationyear'
+];
+
+// Name of the first card data field found in the body, or null
+const findCardDataField = (value, depth = 0) => {
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value) || depth > 5) return null;
+
+  for (const [key, nested] of Object.entries(value)) {
+    const normalizedKey = key.toLowerCase().replace(/[_-]/g, '');
+
+    if (CARD_DATA_FIELDS.includes(normalizedKey)) return key;
+    if (normalizedKey === 'card' && nested && typeof nested === 'object' && nested.number !== undefined) {
+      return `${key}.number`;
+    }
+
+    const found = findCardDataField(nested, depth + 1);
+    if (found) return found;
+  }
+
+  return null;
+};
+
+const rejectCardData = (req, res, next) => {
+  const field = findCardDataField(req.body);
+  if (!field) return next();
+
+  console.warn(`Rejected request to ${req.originalUrl} carrying card data field "${field}"`);
+  return res.status(400).json({
+    success: false,
+    message: 'Card details must not be sent to this server. Collect them with Stripe and send the PaymentMethod or SetupIntent ID instead.',
+    field
+  });
+};
+
+module.exports = {
+  rejectCardData
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../Models/IdempotencyKey');
+
+// Fingerprint of the request so a key can't be reused for a different payload
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(req.body || {}))
+    .digest('hex');
+};
+
+// Dedupe retried requests that carry an Idempotency-Key header. The first
+// response is stored for 24 hours and replayed for any retry with the same key.
+// Must run after authenticateToken so keys are scoped per user.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be 255 characters or fewer'
+    });
+  }
+
+  const scope = {
+    key,
+    user: req.user?._id || null,
+    endpoint: `${req.method} ${req.baseUrl}${req.path}`
+  };
+  const requestHash = hashRequest(req);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({ ...scope, requestHash });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Idempotency key error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error checking Idempotency-Key',
+        error: error.message
+      });
+    }
+
+    const existing = await IdempotencyKey.findOne(scope);
+
+    if (existing && existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        message: 'This Idempotency-Key was already used with a different request'
+      });
+    }
+
+    if (!existing || existing.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    console.log(`Replaying response for Idempotency-Key ${key}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  req.idempotencyKey = key;
+
+  // Store the response before sending it. Server errors (including errors
+  // thrown by the handler, which the app's error handler answers with a 500)
+  // free the key so the client can retry. A client that disconnects keeps the
+  // key locked until the handler finishes, so its retry can't run twice.
+  let settled = false;
+  const sendJson = res.json.bind(res);
+
+  res.json = (body) => {
+    settled = true;
+    const storedBody = JSON.parse(JSON.stringify(body ?? null));
+
+    const store = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { status: 'completed', responseStatus: res.statusCode, responseBody: storedBody }
+      );
+
+    store
+      .catch(error => console.error('Error storing idempotent response:', error))
+      .finally(() => sendJson(body));
+
+    return res;
+  };
+
+  // Server errors answered without JSON must not keep the key locked
+  res.on('finish', () => {
+    if (!settled && res.statusCode >= 500) {
+      IdempotencyKey.deleteOne({ _id: record._id })
+        .catch(error => console.error('Error releasing Idempotency-Key:', error));
+    }
+  });
+
+  next();
+};
+
+// Request options forwarding the client's key to Stripe, so a retried request
+// gets the same Stripe object instead of a second one. Each Stripe call in a
+// request uses its own suffix.
+const stripeIdempotencyOptions = (req, operation) => {
+  if (!req.idempotencyKey) return {};
+  return { idempotencyKey: `${req.user?._id || 'guest'}:${req.idempotencyKey}:${operation}` };
+};
+
+module.exports = {
+  idempotency,
+  stripeIdempotencyOptions
+};
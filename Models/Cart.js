@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Guest carts are removed after 30 days without activity
+const GUEST_CART_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_ITEM_QUANTITY = 99;
+
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  guestId: {
+    type: String,
+    default: null
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product ID is required']
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Quantity is required'],
+      min: [1, 'Quantity must be at least 1'],
+      max: [MAX_ITEM_QUANTITY, `Quantity cannot exceed ${MAX_ITEM_QUANTITY}`]
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One cart per user and one per guest ID
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } });
+cartSchema.index({ guestId: 1 }, { unique: true, partialFilterExpression: { guestId: { $type: 'string' } } });
+
+// TTL index - only guest carts have expiresAt set
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Keep guest carts alive while they are being used
+cartSchema.pre('save', function(next) {
+  this.expiresAt = this.user ? null : new Date(Date.now() + GUEST_CART_TTL_MS);
+  next();
+});
+
+// Instance method to add a product (or increase its quantity)
+cartSchema.methods.addItem = function(productId, quantity = 1) {
+  const existing = this.items.find(item => item.product.toString() === productId.toString());
+
+  if (existing) {
+    existing.quantity = Math.min(existing.quantity + quantity, MAX_ITEM_QUANTITY);
+  } else {
+    this.items.push({ product: productId, quantity: Math.min(quantity, MAX_ITEM_QUANTITY) });
+  }
+};
+
+// Instance method to set the quantity of a product already in the cart
+cartSchema.methods.setItemQuantity = function(productId, quantity) {
+  const existing = this.items.find(item => item.product.toString() === productId.toString());
+  if (!existing) return false;
+
+  existing.quantity = quantity;
+  return true;
+};
+
+// Instance method to remove a product from the cart
+cartSchema.methods.removeItem = function(productId) {
+  const before = this.items.length;
+  this.items = this.items.filter(item => item.product.toString() !== productId.toString());
+  return this.items.length !== before;
+};
+
+// Instance method to merge another cart's items into this one
+cartSchema.methods.mergeItems = function(items) {
+  for (const item of items) {
+    this.addItem(item.product, item.quantity);
+  }
+};
+
+cartSchema.statics.MAX_ITEM_QUANTITY = MAX_ITEM_QUANTITY;
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Named sequences (e.g. invoice numbers)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Values taken but never used, handed out again before the sequence moves on
+  released: {
+    type: [Number],
+    default: []
+  }
+});
+
+// Static method to atomically take the next value of a sequence. Released
+// values are reused first (lowest first) so the sequence stays gap-free.
+counterSchema.statics.next = async function(name) {
+  const reused = await this.findOneAndUpdate(
+    { _id: name, 'released.0': { $exists: true } },
+    { $pop: { released: -1 } },
+    { new: false }
+  );
+  if (reused) return reused.released[0];
+
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Static method to give back a value taken with next() that was never used
+counterSchema.statics.release = async function(name, seq) {
+  await this.updateOne(
+    { _id: name, released: { $ne: seq } },
+    { $push: { released: { $each: [seq], $sort: 1 } } }
+  );
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
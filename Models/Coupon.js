@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Coupon type is required'],
+    enum: ['percentage', 'fixed', 'free_shipping']
+  },
+  // Percentage (0-100) or fixed amount, unused for free shipping
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Value cannot be negative']
+  },
+  appliesTo: {
+    type: String,
+    enum: ['all', 'one_time', 'subscription'],
+    default: 'all'
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  minimumBasket: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum basket cannot be negative']
+  },
+  // Empty lists mean the coupon applies to every product
+  applicableProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  applicableCategories: [{
+    type: String,
+    enum: ['Breakfast', 'Lunch', 'Dinner', 'Snacks', 'Beverages']
+  }],
+  usageLimit: {
+    type: Number,
+    default: null // null for unlimited
+  },
+  usageLimitPerUser: {
+    type: Number,
+    default: null // null for unlimited
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // How long the discount lasts on a Stripe subscription
+  subscriptionDuration: {
+    type: String,
+    enum: ['once', 'repeating', 'forever'],
+    default: 'once'
+  },
+  subscriptionDurationInMonths: {
+    type: Number,
+    default: null // Required when subscriptionDuration is 'repeating'
+  },
+  stripeCouponId: {
+    type: String,
+    default: null
+  },
+
+  redemptions: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    amount: { type: Number },
+    redeemedAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discount cannot exceed 100');
+  }
+  if (this.subscriptionDuration === 'repeating' && !this.subscriptionDurationInMonths) {
+    this.invalidate('subscriptionDurationInMonths', 'Duration in months is required for repeating coupons');
+  }
+  next();
+});
+
+// Instance method to count redemptions by a user
+couponSchema.methods.getUserRedemptionCount = function(userId) {
+  return this.redemptions.filter(redemption => redemption.user?.toString() === userId.toString()).length;
+};
+
+// Instance method to check whether a priced order line is covered by the coupon
+couponSchema.methods.appliesToItem = function(item) {
+  const hasProductRule = this.applicableProducts.length > 0;
+  const hasCategoryRule = this.applicableCategories.length > 0;
+
+  if (!hasProductRule && !hasCategoryRule) return true;
+
+  return (hasProductRule && this.applicableProducts.some(id => id.toString() === item.product.toString())) ||
+    (hasCategoryRule && this.applicableCategories.includes(item.category));
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
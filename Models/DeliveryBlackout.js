@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A day with no deliveries, for one zone or (without a zone) everywhere
+const deliveryBlackoutSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Date is required'] // UTC midnight
+  },
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShippingZone',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot be more than 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+deliveryBlackoutSchema.index({ date: 1, zone: 1 }, { unique: true });
+
+module.exports = mongoose.model('DeliveryBlackout', deliveryBlackoutSchema);
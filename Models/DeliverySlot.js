@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Bookings taken for one delivery window of a zone on one day. Created the
+// first time the window is booked for that date.
+const deliverySlotSchema = new mongoose.Schema({
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShippingZone',
+    required: true
+  },
+  window: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true // UTC midnight of the delivery day
+  },
+  windowName: { type: String },
+  startsAt: { type: Date },
+  endsAt: { type: Date },
+  // Window capacity when last booked; bookings never go above it
+  capacity: {
+    type: Number,
+    default: 0
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+deliverySlotSchema.index({ zone: 1, window: 1, date: 1 }, { unique: true });
+deliverySlotSchema.index({ date: 1 });
+
+module.exports = mongoose.model('DeliverySlot', deliverySlotSchema);
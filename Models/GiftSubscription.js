@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A number of subscription deliveries bought for someone else. The recipient
+// claims it with the emailed link and picks their own address and meals.
+const giftSubscriptionSchema = new mongoose.Schema({
+  purchaser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipientEmail: {
+    type: String,
+    required: [true, 'Recipient email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid recipient email']
+  },
+  recipientName: { type: String, trim: true },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Gift message cannot be more than 500 characters']
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+    required: true
+  },
+  planName: { type: String },
+  recurrence: {
+    type: String,
+    enum: ['weekly', 'biweekly', 'monthly', 'quarterly'],
+    required: true
+  },
+  recurrenceLabel: { type: String },
+  cycles: {
+    type: Number,
+    required: true,
+    min: [1, 'A gift must include at least one delivery']
+  },
+  pricePerCycle: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    lowercase: true,
+    default: () => process.env.STRIPE_CURRENCY || 'usd'
+  },
+  status: {
+    type: String,
+    enum: ['pending_payment', 'payment_failed', 'paid', 'claimed', 'cancelled'],
+    default: 'pending_payment'
+  },
+  paymentIntent: {
+    id: { type: String },
+    status: { type: String }
+  },
+  paidAt: { type: Date },
+  claimTokenHash: { type: String },
+  claimEmailSentAt: { type: Date },
+  claimedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  claimedAt: { type: Date },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+giftSubscriptionSchema.index({ purchaser: 1, createdAt: -1 });
+giftSubscriptionSchema.index({ claimTokenHash: 1 });
+giftSubscriptionSchema.index({ 'paymentIntent.id': 1 });
+
+// Method to create the secret for the claim link (only its hash is stored)
+giftSubscriptionSchema.methods.createClaimToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.claimTokenHash = hashToken(token);
+  return token;
+};
+
+// Static method to find a gift from its claim link secret
+giftSubscriptionSchema.statics.findByClaimToken = function(token) {
+  if (!token) return Promise.resolve(null);
+  return this.findOne({ claimTokenHash: hashToken(token) });
+};
+
+module.exports = mongoose.model('GiftSubscription', giftSubscriptionSchema);
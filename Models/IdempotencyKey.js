@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Stored responses for requests sent with an Idempotency-Key header
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  endpoint: {
+    type: String,
+    required: true // e.g. 'POST /api/orders'
+  },
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: { type: Number },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24 // Keys are kept for 24 hours
+  }
+});
+
+idempotencyKeySchema.index({ user: 1, endpoint: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { sendQueuedNotifications } = require('../utils/orderNotifications');
+
+// Statuses an order can move to from each status
+const STATUS_TRANSITIONS = {
+  Pending: ['Payment_Confirmed', 'Payment_Failed', 'Cancelled'],
+  Payment_Confirmed: ['Processing', 'Cancelled', 'Refunded'],
+  Processing: ['Ready_to_Ship', 'Cancelled', 'Refunded'],
+  Ready_to_Ship: ['Shipped', 'Processing', 'Cancelled', 'Refunded'],
+  Shipped: ['Out_for_Delivery', 'Delivered', 'Returned', 'Refunded'],
+  Out_for_Delivery: ['Delivered', 'Returned', 'Refunded'],
+  Delivered: ['Returned', 'Refunded'],
+  Cancelled: ['Refunded'],
+  Payment_Failed: ['Payment_Confirmed', 'Cancelled'],
+  Returned: ['Refunded'],
+  Refunded: []
+};
 
 const orderSchema = mongoose.Schema(
   {
@@ -13,6 +30,8 @@ const orderSchema = mongoose.Schema(
         quantity: { type: Number, required: true },
         image: { type: String, required: true },
         price: { type: Number, required: true },
+        category: { type: String },
+        refundedQuantity: { type: Number, default: 0 },
         product: {
           type: mongoose.Schema.Types.ObjectId,
           required: true,
@@ -41,78 +60,18 @@ const orderSchema = mongoose.Schema(
       default: 'online'
     },
 
-    // Subscription and recurring fields
+    // Delivery generated by a subscription, and the billing cycle it is for
     isSubscription: {
       type: Boolean,
       default: false
     },
-    subscriptionType: {
-      type: String,
-      enum: ['basic', 'premium', 'custom'],
-      default: null
-    },
-    subscriptionName: {
-      type: String,
-      default: null
-    },
-    subscriptionPrice: {
-      type: Number,
-      default: 0
-    },
-    maxProducts: {
-      type: Number,
-      default: 0
-    },
-    recurrence: {
-      type: String,
-      enum: ['weekly', 'biweekly', 'monthly', 'quarterly'],
-      default: null
-    },
-    recurrenceLabel: {
-      type: String,
-      default: null
-    },
-    selectedProducts: [{
-      _id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
-      title: { type: String },
-      description: { type: String },
-      imageUrl: { type: String },
-      price: { type: Number },
-      quantity: { type: Number }
-    }],
-    nextBillingDate: {
-      type: Date,
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription',
       default: null
     },
-    subscriptionStatus: {
-      type: String,
-      enum: ['active', 'paused', 'cancelled', 'expired', 'payment_failed'],
-      default: 'active'
-    },
-    billingCycle: {
-      type: Number,
-      default: 1 // Number of intervals between charges
-    },
-    totalBillingCycles: {
+    subscriptionCycle: {
       type: Number,
-      default: null // null for unlimited, or specific number
-    },
-    currentBillingCycle: {
-      type: Number,
-      default: 1
-    },
-
-    // Stripe-specific fields
-    stripeSubscriptionId: {
-      type: String,
-      default: null
-    },
-    stripeCustomerId: {
-      type: String,
-      default: null
-    },
-    stripePriceId: {
-      type: String,
       default: null
     },
 
@@ -130,20 +89,34 @@ const orderSchema = mongoose.Schema(
       emailAddress: { type: String },
     },
 
-    // Payment history for subscriptions
+    // Payments and refunds on this order (subscription invoices are kept on the Subscription)
     paymentHistory: [{
       paymentId: { type: String }, // Stripe payment intent or invoice ID
       amount: { type: Number, required: true },
       currency: { type: String, default: 'usd' },
-      status: { type: String, required: true }, // 'succeeded', 'failed', 'pending'
+      status: { type: String, required: true }, // 'succeeded', 'failed', 'pending', 'refunded'
       billingCycle: { type: Number }, // Which billing cycle this payment is for
       paidAt: { type: Date, default: Date.now },
-      stripeInvoiceId: { type: String }, // For subscription payments
-      stripePaymentIntentId: { type: String }, // For one-time payments
+      stripeInvoiceId: { type: String }, // Subscription invoice a refund was taken from
+      stripePaymentIntentId: { type: String }, // For one-time payments and refunds
       failureReason: { type: String }, // If payment failed
+      invoiceNumber: { type: String, default: null }, // Set when the invoice is first issued
+      invoiceIssuedAt: { type: Date, default: null },
       metadata: { type: mongoose.Schema.Types.Mixed } // Additional payment data
     }],
 
+    // Stock held for the order items
+    inventory: {
+      status: {
+        type: String,
+        enum: ['none', 'reserved', 'committed', 'released'],
+        default: 'none'
+      },
+      reservedAt: { type: Date },
+      committedAt: { type: Date },
+      releasedAt: { type: Date }
+    },
+
     // Price breakdown
     itemsPrice: {
       type: Number,
@@ -160,12 +133,81 @@ const orderSchema = mongoose.Schema(
       required: true,
       default: 0.0,
     },
+
+    // Shipping option chosen at checkout
+    shippingMethod: {
+      zone: { type: mongoose.Schema.Types.ObjectId, ref: 'ShippingZone' },
+      zoneName: { type: String },
+      rateId: { type: mongoose.Schema.Types.ObjectId },
+      name: { type: String },
+      courier: { type: String },
+      estimatedDaysMin: { type: Number },
+      estimatedDaysMax: { type: Number }
+    },
+
+    // Delivery window booked for zones with scheduled delivery
+    deliverySlot: {
+      slot: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliverySlot', default: null },
+      window: { type: mongoose.Schema.Types.ObjectId },
+      windowName: { type: String },
+      date: { type: Date },
+      startsAt: { type: Date },
+      endsAt: { type: Date },
+      status: {
+        type: String,
+        enum: ['none', 'booked', 'released'],
+        default: 'none'
+      }
+    },
+
+    // Per-line tax detail kept for filing
+    taxBreakdown: [{
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      name: { type: String },
+      category: { type: String },
+      discountAmount: { type: Number, default: 0 },
+      taxableAmount: { type: Number, required: true },
+      rate: { type: Number, required: true }, // Percentage applied to this line
+      taxAmount: { type: Number, required: true },
+      exempt: { type: Boolean, default: false }
+    }],
+    taxJurisdiction: {
+      taxRate: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxRate' },
+      name: { type: String },
+      country: { type: String },
+      postalCodePrefix: { type: String },
+      rate: { type: Number }
+    },
+    discountPrice: {
+      type: Number,
+      default: 0.0,
+    },
     totalPrice: {
       type: Number,
       required: true,
       default: 0.0,
     },
 
+    // Coupon applied to the order (its own line in the price breakdown)
+    discount: {
+      coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+      code: { type: String },
+      type: { type: String, enum: ['percentage', 'fixed', 'free_shipping'] },
+      description: { type: String },
+      amount: { type: Number, default: 0 },
+      stripeCouponId: { type: String } // Set for subscription orders
+    },
+
+    // Invoice for one-time orders (subscriptions invoice each paymentHistory entry)
+    invoiceNumber: {
+      type: String,
+      default: null
+    },
+    invoiceIssuedAt: {
+      type: Date,
+      default: null
+    },
+
     // Payment status
     isPaid: {
       type: Boolean,
@@ -260,6 +302,13 @@ const orderSchema = mongoose.Schema(
     refundAmount: { type: Number },
     refundedAt: { type: Date },
 
+    // "Complete your payment" link for unpaid orders (only the token hash is stored)
+    paymentResume: {
+      tokenHash: { type: String },
+      remindedAt: { type: Date },
+      expiresAt: { type: Date }
+    },
+
     // Additional notes
     notes: { type: String },
     adminNotes: { type: String }, // Internal notes for admin
@@ -269,34 +318,9 @@ const orderSchema = mongoose.Schema(
   }
 );
 
-// Pre-save middleware for subscription billing dates
-orderSchema.pre('save', function(next) {
-  // Set next billing date for new subscriptions
-  if (this.isSubscription && this.isNew && !this.nextBillingDate) {
-    const now = new Date();
-    const billingCycle = this.billingCycle || 1;
-    
-    switch (this.recurrence) {
-      case 'weekly':
-        this.nextBillingDate = new Date(now.getTime() + (7 * billingCycle * 24 * 60 * 60 * 1000));
-        break;
-      case 'biweekly':
-        this.nextBillingDate = new Date(now.getTime() + (14 * billingCycle * 24 * 60 * 60 * 1000));
-        break;
-      case 'monthly':
-        const nextMonth = new Date(now);
-        nextMonth.setMonth(nextMonth.getMonth() + billingCycle);
-        this.nextBillingDate = nextMonth;
-        break;
-      case 'quarterly':
-        const nextQuarter = new Date(now);
-        nextQuarter.setMonth(nextQuarter.getMonth() + (3 * billingCycle));
-        this.nextBillingDate = nextQuarter;
-        break;
-    }
-  }
-  
-  next();
+// Send the customer emails queued by status changes once the order is saved
+orderSchema.post('save', function(doc) {
+  sendQueuedNotifications(doc);
 });
 
 // Instance method to add status to history
@@ -310,6 +334,36 @@ orderSchema.methods.addStatusToHistory = function(status, note = '', updatedBy =
   this.status = status;
 };
 
+// Instance method to check whether the order can move to a status
+orderSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Instance method to create the secret for a "complete your payment" link
+orderSchema.methods.createPaymentResumeToken = function(expiresAt) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.paymentResume = {
+    tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    remindedAt: new Date(),
+    expiresAt
+  };
+  return token;
+};
+
+// Instance method to check a "complete your payment" link secret
+orderSchema.methods.isValidPaymentResumeToken = function(token) {
+  if (!token || !this.paymentResume?.tokenHash) return false;
+  if (this.paymentResume.expiresAt && this.paymentResume.expiresAt < new Date()) return false;
+
+  const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+  return crypto.timingSafeEqual(Buffer.from(tokenHash), Buffer.from(this.paymentResume.tokenHash));
+};
+
+// Instance method to list the statuses the order can move to next
+orderSchema.methods.getAllowedTransitions = function() {
+  return STATUS_TRANSITIONS[this.status] || [];
+};
+
 // Instance method to add payment to history
 orderSchema.methods.addPaymentToHistory = function(paymentData) {
   this.paymentHistory.push({
@@ -317,7 +371,7 @@ orderSchema.methods.addPaymentToHistory = function(paymentData) {
     amount: paymentData.amount,
     currency: paymentData.currency || 'usd',
     status: paymentData.status,
-    billingCycle: paymentData.billingCycle || this.currentBillingCycle,
+    billingCycle: paymentData.billingCycle || this.subscriptionCycle || 1,
     paidAt: paymentData.paidAt || new Date(),
     stripeInvoiceId: paymentData.stripeInvoiceId,
     stripePaymentIntentId: paymentData.stripePaymentIntentId,
@@ -354,75 +408,11 @@ orderSchema.methods.getTrackingStage = function() {
   };
 };
 
-// Instance method to check if subscription should be billed (now handled by Stripe)
-orderSchema.methods.shouldProcessBilling = function() {
-  if (!this.isSubscription || this.subscriptionStatus !== 'active') {
-    return false;
-  }
-
-  // Stripe handles the billing automatically
-  // This method can be used for internal tracking
-  const now = new Date();
-  return this.nextBillingDate && now >= this.nextBillingDate;
-};
-
-// Instance method to update next billing date
-orderSchema.methods.updateNextBillingDate = function() {
-  if (!this.isSubscription) {
-    return false;
-  }
-
-  const billingCycle = this.billingCycle || 1;
-  const currentDate = this.nextBillingDate || new Date();
-
-  switch (this.recurrence) {
-    case 'weekly':
-      this.nextBillingDate = new Date(currentDate.getTime() + (7 * billingCycle * 24 * 60 * 60 * 1000));
-      break;
-    case 'biweekly':
-      this.nextBillingDate = new Date(currentDate.getTime() + (14 * billingCycle * 24 * 60 * 60 * 1000));
-      break;
-    case 'monthly':
-      const nextMonth = new Date(currentDate);
-      nextMonth.setMonth(nextMonth.getMonth() + billingCycle);
-      this.nextBillingDate = nextMonth;
-      break;
-    case 'quarterly':
-      const nextQuarter = new Date(currentDate);
-      nextQuarter.setMonth(nextQuarter.getMonth() + (3 * billingCycle));
-      this.nextBillingDate = nextQuarter;
-      break;
-  }
-
-  this.currentBillingCycle += 1;
-
-  // Check if subscription has reached its limit
-  if (this.totalBillingCycles && this.currentBillingCycle > this.totalBillingCycles) {
-    this.subscriptionStatus = 'expired';
-    return false;
-  }
-
-  return true;
-};
-
 // Static method to get orders by status
 orderSchema.statics.getOrdersByStatus = function(status) {
   return this.find({ status }).populate('user', 'name email').sort({ createdAt: -1 });
 };
 
-// Static method to get active subscriptions
-orderSchema.statics.getActiveSubscriptions = async function() {
-  try {
-    return await this.find({ 
-      isSubscription: true, 
-      subscriptionStatus: 'active' 
-    }).populate('user', 'name email').sort({ nextBillingDate: 1 });
-  } catch (error) {
-    console.error('Error in getActiveSubscriptions:', error);
-    throw error;
-  }
-};
-
 // Static method to get subscription revenue analytics
 orderSchema.statics.getSubscriptionRevenue = async function(startDate, endDate) {
   try {
@@ -458,29 +448,19 @@ orderSchema.statics.getSubscriptionRevenue = async function(startDate, endDate)
   }
 };
 
-// Virtual for subscription billing info
-orderSchema.virtual('billingInfo').get(function() {
-  if (!this.isSubscription) return null;
-  
-  return {
-    nextBillingDate: this.nextBillingDate,
-    currentCycle: this.currentBillingCycle,
-    totalCycles: this.totalBillingCycles,
-    subscriptionStatus: this.subscriptionStatus,
-    isUnlimited: !this.totalBillingCycles,
-    remainingCycles: this.totalBillingCycles ? 
-      Math.max(0, this.totalBillingCycles - this.currentBillingCycle) : 
-      null
-  };
-});
-
 // Index for efficient queries
 orderSchema.index({ user: 1, createdAt: -1 });
+// A subscription has one delivery order per billing cycle
+orderSchema.index({ subscription: 1, subscriptionCycle: 1 }, { unique: true, partialFilterExpression: { subscription: { $type: 'objectId' } } });
 orderSchema.index({ status: 1 });
-orderSchema.index({ isSubscription: 1, subscriptionStatus: 1 });
-orderSchema.index({ stripeSubscriptionId: 1 });
-orderSchema.index({ nextBillingDate: 1 });
+orderSchema.index({ 'deliverySlot.slot': 1 });
+// A payment intent pays for one order
+orderSchema.index({ 'paymentIntent.id': 1 }, { unique: true, partialFilterExpression: { 'paymentIntent.id': { $type: 'string' } } });
+orderSchema.index({ 'paymentHistory.stripePaymentIntentId': 1 });
+orderSchema.index({ 'paymentResult.id': 1 });
+
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
 
 const Order = mongoose.model('Order', orderSchema);
 
-module.exports = Order;
\ No newline at end of file
+module.exports = Order;
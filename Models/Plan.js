@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const PRODUCT_CATEGORIES = ['Breakfast', 'Lunch', 'Dinner', 'Snacks', 'Beverages'];
+
+// Stripe billing interval for each recurrence
+const RECURRENCE_INTERVALS = {
+  weekly: { interval: 'week', interval_count: 1 },
+  biweekly: { interval: 'week', interval_count: 2 },
+  monthly: { interval: 'month', interval_count: 1 },
+  quarterly: { interval: 'month', interval_count: 3 }
+};
+
+const DEFAULT_RECURRENCE_LABELS = {
+  weekly: 'Every week',
+  biweekly: 'Every 2 weeks',
+  monthly: 'Every month',
+  quarterly: 'Every 3 months'
+};
+
+const recurrenceOptionSchema = new mongoose.Schema({
+  recurrence: {
+    type: String,
+    required: true,
+    enum: Object.keys(RECURRENCE_INTERVALS)
+  },
+  label: { type: String, trim: true },
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+    default: null // Falls back to the plan price
+  },
+  stripePriceId: { type: String, default: null }
+});
+
+// Subscription plan offered to customers. Each recurrence option has its own Stripe price.
+const planSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: [true, 'Plan slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]+$/, 'Slug may only contain letters, numbers and dashes']
+  },
+  description: { type: String, trim: true },
+  features: [{ type: String, trim: true }],
+  imageUrl: { type: String },
+  price: {
+    type: Number,
+    required: [true, 'Plan price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  currency: {
+    type: String,
+    lowercase: true,
+    default: () => process.env.STRIPE_CURRENCY || 'usd'
+  },
+  recurrenceOptions: {
+    type: [recurrenceOptionSchema],
+    validate: [
+      {
+        validator: (options) => options.length > 0,
+        message: 'At least one recurrence option is required'
+      },
+      {
+        validator: (options) => new Set(options.map(option => option.recurrence)).size === options.length,
+        message: 'Each recurrence can only be offered once'
+      }
+    ]
+  },
+  maxProducts: {
+    type: Number,
+    required: [true, 'Maximum products is required'],
+    min: [1, 'A plan must allow at least one product']
+  },
+  eligibleCategories: [{
+    type: String,
+    enum: PRODUCT_CATEGORIES
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  stripeProductId: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+planSchema.index({ isActive: 1, sortOrder: 1 });
+planSchema.index({ 'recurrenceOptions.stripePriceId': 1 });
+
+// Method to get the option for a recurrence
+planSchema.methods.getRecurrenceOption = function(recurrence) {
+  return this.recurrenceOptions.find(option => option.recurrence === recurrence) || null;
+};
+
+// Method to get what a recurrence option is charged
+planSchema.methods.getOptionPrice = function(option) {
+  return option.price ?? this.price;
+};
+
+// Method to check whether a product category can go in this plan's boxes
+planSchema.methods.allowsCategory = function(category) {
+  return this.eligibleCategories.length === 0 || this.eligibleCategories.includes(category);
+};
+
+planSchema.statics.RECURRENCE_INTERVALS = RECURRENCE_INTERVALS;
+planSchema.statics.DEFAULT_RECURRENCE_LABELS = DEFAULT_RECURRENCE_LABELS;
+
+module.exports = mongoose.model('Plan', planSchema);
@@ -23,6 +23,11 @@ const productSchema = new Schema({
     min: [0, 'Stock cannot be negative'],
     default: 0
   },
+  weight: {
+    type: Number,  // Shipping weight in kg
+    min: [0, 'Weight cannot be negative'],
+    default: 0
+  },
   image: {
     type: String,  // S3 key/path
     required: [true, 'Image is required']
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Result of one Stripe reconciliation run
+const reconciliationReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['cron', 'manual'],
+    default: 'cron'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  error: { type: String },
+  windowStart: { type: Date, required: true },
+  windowEnd: { type: Date, required: true },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date },
+  checked: {
+    paymentIntents: { type: Number, default: 0 },
+    invoices: { type: Number, default: 0 },
+    subscriptions: { type: Number, default: 0 }
+  },
+  discrepancies: [{
+    type: {
+      type: String,
+      required: true
+    },
+    stripeId: { type: String },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null
+    },
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription',
+      default: null
+    },
+    message: { type: String },
+    fixed: { type: Boolean, default: false },
+    action: { type: String } // What was changed, or what an admin should do
+  }],
+  summary: {
+    total: { type: Number, default: 0 },
+    fixed: { type: Number, default: 0 },
+    open: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const PRODUCT_CATEGORIES = ['Breakfast', 'Lunch', 'Dinner', 'Snacks', 'Beverages'];
+
+// Window used for categories without a policy of their own
+const DEFAULT_RETURN_WINDOW_DAYS = parseInt(process.env.DEFAULT_RETURN_WINDOW_DAYS) || 30;
+
+const returnPolicySchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    enum: PRODUCT_CATEGORIES,
+    unique: true
+  },
+  returnWindowDays: {
+    type: Number,
+    required: [true, 'Return window is required'],
+    min: [0, 'Return window cannot be negative']
+  },
+  isReturnable: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the return window (in days) for each category.
+// Non-returnable categories get a window of null.
+returnPolicySchema.statics.getReturnWindows = async function() {
+  const policies = await this.find();
+  const windows = {};
+
+  for (const category of PRODUCT_CATEGORIES) {
+    const policy = policies.find(entry => entry.category === category);
+    if (!policy) {
+      windows[category] = DEFAULT_RETURN_WINDOW_DAYS;
+    } else {
+      windows[category] = policy.isReturnable ? policy.returnWindowDays : null;
+    }
+  }
+
+  return windows;
+};
+
+returnPolicySchema.statics.DEFAULT_RETURN_WINDOW_DAYS = DEFAULT_RETURN_WINDOW_DAYS;
+
+module.exports = mongoose.model('ReturnPolicy', returnPolicySchema);
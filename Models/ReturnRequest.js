@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunded'];
+
+// Steps an admin can move a return to from each state
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received'],
+  rejected: [],
+  received: ['refunded'],
+  refunded: []
+};
+
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [{
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    name: { type: String, required: true },
+    category: { type: String },
+    quantity: { type: Number, required: true, min: 1 },
+    price: { type: Number, required: true }
+  }],
+  reason: {
+    type: String,
+    required: [true, 'Return reason is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Customer photo evidence stored in S3
+  photos: [{
+    url: { type: String, required: true },
+    key: { type: String, required: true },
+    uploadedAt: { type: Date, default: Date.now }
+  }],
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    default: 'requested'
+  },
+  statusHistory: [{
+    status: { type: String, enum: RETURN_STATUSES, required: true },
+    timestamp: { type: Date, default: Date.now },
+    note: { type: String },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+  rejectionReason: { type: String },
+  approvedAt: { type: Date },
+  rejectedAt: { type: Date },
+  receivedAt: { type: Date },
+  refundedAt: { type: Date },
+  refund: {
+    stripeRefundId: { type: String },
+    amount: { type: Number }
+  },
+  adminNotes: { type: String }
+}, {
+  timestamps: true
+});
+
+returnRequestSchema.pre('save', function(next) {
+  if (this.isNew && !this.rmaNumber) {
+    const suffix = Math.random().toString(36).substring(2, 6).toUpperCase();
+    this.rmaNumber = `RMA-${Date.now().toString(36).toUpperCase()}-${suffix}`;
+  }
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, note: 'Return requested', updatedBy: this.user });
+  }
+  next();
+});
+
+// Instance method to check whether the return can move to a status
+returnRequestSchema.methods.canTransitionTo = function(status) {
+  return (RETURN_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Instance method to move the return to a new status
+returnRequestSchema.methods.addStatusToHistory = function(status, note = '', updatedBy = null) {
+  this.statusHistory.push({
+    status,
+    timestamp: new Date(),
+    note,
+    updatedBy
+  });
+  this.status = status;
+};
+
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1 });
+
+returnRequestSchema.statics.RETURN_STATUSES = RETURN_STATUSES;
+returnRequestSchema.statics.RETURN_TRANSITIONS = RETURN_TRANSITIONS;
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+const normalizePostalCode = (postalCode) => (postalCode || '').toString().replace(/\s+/g, '').toUpperCase();
+
+const shippingRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rate name is required'],
+    trim: true
+  },
+  // flat: amount | weight: amount + perKg * total kg | free_over: free at or above threshold, else amount
+  type: {
+    type: String,
+    required: true,
+    enum: ['flat', 'weight', 'free_over'],
+    default: 'flat'
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount cannot be negative']
+  },
+  perKg: {
+    type: Number,
+    default: 0,
+    min: [0, 'Per kg price cannot be negative']
+  },
+  threshold: {
+    type: Number,
+    default: 0,
+    min: [0, 'Threshold cannot be negative']
+  },
+  courier: { type: String, trim: true }, // Overrides the zone default courier
+  estimatedDaysMin: { type: Number, default: null },
+  estimatedDaysMax: { type: Number, default: null },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A weekly delivery window, e.g. Tuesdays 09:00-12:00. Times are UTC.
+const deliveryWindowSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Window name is required'],
+    trim: true // e.g., 'Morning', 'Evening'
+  },
+  // 0 = Sunday ... 6 = Saturday
+  weekdays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    validate: [days => days.length > 0, 'A delivery window needs at least one weekday']
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_PATTERN, 'Start time must be HH:MM']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_PATTERN, 'End time must be HH:MM']
+  },
+  // Deliveries that fit in the window on a single day
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [0, 'Capacity cannot be negative']
+  },
+  // Booking closes this many hours before the window starts
+  cutoffHours: {
+    type: Number,
+    default: 24,
+    min: [0, 'Cutoff cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+deliveryWindowSchema.pre('validate', function(next) {
+  if (this.startTime && this.endTime && this.startTime >= this.endTime) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+  next();
+});
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true
+  },
+  countries: [{
+    type: String,
+    trim: true,
+    uppercase: true
+  }],
+  // Empty list covers the whole of each country
+  postalCodePrefixes: [{
+    type: String,
+    set: normalizePostalCode
+  }],
+  defaultCourier: {
+    type: String,
+    required: [true, 'Default courier is required'],
+    trim: true // e.g., 'FedEx', 'UPS', 'DHL', 'Local Delivery'
+  },
+  rates: [shippingRateSchema],
+  // Zones without windows ship by courier and don't ask for a delivery slot
+  deliveryWindows: [deliveryWindowSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+shippingZoneSchema.index({ countries: 1, isActive: 1 });
+
+// Length of the longest prefix matching the postal code (0 = whole country, -1 = no match)
+shippingZoneSchema.methods.matchStrength = function(postalCode) {
+  if (this.postalCodePrefixes.length === 0) return 0;
+
+  const normalized = normalizePostalCode(postalCode);
+  const matches = this.postalCodePrefixes.filter(prefix => normalized.startsWith(prefix));
+  return matches.length > 0 ? Math.max(...matches.map(prefix => prefix.length)) : -1;
+};
+
+// Static method to find the most specific active zone for a shipping address
+shippingZoneSchema.statics.findForAddress = async function(shippingAddress) {
+  if (!shippingAddress?.country) return null;
+
+  const country = shippingAddress.country.toString().trim().toUpperCase();
+  const zones = await this.find({ countries: country, isActive: true });
+
+  return zones
+    .map(zone => ({ zone, strength: zone.matchStrength(shippingAddress.postalCode) }))
+    .filter(match => match.strength >= 0)
+    .sort((a, b) => b.strength - a.strength)[0]?.zone || null;
+};
+
+// Instance method to list the windows customers can book
+shippingZoneSchema.methods.getActiveWindows = function() {
+  return this.deliveryWindows.filter(window => window.isActive && window.capacity > 0);
+};
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
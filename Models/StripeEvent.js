@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Events processing for longer than this are assumed lost (e.g. server restart)
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Every Stripe webhook event received, so retries are applied only once and
+// failed events can be replayed
+const stripeEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  livemode: { type: Boolean, default: false },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'failed'],
+    default: 'received',
+    index: true
+  },
+  attempts: { type: Number, default: 0 },
+  lastError: {
+    message: String,
+    stack: String,
+    failedAt: Date
+  },
+  processingStartedAt: { type: Date },
+  processedAt: { type: Date },
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to store an event the first time it arrives
+stripeEventSchema.statics.record = async function(event) {
+  try {
+    return await this.create({
+      eventId: event.id,
+      type: event.type,
+      livemode: !!event.livemode,
+      payload: event
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return this.findOne({ eventId: event.id });
+  }
+};
+
+// Static method to take an event for processing. Returns null when it was
+// already processed or another request is working on it.
+stripeEventSchema.statics.claim = function(eventId, { replayedBy = null } = {}) {
+  const update = {
+    $set: { status: 'processing', processingStartedAt: new Date() },
+    $inc: { attempts: 1 }
+  };
+  if (replayedBy) update.$set.replayedBy = replayedBy;
+
+  return this.findOneAndUpdate(
+    {
+      eventId,
+      $or: [
+        { status: { $in: ['received', 'failed'] } },
+        { status: 'processing', processingStartedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } }
+      ]
+    },
+    update,
+    { new: true }
+  );
+};
+
+// Method to mark the event as applied
+stripeEventSchema.methods.markProcessed = function() {
+  this.status = 'processed';
+  this.processedAt = new Date();
+  this.lastError = undefined;
+  return this.save();
+};
+
+// Method to record why processing failed
+stripeEventSchema.methods.markFailed = function(error) {
+  this.status = 'failed';
+  this.lastError = {
+    message: error.message,
+    stack: error.stack,
+    failedAt: new Date()
+  };
+  return this.save();
+};
+
+module.exports = mongoose.model('StripeEvent', stripeEventSchema);
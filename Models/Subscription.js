@@ -0,0 +1,452 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A customer's recurring box: the plan, recurrence, Stripe billing and status.
+// Each billing cycle generates a delivery Order linked back through
+// order.subscription.
+const subscriptionSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    // The box as first ordered; delivered when no meal selection applies
+    orderItems: [
+      {
+        name: { type: String, required: true },
+        quantity: { type: Number, required: true },
+        image: { type: String, required: true },
+        price: { type: Number, required: true },
+        category: { type: String },
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+          ref: 'Product',
+        },
+      },
+    ],
+    shippingAddress: {
+      address: { type: String, required: true },
+      city: { type: String, required: true },
+      postalCode: { type: String, required: true },
+      country: { type: String, required: true },
+    },
+    paymentMethod: {
+      type: String,
+      enum: ['stripe', 'card', 'credit_card', 'debit_card'],
+      default: 'stripe'
+    },
+
+    // Price breakdown copied onto each delivery order
+    itemsPrice: { type: Number, default: 0.0 },
+    taxPrice: { type: Number, default: 0.0 },
+    shippingPrice: { type: Number, default: 0.0 },
+    shippingMethod: {
+      zone: { type: mongoose.Schema.Types.ObjectId, ref: 'ShippingZone' },
+      zoneName: { type: String },
+      rateId: { type: mongoose.Schema.Types.ObjectId },
+      name: { type: String },
+      courier: { type: String },
+      estimatedDaysMin: { type: Number },
+      estimatedDaysMax: { type: Number }
+    },
+    // Weekday (0 = Sunday) and optionally the window each delivery is booked into
+    preferredDeliveryDay: {
+      type: Number,
+      min: 0,
+      max: 6,
+      default: null
+    },
+    preferredDeliveryWindow: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    taxBreakdown: [{
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      name: { type: String },
+      category: { type: String },
+      discountAmount: { type: Number, default: 0 },
+      taxableAmount: { type: Number, required: true },
+      rate: { type: Number, required: true },
+      taxAmount: { type: Number, required: true },
+      exempt: { type: Boolean, default: false }
+    }],
+    taxJurisdiction: {
+      taxRate: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxRate' },
+      name: { type: String },
+      country: { type: String },
+      postalCodePrefix: { type: String },
+      rate: { type: Number }
+    },
+    // Coupon applied at signup (Stripe applies it to the invoices)
+    discount: {
+      coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+      code: { type: String },
+      type: { type: String, enum: ['percentage', 'fixed', 'free_shipping'] },
+      description: { type: String },
+      amount: { type: Number, default: 0 },
+      stripeCouponId: { type: String }
+    },
+
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Plan',
+      default: null // Catalog plan; null for custom boxes
+    },
+    gift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GiftSubscription',
+      default: null // Set on subscriptions started by claiming a gift
+    },
+    prepaidCycles: {
+      type: Number,
+      default: 0 // Billing cycles paid for up front (gifts); delivered without Stripe invoices
+    },
+    subscriptionType: {
+      type: String,
+      default: null // Plan slug, or 'custom'
+    },
+    subscriptionName: {
+      type: String,
+      default: null
+    },
+    subscriptionPrice: {
+      type: Number,
+      default: 0
+    },
+    maxProducts: {
+      type: Number,
+      default: 0
+    },
+    recurrence: {
+      type: String,
+      enum: ['weekly', 'biweekly', 'monthly', 'quarterly'],
+      required: true
+    },
+    recurrenceLabel: {
+      type: String,
+      default: null
+    },
+    // Plan upgrades and downgrades, oldest first
+    planChanges: [{
+      fromPlan: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan' },
+      toPlan: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan' },
+      fromPrice: { type: Number },
+      toPrice: { type: Number },
+      prorationAmount: { type: Number, default: 0 },
+      changedAt: { type: Date, default: Date.now },
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }],
+    // Default box contents
+    selectedProducts: [{
+      _id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      title: { type: String },
+      description: { type: String },
+      imageUrl: { type: String },
+      price: { type: Number },
+      quantity: { type: Number }
+    }],
+    // Box contents chosen for specific upcoming billing cycles
+    cycleSelections: [{
+      billingCycle: { type: Number, required: true },
+      products: [{
+        _id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+        title: { type: String },
+        imageUrl: { type: String },
+        price: { type: Number },
+        quantity: { type: Number }
+      }],
+      updatedAt: { type: Date, default: Date.now },
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }],
+    nextBillingDate: {
+      type: Date,
+      default: null
+    },
+    // Billing cycles that were not charged or delivered (skips and vacation holds)
+    skippedCycles: [{
+      billingCycle: { type: Number, required: true },
+      billingDate: { type: Date },
+      reason: { type: String, enum: ['skip', 'vacation'], default: 'skip' },
+      skippedAt: { type: Date, default: Date.now }
+    }],
+    // Current skip or vacation hold. Stripe collection is paused (invoices
+    // voided) from when it is applied until resumesAt.
+    deliveryHold: {
+      type: { type: String, enum: ['skip', 'vacation'] },
+      startsAt: { type: Date },
+      resumesAt: { type: Date },
+      reason: { type: String },
+      status: {
+        type: String,
+        enum: ['scheduled', 'active', 'completed', 'cancelled'],
+        default: null
+      },
+      appliedAt: { type: Date },
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    },
+    subscriptionStatus: {
+      type: String,
+      enum: ['active', 'paused', 'cancelled', 'expired', 'payment_failed'],
+      default: 'active'
+    },
+    // Every subscriptionStatus change, oldest first (recorded on save)
+    subscriptionStatusHistory: [{
+      status: { type: String },
+      changedAt: { type: Date, default: Date.now },
+      reason: { type: String }
+    }],
+    billingCycle: {
+      type: Number,
+      default: 1 // Number of intervals between charges
+    },
+    totalBillingCycles: {
+      type: Number,
+      default: null // null for unlimited, or specific number
+    },
+    currentBillingCycle: {
+      type: Number,
+      default: 1 // Latest cycle delivered or skipped
+    },
+
+    // Stripe-specific fields
+    stripeSubscriptionId: {
+      type: String,
+      default: null
+    },
+    stripeCustomerId: {
+      type: String,
+      default: null
+    },
+    stripePriceId: {
+      type: String,
+      default: null
+    },
+
+    // One entry per subscription invoice; each is invoiced separately
+    paymentHistory: [{
+      paymentId: { type: String }, // Stripe payment intent or invoice ID
+      amount: { type: Number, required: true },
+      currency: { type: String, default: 'usd' },
+      status: { type: String, required: true }, // 'succeeded', 'failed', 'pending'
+      billingCycle: { type: Number }, // Which billing cycle this payment is for
+      paidAt: { type: Date, default: Date.now },
+      stripeInvoiceId: { type: String },
+      stripePaymentIntentId: { type: String },
+      failureReason: { type: String },
+      invoiceNumber: { type: String, default: null }, // Set when the invoice is first issued
+      invoiceIssuedAt: { type: Date, default: null },
+      metadata: { type: mongoose.Schema.Types.Mixed }
+    }],
+
+    // "Update your payment method" link sent while in dunning (only the token hash is stored)
+    paymentResume: {
+      tokenHash: { type: String },
+      remindedAt: { type: Date },
+      expiresAt: { type: Date }
+    },
+
+    // Failed subscription payment being chased (retries, reminders, cancellation)
+    dunning: {
+      status: {
+        type: String,
+        enum: ['active', 'recovered', 'cancelled'],
+        default: null
+      },
+      stripeInvoiceId: { type: String },
+      amountDue: { type: Number },
+      startedAt: { type: Date },
+      attempts: { type: Number, default: 0 }, // Reminder steps completed
+      nextAttemptAt: { type: Date },
+      endedAt: { type: Date },
+      timeline: [{
+        event: {
+          type: String,
+          enum: ['payment_failed', 'retry_failed', 'reminder_sent', 'recovered', 'cancelled']
+        },
+        message: { type: String },
+        at: { type: Date, default: Date.now }
+      }]
+    },
+
+    // Cancellation details
+    cancellationReason: { type: String },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: { type: Date },
+
+    notes: { type: String },
+    adminNotes: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Pre-save middleware for billing dates and the status timeline
+subscriptionSchema.pre('save', function(next) {
+  // The first cycle is delivered at signup; billing continues one interval later
+  if (this.isNew && !this.nextBillingDate) {
+    this.nextBillingDate = this.getBillingDateAfter(new Date());
+  }
+
+  // Keep the subscription's status timeline for analytics
+  if (this.isNew || this.isModified('subscriptionStatus')) {
+    const lastEntry = this.subscriptionStatusHistory[this.subscriptionStatusHistory.length - 1];
+    if (lastEntry?.status !== this.subscriptionStatus) {
+      this.subscriptionStatusHistory.push({
+        status: this.subscriptionStatus,
+        changedAt: new Date(),
+        reason: ['cancelled', 'expired'].includes(this.subscriptionStatus) ? this.cancellationReason : undefined
+      });
+    }
+  }
+
+  next();
+});
+
+// Instance method to create the secret for an "update your payment method" link
+subscriptionSchema.methods.createPaymentResumeToken = function(expiresAt) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.paymentResume = {
+    tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    remindedAt: new Date(),
+    expiresAt
+  };
+  return token;
+};
+
+// Instance method to check an "update your payment method" link secret
+subscriptionSchema.methods.isValidPaymentResumeToken = function(token) {
+  if (!token || !this.paymentResume?.tokenHash) return false;
+  if (this.paymentResume.expiresAt && this.paymentResume.expiresAt < new Date()) return false;
+
+  const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+  return crypto.timingSafeEqual(Buffer.from(tokenHash), Buffer.from(this.paymentResume.tokenHash));
+};
+
+// Instance method to add payment to history
+subscriptionSchema.methods.addPaymentToHistory = function(paymentData) {
+  this.paymentHistory.push({
+    paymentId: paymentData.paymentId,
+    amount: paymentData.amount,
+    currency: paymentData.currency || 'usd',
+    status: paymentData.status,
+    billingCycle: paymentData.billingCycle || this.currentBillingCycle,
+    paidAt: paymentData.paidAt || new Date(),
+    stripeInvoiceId: paymentData.stripeInvoiceId,
+    stripePaymentIntentId: paymentData.stripePaymentIntentId,
+    failureReason: paymentData.failureReason,
+    metadata: paymentData.metadata || {}
+  });
+};
+
+// Instance method to check if subscription should be billed (now handled by Stripe)
+subscriptionSchema.methods.shouldProcessBilling = function() {
+  if (this.subscriptionStatus !== 'active') {
+    return false;
+  }
+
+  const now = new Date();
+  return this.nextBillingDate && now >= this.nextBillingDate;
+};
+
+// Billing cycles that were actually charged, leaving out skips and holds
+subscriptionSchema.methods.getDeliveredCycleCount = function() {
+  return this.currentBillingCycle - (this.skippedCycles || []).length;
+};
+
+// Instance method to check if a skip or vacation hold is still to come or running
+subscriptionSchema.methods.hasPendingHold = function() {
+  return ['scheduled', 'active'].includes(this.deliveryHold?.status);
+};
+
+// Instance method to get the billing date that follows the given one
+subscriptionSchema.methods.getBillingDateAfter = function(date) {
+  const billingCycle = this.billingCycle || 1;
+  const currentDate = new Date(date);
+
+  switch (this.recurrence) {
+    case 'weekly':
+      return new Date(currentDate.getTime() + (7 * billingCycle * 24 * 60 * 60 * 1000));
+    case 'biweekly':
+      return new Date(currentDate.getTime() + (14 * billingCycle * 24 * 60 * 60 * 1000));
+    case 'monthly':
+      currentDate.setMonth(currentDate.getMonth() + billingCycle);
+      return currentDate;
+    case 'quarterly':
+      currentDate.setMonth(currentDate.getMonth() + (3 * billingCycle));
+      return currentDate;
+    default:
+      return currentDate;
+  }
+};
+
+// Instance method to update next billing date
+subscriptionSchema.methods.updateNextBillingDate = function() {
+  this.nextBillingDate = this.getBillingDateAfter(this.nextBillingDate || new Date());
+
+  this.currentBillingCycle += 1;
+
+  // Check if subscription has reached its limit (skipped cycles don't count)
+  if (this.totalBillingCycles && this.getDeliveredCycleCount() > this.totalBillingCycles) {
+    this.subscriptionStatus = 'expired';
+    return false;
+  }
+
+  return true;
+};
+
+// Static method to get active subscriptions
+subscriptionSchema.statics.getActiveSubscriptions = function() {
+  return this.find({ subscriptionStatus: 'active' })
+    .populate('user', 'name email')
+    .sort({ nextBillingDate: 1 });
+};
+
+// Virtual for subscription billing info
+subscriptionSchema.virtual('billingInfo').get(function() {
+  return {
+    nextBillingDate: this.nextBillingDate,
+    currentCycle: this.currentBillingCycle,
+    totalCycles: this.totalBillingCycles,
+    deliveredCycles: this.getDeliveredCycleCount(),
+    skippedCycles: (this.skippedCycles || []).length,
+    subscriptionStatus: this.subscriptionStatus,
+    isUnlimited: !this.totalBillingCycles,
+    remainingCycles: this.totalBillingCycles ?
+      Math.max(0, this.totalBillingCycles - this.getDeliveredCycleCount()) :
+      null,
+    hold: this.hasPendingHold() ? {
+      type: this.deliveryHold.type,
+      status: this.deliveryHold.status,
+      startsAt: this.deliveryHold.startsAt,
+      resumesAt: this.deliveryHold.resumesAt
+    } : null
+  };
+});
+
+// Index for efficient queries
+subscriptionSchema.index({ user: 1, createdAt: -1 });
+subscriptionSchema.index({ subscriptionStatus: 1, nextBillingDate: 1 });
+subscriptionSchema.index({ stripeSubscriptionId: 1 });
+subscriptionSchema.index({ gift: 1 });
+subscriptionSchema.index({ 'dunning.status': 1, 'dunning.nextAttemptAt': 1 });
+subscriptionSchema.index({ 'deliveryHold.status': 1 });
+subscriptionSchema.index({ 'paymentHistory.stripePaymentIntentId': 1 });
+
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+
+module.exports = Subscription;
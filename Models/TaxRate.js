@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const PRODUCT_CATEGORIES = ['Breakfast', 'Lunch', 'Dinner', 'Snacks', 'Beverages'];
+
+// Postal codes are compared without spaces and case differences
+const normalizePostalCode = (postalCode) => (postalCode || '').toString().replace(/\s+/g, '').toUpperCase();
+
+const taxRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true,
+    uppercase: true
+  },
+  // Empty prefix covers the whole country, longer prefixes cover smaller regions
+  postalCodePrefix: {
+    type: String,
+    default: '',
+    set: normalizePostalCode
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative'],
+    max: [100, 'Rate cannot exceed 100%']
+  },
+  exemptCategories: [{
+    type: String,
+    enum: PRODUCT_CATEGORIES
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+taxRateSchema.index({ country: 1, postalCodePrefix: 1 }, { unique: true });
+
+// Static method to find the most specific active rate for a shipping address
+taxRateSchema.statics.findForAddress = async function(shippingAddress) {
+  if (!shippingAddress?.country) return null;
+
+  const country = shippingAddress.country.toString().trim().toUpperCase();
+  const postalCode = normalizePostalCode(shippingAddress.postalCode);
+
+  const rates = await this.find({ country, isActive: true });
+
+  return rates
+    .filter(rate => postalCode.startsWith(rate.postalCodePrefix))
+    .sort((a, b) => b.postalCodePrefix.length - a.postalCodePrefix.length)[0] || null;
+};
+
+taxRateSchema.statics.PRODUCT_CATEGORIES = PRODUCT_CATEGORIES;
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
@@ -79,6 +79,10 @@ const userSchema = new Schema({
   },
   dietaryPreferences: [{ type: String, trim: true }],
   allergies: [{ type: String, trim: true }],
+  emailPreferences: {
+    orderUpdates: { type: Boolean, default: true } // Order status emails
+  },
+  stripeCustomerId: { type: String, default: null }, // Holds the user's saved cards
 }, {
   timestamps: true
 });
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeGuestCart
+} = require('../Controllers/cartController');
+const { authenticateToken, optionalAuth } = require('../Middleware/AuthMiddleware');
+
+// Merge guest cart into the logged in user's cart (call right after login)
+router.post('/merge', authenticateToken, mergeGuestCart);
+
+// Cart routes work for logged in users and guests (X-Guest-Cart-Id header)
+router.get('/', optionalAuth, getCart);
+router.delete('/', optionalAuth, clearCart);
+router.post('/items', optionalAuth, addToCart);
+router.put('/items/:productId', optionalAuth, updateCartItem);
+router.delete('/items/:productId', optionalAuth, removeCartItem);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  validateCouponCode,
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../Controllers/couponController');
+const { authenticateToken, requireAdmin } = require('../Middleware/AuthMiddleware');
+
+// Customer route - check a code at checkout
+router.post('/validate', authenticateToken, validateCouponCode);
+
+// Admin routes
+router.get('/', authenticateToken, requireAdmin, getCoupons);
+router.get('/:id', authenticateToken, requireAdmin, getCoupon);
+router.post('/', authenticateToken, requireAdmin, createCoupon);
+router.put('/:id', authenticateToken, requireAdmin, updateCoupon);
+router.delete('/:id', authenticateToken, requireAdmin, deleteCoupon);
+
+module.exports = router;
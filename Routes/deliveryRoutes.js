@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDeliverySlots,
+  getDeliveryUtilization,
+  getBlackouts,
+  createBlackout,
+  deleteBlackout
+} = require('../Controllers/deliveryController');
+const { authenticateToken, requireAdmin } = require('../Middleware/AuthMiddleware');
+
+// Checkout - slots open for an address
+router.get('/slots', getDeliverySlots);
+
+// Admin routes - capacity and blackout dates
+router.get('/slots/utilization', authenticateToken, requireAdmin, getDeliveryUtilization);
+router.get('/blackouts', authenticateToken, requireAdmin, getBlackouts);
+router.post('/blackouts', authenticateToken, requireAdmin, createBlackout);
+router.delete('/blackouts/:id', authenticateToken, requireAdmin, deleteBlackout);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  purchaseGift,
+  getMyGifts,
+  confirmGiftPayment,
+  getGiftClaim,
+  claimGift,
+  continueGiftSubscription
+} = require('../Controllers/giftController');
+const { authenticateToken } = require('../Middleware/AuthMiddleware');
+const { rejectCardData } = require('../Middleware/CardDataMiddleware');
+const { idempotency } = require('../Middleware/IdempotencyMiddleware');
+
+// Buying gifts
+router.post('/', authenticateToken, rejectCardData, idempotency, purchaseGift);
+router.get('/my', authenticateToken, getMyGifts);
+router.post('/:id/confirm-payment', authenticateToken, confirmGiftPayment);
+
+// Claiming - the token comes from the email sent to the recipient
+router.get('/claim/:token', getGiftClaim);
+router.post('/claim/:token', authenticateToken, claimGift);
+
+// Carry on with a paid subscription once the prepaid deliveries are used
+router.post('/subscriptions/:id/continue', authenticateToken, rejectCardData, idempotency, continueGiftSubscription);
+
+module.exports = router;
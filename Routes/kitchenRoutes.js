@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getKitchenProduction,
+  getKitchenPackingSlips
+} = require('../Controllers/kitchenController');
+const { authenticateToken, requireAdmin } = require('../Middleware/AuthMiddleware');
+
+// Admin routes - what to cook and pack for each delivery day
+router.get('/production', authenticateToken, requireAdmin, getKitchenProduction);
+router.get('/packing-slips', authenticateToken, requireAdmin, getKitchenPackingSlips);
+
+module.exports = router;
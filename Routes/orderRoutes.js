@@ -6,13 +6,19 @@ const {
   getOrders,
   getOrderById,
   updateOrderStatus,
+  getAllowedTransitions,
+  getOrderInvoice,
   getMyOrders,
   cancelOrder,
   deleteOrder,
   confirmStripePayment,
+  getPaymentResume,
+  resumeOrderPayment,
   handleStripeWebhook,
+  getStripeEvents,
+  replayStripeEvent,
   getOrderTracking,
-  initiateReturn,
+  refundOrder,
   updateTracking,
   createPaymentIntent,
   confirmPayment,
@@ -20,49 +26,85 @@ const {
   getMySubscriptions,
   pauseSubscription,
   resumeSubscription,
+  skipNextDelivery,
+  holdSubscription,
+  cancelSubscriptionHold,
+  createPaymentUpdateSession,
+  getDunningSubscriptions,
   cancelSubscription,
   processRecurringBilling,
   getSubscriptionAnalytics,
   createStripeSubscription,
-  getPlans,
   getSubscriptionById,
   updateSubscription,
+  getSubscriptionSelections,
+  updateCycleSelection,
+  previewPlanChange,
+  changeSubscriptionPlan,
   getSubscriptionPaymentHistory
 } = require('../Controllers/orderController');
 
-const { authenticateToken, requireAdmin } = require('../Middleware/AuthMiddleware');
+const { requestReturn } = require('../Controllers/returnController');
+const { getPlans } = require('../Controllers/planController');
+const {
+  getReconciliationReports,
+  getReconciliationReport,
+  runReconciliationNow
+} = require('../Controllers/reconciliationController');
+const { authenticateToken, requireAdmin, optionalAuth } = require('../Middleware/AuthMiddleware');
+const { idempotency } = require('../Middleware/IdempotencyMiddleware');
+const { rejectCardData } = require('../Middleware/CardDataMiddleware');
+const { returnUpload } = require('../config/s3');
 
 // ===== PUBLIC ROUTES (NO AUTH REQUIRED) =====
 // Stripe webhook (must be raw body)
 router.post('/webhook', express.raw({ type: 'application/json' }), handleStripeWebhook);
 
+// Stored webhook events (admin only)
+router.get('/webhook/events', authenticateToken, requireAdmin, getStripeEvents);
+router.post('/webhook/events/:eventId/replay', authenticateToken, requireAdmin, replayStripeEvent);
+
+// Stripe reconciliation reports (admin only)
+router.get('/reconciliation/reports', authenticateToken, requireAdmin, getReconciliationReports);
+router.get('/reconciliation/reports/:id', authenticateToken, requireAdmin, getReconciliationReport);
+router.post('/reconciliation/run', authenticateToken, requireAdmin, runReconciliationNow);
+
 // ===== PAYMENT ROUTES =====
-router.post('/create-payment-intent', authenticateToken, createPaymentIntent);
-router.post('/confirm-payment', authenticateToken, confirmPayment);
+router.post('/create-payment-intent', authenticateToken, rejectCardData, idempotency, createPaymentIntent);
+router.post('/confirm-payment', authenticateToken, rejectCardData, confirmPayment);
 
 // ===== SUBSCRIPTION ROUTES (SPECIFIC PATHS FIRST) =====
 // Get available subscription plans
 router.get('/plans', getPlans);
 
 // Create Stripe subscription (for direct Stripe integration)
-router.post('/create-stripe-subscription', authenticateToken, createStripeSubscription);
+router.post('/create-stripe-subscription', authenticateToken, rejectCardData, idempotency, createStripeSubscription);
 
 // User subscription management
 router.get('/subscriptions/my', authenticateToken, getMySubscriptions);
 router.get('/subscriptions/analytics', authenticateToken, requireAdmin, getSubscriptionAnalytics);
+router.get('/subscriptions/dunning', authenticateToken, requireAdmin, getDunningSubscriptions);
 router.post('/subscriptions/process-billing', authenticateToken, requireAdmin, processRecurringBilling);
 
 // Specific subscription operations (/:id patterns)
 router.get('/subscriptions/:id/payment-history', authenticateToken, getSubscriptionPaymentHistory);
 router.get('/subscriptions/:id', authenticateToken, getSubscriptionById);
 router.put('/subscriptions/:id', authenticateToken, updateSubscription);
+router.get('/subscriptions/:id/selections', authenticateToken, getSubscriptionSelections);
+router.put('/subscriptions/:id/selections/:cycle', authenticateToken, updateCycleSelection);
+router.get('/subscriptions/:id/change-plan/preview', authenticateToken, previewPlanChange);
+router.post('/subscriptions/:id/change-plan', authenticateToken, idempotency, changeSubscriptionPlan);
 router.put('/subscriptions/:id/pause', authenticateToken, pauseSubscription);
 router.put('/subscriptions/:id/resume', authenticateToken, resumeSubscription);
+router.post('/subscriptions/:id/skip', authenticateToken, skipNextDelivery);
+router.post('/subscriptions/:id/hold', authenticateToken, holdSubscription);
+router.delete('/subscriptions/:id/hold', authenticateToken, cancelSubscriptionHold);
+router.post('/subscriptions/:id/payment-update-session', optionalAuth, createPaymentUpdateSession);
 router.put('/subscriptions/:id/cancel', authenticateToken, cancelSubscription);
 
 // ===== ORDER ROUTES (GENERAL PATTERNS LAST) =====
 // Create new order (handles both one-time and subscription orders)
-router.post('/', authenticateToken, createOrder);
+router.post('/', authenticateToken, rejectCardData, idempotency, createOrder);
 
 // Get all orders (admin only)
 router.get('/', authenticateToken, requireAdmin, getOrders);
@@ -73,11 +115,17 @@ router.get('/myorders', authenticateToken, getMyOrders);
 // Specific order operations (/:id patterns)
 router.get('/:id', authenticateToken, getOrderById);
 router.get('/:id/tracking', authenticateToken, getOrderTracking);
+router.get('/:id/invoice.pdf', authenticateToken, getOrderInvoice);
+router.get('/:id/allowed-transitions', authenticateToken, requireAdmin, getAllowedTransitions);
 router.put('/:id/status', authenticateToken, requireAdmin, updateOrderStatus);
 router.put('/:id/confirm-payment', authenticateToken, confirmStripePayment);
+// "Complete your payment" link - the emailed token or a logged in owner can use it
+router.get('/:id/resume-payment', optionalAuth, getPaymentResume);
+router.post('/:id/resume-payment', optionalAuth, rejectCardData, idempotency, resumeOrderPayment);
 router.put('/:id/tracking', authenticateToken, requireAdmin, updateTracking);
 router.put('/:id/cancel', authenticateToken, cancelOrder);
-router.put('/:id/return', authenticateToken, initiateReturn);
+router.put('/:id/return', authenticateToken, returnUpload.array('photos', 5), requestReturn);
+router.post('/:id/refund', authenticateToken, requireAdmin, refundOrder);
 router.delete('/:id', authenticateToken, requireAdmin, deleteOrder);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createSetupIntent,
+  getPaymentMethods,
+  deletePaymentMethod
+} = require('../Controllers/paymentMethodController');
+const { authenticateToken } = require('../Middleware/AuthMiddleware');
+const { rejectCardData } = require('../Middleware/CardDataMiddleware');
+
+// Saved cards are held by Stripe against the user's Stripe customer
+router.post('/setup-intent', authenticateToken, rejectCardData, createSetupIntent);
+router.get('/', authenticateToken, getPaymentMethods);
+router.delete('/:id', authenticateToken, deletePaymentMethod);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPlans,
+  getAllPlans,
+  getPlan,
+  createPlan,
+  updatePlan,
+  deletePlan
+} = require('../Controllers/planController');
+const { authenticateToken, requireAdmin } = require('../Middleware/AuthMiddleware');
+
+// Public plan catalog (also served at GET /api/orders/plans)
+router.get('/', getPlans);
+
+// Admin plan management - changes are synced to Stripe products and prices
+router.get('/admin', authenticateToken, requireAdmin, getAllPlans);
+router.get('/:id', authenticateToken, requireAdmin, getPlan);
+router.post('/', authenticateToken, requireAdmin, createPlan);
+router.put('/:id', authenticateToken, requireAdmin, updatePlan);
+router.delete('/:id', authenticateToken, requireAdmin, deletePlan);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+  requestReturn,
+  getMyReturns,
+  getReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  markReturnReceived,
+  refundReturn,
+  getReturnPolicies,
+  setReturnPolicy,
+  deleteReturnPolicy
+} = require('../Controllers/returnController');
+const { authenticateToken, requireAdmin } = require('../Middleware/AuthMiddleware');
+const { returnUpload } = require('../config/s3');
+
+// Return windows per category
+router.get('/policies', getReturnPolicies);
+router.put('/policies/:category', authenticateToken, requireAdmin, setReturnPolicy);
+router.delete('/policies/:category', authenticateToken, requireAdmin, deleteReturnPolicy);
+
+// Customer routes
+router.post('/', authenticateToken, returnUpload.array('photos', 5), requestReturn);
+router.get('/my', authenticateToken, getMyReturns);
+
+// Admin routes - one per step of the return
+router.get('/', authenticateToken, requireAdmin, getReturns);
+router.put('/:id/approve', authenticateToken, requireAdmin, approveReturn);
+router.put('/:id/reject', authenticateToken, requireAdmin, rejectReturn);
+router.put('/:id/receive', authenticateToken, requireAdmin, markReturnReceived);
+router.post('/:id/refund', authenticateToken, requireAdmin, refundReturn);
+
+router.get('/:id', authenticateToken, getReturnById);
+
+module.exports = router;
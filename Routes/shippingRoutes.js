@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getShippingQuote,
+  getShippingZones,
+  getShippingZone,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone
+} = require('../Controllers/shippingController');
+const { authenticateToken, requireAdmin, optionalAuth } = require('../Middleware/AuthMiddleware');
+
+// Checkout quote (uses the user's cart when no items are sent)
+router.post('/quote', optionalAuth, getShippingQuote);
+
+// Admin routes - delivery zones and rate rules
+router.get('/zones', authenticateToken, requireAdmin, getShippingZones);
+router.get('/zones/:id', authenticateToken, requireAdmin, getShippingZone);
+router.post('/zones', authenticateToken, requireAdmin, createShippingZone);
+router.put('/zones/:id', authenticateToken, requireAdmin, updateShippingZone);
+router.delete('/zones/:id', authenticateToken, requireAdmin, deleteShippingZone);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTaxRates,
+  getTaxRate,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+  previewTax
+} = require('../Controllers/taxController');
+const { authenticateToken, requireAdmin } = require('../Middleware/AuthMiddleware');
+
+// Public route - tax preview for checkout
+router.post('/calculate', previewTax);
+
+// Admin routes - rate tables
+router.get('/rates', authenticateToken, requireAdmin, getTaxRates);
+router.get('/rates/:id', authenticateToken, requireAdmin, getTaxRate);
+router.post('/rates', authenticateToken, requireAdmin, createTaxRate);
+router.put('/rates/:id', authenticateToken, requireAdmin, updateTaxRate);
+router.delete('/rates/:id', authenticateToken, requireAdmin, deleteTaxRate);
+
+module.exports = router;
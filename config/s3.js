@@ -26,6 +26,19 @@ const createUploadConfig = (folder) => ({
   }
 });
 
+// Only accept common image formats
+const imageFileFilter = (req, file, cb) => {
+  const filetypes = /jpeg|jpg|png|gif|webp/;
+  const mimetype = filetypes.test(file.mimetype);
+  const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
+
+  if (mimetype && extname) {
+    return cb(null, true);
+  }
+
+  cb(new Error('Only image files are allowed (JPEG, JPG, PNG, GIF, WEBP)'));
+};
+
 // Configure multer for Banner uploads
 const bannerUpload = multer({
   storage: multerS3({
@@ -40,20 +53,17 @@ const bannerUpload = multer({
       cb(null, `banners/${uniqueSuffix}-${file.originalname}`);
     }
   }),
-  fileFilter: (req, file, cb) => {
-    const filetypes = /jpeg|jpg|png|gif|webp/;
-    const mimetype = filetypes.test(file.mimetype);
-    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-    
-    if (mimetype && extname) {
-      return cb(null, true);
-    }
-    
-    cb(new Error('Only image files are allowed (JPEG, JPG, PNG, GIF, WEBP)'));
-  },
+  fileFilter: imageFileFilter,
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
+// Configure multer for return photo evidence
+const returnUpload = multer({
+  storage: multerS3(createUploadConfig('returns')),
+  fileFilter: imageFileFilter,
+  limits: { fileSize: 5 * 1024 * 1024, files: 5 } // 5MB per photo, 5 photos
+});
+
 // Function to delete object from S3
 const deleteS3Object = async (key) => {
   try {
@@ -72,5 +82,6 @@ const deleteS3Object = async (key) => {
 module.exports = { 
   s3Client, 
   deleteS3Object,
-  bannerUpload
+  bannerUpload,
+  returnUpload
 }; 
\ No newline at end of file
@@ -4,6 +4,11 @@ const helmet = require('helmet');
 const { connectDB } = require('./db');
 const dotenv = require("dotenv");
 const { initializeSubscriptionCron } = require('./utils/subscriptionCron');
+const { initializeReconciliationCron } = require('./utils/stripeReconciliation');
+const { initializeAbandonedOrderCron } = require('./utils/abandonedOrders');
+const { initializeSubscriptionHoldCron } = require('./utils/subscriptionHolds');
+const { initializeDunningCron } = require('./utils/dunning');
+const { initializeGiftSubscriptionCron } = require('./utils/giftSubscriptions');
 
 // Load environment variables
 dotenv.config();
@@ -11,7 +16,12 @@ dotenv.config();
 const app = express();
 // Security middleware
 app.use(helmet());
-app.use(express.json({ limit: '50mb' }));
+// The Stripe webhook verifies its signature against the raw body, so it must skip the JSON parser
+const jsonParser = express.json({ limit: '50mb' });
+app.use((req, res, next) => {
+  if (req.path === '/api/orders/webhook') return next();
+  jsonParser(req, res, next);
+});
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
 // CORS configuration
@@ -43,8 +53,8 @@ const corsOptions = {
     }
   },
   credentials: true,
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Guest-Cart-Id', 'Idempotency-Key'],
+  exposedHeaders: ['Authorization', 'Idempotent-Replayed'],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS','PATCH'],
   optionsSuccessStatus: 200
 };
@@ -56,6 +66,11 @@ connectDB();
 
 // Initialize subscription cron jobs
 initializeSubscriptionCron();
+initializeReconciliationCron();
+initializeAbandonedOrderCron();
+initializeSubscriptionHoldCron();
+initializeDunningCron();
+initializeGiftSubscriptionCron();
 
 // Routes
 const authRoutes = require('./Routes/AuthRoutes');
@@ -67,6 +82,16 @@ const orderRoutes = require('./Routes/orderRoutes');
 const blogRoutes = require('./Routes/blogRoutes');
 const ReviewRoutes=require("./Routes/ReviewRouter")
 const contactRoutes = require('./Routes/ContactRoutes');
+const cartRoutes = require('./Routes/cartRoutes');
+const taxRoutes = require('./Routes/taxRoutes');
+const shippingRoutes = require('./Routes/shippingRoutes');
+const couponRoutes = require('./Routes/couponRoutes');
+const returnRoutes = require('./Routes/returnRoutes');
+const paymentMethodRoutes = require('./Routes/paymentMethodRoutes');
+const planRoutes = require('./Routes/planRoutes');
+const giftRoutes = require('./Routes/giftRoutes');
+const deliveryRoutes = require('./Routes/deliveryRoutes');
+const kitchenRoutes = require('./Routes/kitchenRoutes');
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -77,6 +102,16 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/blogs', blogRoutes);
 app.use('/api/review', ReviewRoutes)
 app.use('/api/contacts', contactRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/payment-methods', paymentMethodRoutes);
+app.use('/api/plans', planRoutes);
+app.use('/api/gifts', giftRoutes);
+app.use('/api/delivery', deliveryRoutes);
+app.use('/api/kitchen', kitchenRoutes);
 // Error handling middlewares
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -0,0 +1,144 @@
+// Move subscriptions stored on orders into the Subscription collection.
+//
+// Before subscriptions had their own model, the first order of a subscription
+// carried its plan, schedule and Stripe billing, and every billing cycle cloned
+// that order. This script creates one Subscription per chain of orders (reusing
+// the first order's ID so existing /subscriptions/:id links and gift records
+// keep working), links every order to it as a delivery and removes the copied
+// subscription fields from the orders. Orders left over by an interrupted run
+// are linked to the subscription that run created.
+//
+// Usage: node scripts/migrateSubscriptions.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../db');
+const Order = require('../Models/Order');
+const Subscription = require('../Models/Subscription');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Fields that belong to the subscription and are removed from its orders
+const CONTRACT_FIELDS = [
+  'plan', 'gift', 'prepaidCycles', 'subscriptionType', 'subscriptionName',
+  'subscriptionPrice', 'maxProducts', 'recurrence', 'recurrenceLabel', 'planChanges',
+  'selectedProducts', 'cycleSelections', 'nextBillingDate', 'skippedCycles',
+  'deliveryHold', 'subscriptionStatus', 'subscriptionStatusHistory', 'billingCycle',
+  'totalBillingCycles', 'currentBillingCycle', 'stripeSubscriptionId',
+  'stripeCustomerId', 'stripePriceId', 'dunning'
+];
+
+// Fields copied onto the subscription that the orders keep as well
+const SHARED_FIELDS = [
+  'user', 'orderItems', 'shippingAddress', 'paymentMethod', 'itemsPrice', 'taxPrice',
+  'shippingPrice', 'shippingMethod', 'taxBreakdown', 'taxJurisdiction', 'discount',
+  'cancellationReason', 'cancelledBy', 'cancelledAt', 'notes', 'adminNotes', 'paymentResume'
+];
+
+// Orders of the same subscription share a gift or a Stripe subscription
+const getChainKey = (order) => String(order.gift || order.stripeSubscriptionId || order._id);
+
+// The subscription an earlier, interrupted run already created for a chain. Its
+// first order is linked by then, so the chain is found by what the orders share.
+const findMigratedSubscription = (parent) => {
+  if (parent.gift) return Subscription.collection.findOne({ gift: parent.gift }, { projection: { _id: 1 } });
+  if (parent.stripeSubscriptionId) {
+    return Subscription.collection.findOne({ stripeSubscriptionId: parent.stripeSubscriptionId }, { projection: { _id: 1 } });
+  }
+  return Subscription.collection.findOne({ _id: parent._id }, { projection: { _id: 1 } });
+};
+
+const buildSubscription = (parent) => {
+  const subscription = { _id: parent._id };
+  for (const field of [...SHARED_FIELDS, ...CONTRACT_FIELDS]) {
+    if (parent[field] !== undefined) subscription[field] = parent[field];
+  }
+
+  // Invoices belong to the subscription; refunds stay on the order they were made against
+  subscription.paymentHistory = (parent.paymentHistory || []).filter(entry => entry.status !== 'refunded');
+  subscription.subscriptionStatus = parent.subscriptionStatus || 'active';
+  subscription.currentBillingCycle = parent.currentBillingCycle || 1;
+  subscription.billingCycle = parent.billingCycle || 1;
+  subscription.createdAt = parent.createdAt;
+  subscription.updatedAt = parent.updatedAt || parent.createdAt;
+  return subscription;
+};
+
+const migrateSubscriptions = async () => {
+  // Read the raw documents - the subscription fields are no longer on the Order schema
+  const orders = await Order.collection
+    .find({ isSubscription: true, subscription: null })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  const chains = new Map();
+  for (const order of orders) {
+    const key = getChainKey(order);
+    chains.set(key, [...(chains.get(key) || []), order]);
+  }
+
+  console.log(`Found ${orders.length} subscription orders in ${chains.size} subscriptions${dryRun ? ' (dry run)' : ''}`);
+
+  let created = 0;
+  let linked = 0;
+  let failed = 0;
+
+  for (const chain of chains.values()) {
+    const parent = chain[0];
+
+    try {
+      const existing = await findMigratedSubscription(parent);
+      const subscriptionId = existing ? existing._id : parent._id;
+      // Each cycle has one order; clashing or missing cycles go after the last one taken
+      const takenCycles = new Set(existing ? await Order.collection.distinct('subscriptionCycle', { subscription: subscriptionId }) : []);
+      const nextFreeCycle = () => Math.max(0, ...takenCycles) + 1;
+
+      if (!existing) {
+        if (!dryRun) await Subscription.collection.insertOne(buildSubscription(parent));
+        created++;
+      }
+
+      for (const order of chain) {
+        const cycle = order.currentBillingCycle && !takenCycles.has(order.currentBillingCycle)
+          ? order.currentBillingCycle
+          : nextFreeCycle();
+        takenCycles.add(cycle);
+
+        const update = {
+          $set: {
+            subscription: subscriptionId,
+            subscriptionCycle: cycle
+          },
+          $unset: Object.fromEntries(CONTRACT_FIELDS.map(field => [field, '']))
+        };
+        // The order the subscription was built from hands its invoices over to it
+        if (String(order._id) === String(subscriptionId)) {
+          update.$pull = { paymentHistory: { status: { $ne: 'refunded' } } };
+        }
+
+        if (!dryRun) await Order.collection.updateOne({ _id: order._id }, update);
+        linked++;
+      }
+    } catch (error) {
+      failed++;
+      console.error(`❌ Error migrating subscription ${parent._id}:`, error.message);
+    }
+  }
+
+  console.log(`📊 Subscription migration summary:`);
+  console.log(`   - Subscriptions created: ${created}`);
+  console.log(`   - Orders linked: ${linked}`);
+  console.log(`   - Failed: ${failed}`);
+
+  return { created, linked, failed };
+};
+
+connectDB()
+  .then(migrateSubscriptions)
+  .then(({ failed }) => {
+    process.exitCode = failed > 0 ? 1 : 0;
+  })
+  .catch((error) => {
+    console.error('❌ Subscription migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
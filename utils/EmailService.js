@@ -332,6 +332,317 @@ Reference ID: ${contactData._id}
     `;
   }
 
+  // Subject and intro line for each order email
+  getOrderEmailContent(order, type, options = {}) {
+    const orderRef = order._id.toString().slice(-8).toUpperCase();
+    const content = {
+      placed: {
+        subject: `We've received your order #${orderRef}`,
+        heading: 'Thanks for your order!',
+        message: 'We have received your order and are waiting for your payment to be confirmed.'
+      },
+      paid: {
+        subject: `Order #${orderRef} confirmed`,
+        heading: 'Your order is confirmed',
+        message: order.isSubscription
+          ? 'Your payment was successful and your subscription delivery is being prepared.'
+          : 'Your payment was successful and we are getting your order ready.'
+      },
+      shipped: {
+        subject: `Order #${orderRef} is on its way`,
+        heading: 'Your order has shipped',
+        message: 'Good news - your order is on its way. You can follow the delivery with the tracking link below.'
+      },
+      delivered: {
+        subject: `Order #${orderRef} has been delivered`,
+        heading: 'Your order has been delivered',
+        message: 'Your order has been delivered. Enjoy your meals!'
+      },
+      cancelled: {
+        subject: `Order #${orderRef} has been cancelled`,
+        heading: 'Your order has been cancelled',
+        message: order.cancellationReason
+          ? `Your order has been cancelled. Reason: ${order.cancellationReason}`
+          : 'Your order has been cancelled. Any stock held for you has been released.'
+      },
+      refunded: {
+        subject: `Refund issued for order #${orderRef}`,
+        heading: 'Your refund is on its way',
+        message: `We have refunded ${this.formatMoney(order.refundAmount || 0)} to your original payment method. It can take 5-10 business days to appear on your statement.`
+      },
+      payment_reminder: {
+        subject: `Complete your payment for order #${orderRef}`,
+        heading: 'Your order is waiting for payment',
+        message: `We haven't received the payment for your order yet, so we're holding your items${options.expiresAt ? ` until ${new Date(options.expiresAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}` : ''}. Use the link below to complete your payment - after that the order will be cancelled.`,
+        action: { label: 'Complete your payment', url: options.paymentLink }
+      },
+      dunning_reminder: {
+        subject: options.isFinalReminder
+          ? `Final notice: payment needed for your ${order.subscriptionName || 'subscription'}`
+          : `Payment failed for your ${order.subscriptionName || 'subscription'}`,
+        heading: 'We couldn\'t take your subscription payment',
+        message: `We tried to charge ${this.formatMoney(options.amountDue || 0)} for your subscription but the payment didn't go through. Please update your payment method using the link below.${options.finalAttemptAt ? ` We'll make a final attempt on ${new Date(options.finalAttemptAt).toLocaleDateString('en-US', { dateStyle: 'medium' })} - if it fails, your subscription will be cancelled.` : ''}`,
+        action: { label: 'Update payment method', url: options.paymentLink }
+      },
+      dunning_cancelled: {
+        subject: `Your ${order.subscriptionName || 'subscription'} has been cancelled`,
+        heading: 'Your subscription has been cancelled',
+        message: 'We were unable to collect your subscription payment after several attempts, so your subscription has been cancelled. You are welcome to subscribe again at any time.',
+        action: { label: 'View subscription', url: `${process.env.FRONTEND_URL || 'http://localhost:3001'}/subscriptions/${order._id}` }
+      },
+      gift_ending: {
+        subject: `The last box of your ${order.subscriptionName || 'gift subscription'} is on its way`,
+        heading: 'Your gift subscription is ending',
+        message: 'Your last prepaid delivery is being prepared. Enjoyed your meals? You can keep them coming with a subscription of your own - your address and meal choices carry over.',
+        action: { label: 'Continue my subscription', url: options.continueLink }
+      }
+    };
+
+    return { orderRef, ...content[type] };
+  }
+
+  // Send an order status email to the customer
+  async sendOrderEmail(order, user, type, options = {}) {
+    try {
+      const content = this.getOrderEmailContent(order, type, options);
+
+      const mailOptions = {
+        from: {
+          name: process.env.COMPANY_NAME || 'Your Company',
+          address: process.env.EMAIL_FROM || process.env.EMAIL_USER
+        },
+        to: user.email,
+        subject: content.subject,
+        html: this.generateOrderEmailHTML(order, user, content),
+        text: this.generateOrderEmailText(order, user, content),
+        attachments: options.attachments || []
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log(`Order ${type} email sent:`, result.messageId);
+      return result;
+    } catch (error) {
+      console.error(`Failed to send order ${type} email:`, error);
+      throw error;
+    }
+  }
+
+  // Send the recipient of a gift subscription their claim link
+  async sendGiftClaimEmail(gift, purchaser, claimLink) {
+    try {
+      const mailOptions = {
+        from: {
+          name: process.env.COMPANY_NAME || 'Your Company',
+          address: process.env.EMAIL_FROM || process.env.EMAIL_USER
+        },
+        to: gift.recipientEmail,
+        subject: `${purchaser?.name || 'Someone'} sent you a meal subscription`,
+        html: this.generateGiftClaimEmailHTML(gift, purchaser, claimLink),
+        text: this.generateGiftClaimEmailText(gift, purchaser, claimLink)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('Gift claim email sent:', result.messageId);
+      return result;
+    } catch (error) {
+      console.error('Failed to send gift claim email:', error);
+      throw error;
+    }
+  }
+
+  // Format an amount for emails
+  formatMoney(amount) {
+    return `$${Number(amount || 0).toFixed(2)}`;
+  }
+
+  // Carrier tracking URL, falling back to the order tracking page
+  getOrderTrackingLink(order) {
+    return order.tracking?.trackingUrl ||
+      `${process.env.FRONTEND_URL || 'http://localhost:3001'}/orders/${order._id}/tracking`;
+  }
+
+  // Generate order email HTML
+  generateOrderEmailHTML(order, user, content) {
+    const address = order.shippingAddress || {};
+    const itemRows = order.orderItems.map(item => `
+              <tr>
+                <td style="padding: 8px; border-bottom: 1px solid #eee;">${item.name}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${item.quantity}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${this.formatMoney(item.price)}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${this.formatMoney(item.price * item.quantity)}</td>
+              </tr>`).join('');
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${content.subject}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #f8f9fa; padding: 20px; text-align: center; border-radius: 8px; }
+          .content { padding: 20px 0; }
+          .footer { background-color: #f8f9fa; padding: 15px; text-align: center; font-size: 12px; border-radius: 8px; }
+          .highlight { background-color: #e9ecef; padding: 15px; border-radius: 5px; margin: 10px 0; }
+          .items { width: 100%; border-collapse: collapse; margin: 10px 0; }
+          .items th { text-align: left; padding: 8px; background-color: #f8f9fa; }
+          .totals td { padding: 4px 8px; }
+          .btn { display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; margin: 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${content.heading}</h1>
+            <p>Order #${content.orderRef}</p>
+          </div>
+
+          <div class="content">
+            <p>Hi ${user.name},</p>
+            <p>${content.message}</p>
+
+            <table class="items">
+              <tr>
+                <th>Item</th>
+                <th style="text-align: center;">Qty</th>
+                <th style="text-align: right;">Price</th>
+                <th style="text-align: right;">Total</th>
+              </tr>${itemRows}
+            </table>
+
+            <table class="totals" style="margin-left: auto;">
+              <tr><td>Items</td><td style="text-align: right;">${this.formatMoney(order.itemsPrice)}</td></tr>
+              ${order.discountPrice ? `<tr><td>Discount${order.discount?.code ? ` (${order.discount.code})` : ''}</td><td style="text-align: right;">-${this.formatMoney(order.discountPrice)}</td></tr>` : ''}
+              <tr><td>Shipping${order.shippingMethod?.name ? ` (${order.shippingMethod.name})` : ''}</td><td style="text-align: right;">${this.formatMoney(order.shippingPrice)}</td></tr>
+              <tr><td>Tax</td><td style="text-align: right;">${this.formatMoney(order.taxPrice)}</td></tr>
+              <tr><td><strong>Total</strong></td><td style="text-align: right;"><strong>${this.formatMoney(order.totalPrice ?? order.subscriptionPrice)}</strong></td></tr>
+              ${order.refundAmount ? `<tr><td>Refunded</td><td style="text-align: right;">-${this.formatMoney(order.refundAmount)}</td></tr>` : ''}
+            </table>
+
+            <div class="highlight">
+              <p><strong>Shipping to:</strong></p>
+              <p>${address.address}<br>${address.city}, ${address.postalCode}<br>${address.country}</p>
+            </div>
+
+            ${order.tracking?.trackingNumber ? `<p><strong>Tracking number:</strong> ${order.tracking.trackingNumber}${order.tracking.courier ? ` (${order.tracking.courier})` : ''}</p>` : ''}
+
+            <div style="text-align: center; margin: 20px 0;">
+              ${content.action
+                ? `<a href="${content.action.url}" class="btn">${content.action.label}</a>`
+                : `<a href="${this.getOrderTrackingLink(order)}" class="btn">Track your order</a>`}
+            </div>
+          </div>
+
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} ${process.env.COMPANY_NAME || 'Your Company'}. All rights reserved.</p>
+            <p>You can turn off order emails in your account settings.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  // Generate order email text
+  generateOrderEmailText(order, user, content) {
+    const address = order.shippingAddress || {};
+    const items = order.orderItems
+      .map(item => `- ${item.name} x ${item.quantity}: ${this.formatMoney(item.price * item.quantity)}`)
+      .join('\n');
+
+    return `
+${content.heading}
+Order #${content.orderRef}
+
+Hi ${user.name},
+
+${content.message}
+
+Items:
+${items}
+
+Items: ${this.formatMoney(order.itemsPrice)}
+${order.discountPrice ? `Discount: -${this.formatMoney(order.discountPrice)}\n` : ''}Shipping: ${this.formatMoney(order.shippingPrice)}
+Tax: ${this.formatMoney(order.taxPrice)}
+Total: ${this.formatMoney(order.totalPrice ?? order.subscriptionPrice)}
+${order.refundAmount ? `Refunded: -${this.formatMoney(order.refundAmount)}\n` : ''}
+Shipping to:
+${address.address}
+${address.city}, ${address.postalCode}
+${address.country}
+${order.tracking?.trackingNumber ? `\nTracking number: ${order.tracking.trackingNumber}` : ''}
+${content.action ? `${content.action.label}: ${content.action.url}` : `Track your order: ${this.getOrderTrackingLink(order)}`}
+
+© ${new Date().getFullYear()} ${process.env.COMPANY_NAME || 'Your Company'}. All rights reserved.
+You can turn off order emails in your account settings.
+    `;
+  }
+
+  // Generate gift claim email HTML
+  generateGiftClaimEmailHTML(gift, purchaser, claimLink) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>You've received a gift</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #f8f9fa; padding: 20px; text-align: center; border-radius: 8px; }
+          .content { padding: 20px 0; }
+          .footer { background-color: #f8f9fa; padding: 15px; text-align: center; font-size: 12px; border-radius: 8px; }
+          .highlight { background-color: #e9ecef; padding: 15px; border-radius: 5px; margin: 10px 0; }
+          .btn { display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; margin: 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>You've received a gift!</h1>
+            <p>${purchaser?.name || 'Someone'} sent you ${gift.cycles} ${gift.cycles === 1 ? 'delivery' : 'deliveries'} of ${gift.planName}</p>
+          </div>
+
+          <div class="content">
+            <p>Hi ${gift.recipientName || 'there'},</p>
+            ${gift.message ? `<div class="highlight"><p>${gift.message.replace(/\n/g, '<br>')}</p></div>` : ''}
+            <p>Your gift includes ${gift.cycles} ${gift.cycles === 1 ? 'box' : 'boxes'} delivered ${(gift.recurrenceLabel || gift.recurrence).toLowerCase()}. Claim it to choose your meals and where they should be delivered - there is nothing to pay.</p>
+
+            <div style="text-align: center; margin: 20px 0;">
+              <a href="${claimLink}" class="btn">Claim your gift</a>
+            </div>
+          </div>
+
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} ${process.env.COMPANY_NAME || 'Your Company'}. All rights reserved.</p>
+            <p>This is an automated message. Please do not reply directly to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  // Generate gift claim email text
+  generateGiftClaimEmailText(gift, purchaser, claimLink) {
+    return `
+You've received a gift!
+
+Hi ${gift.recipientName || 'there'},
+
+${purchaser?.name || 'Someone'} sent you ${gift.cycles} ${gift.cycles === 1 ? 'delivery' : 'deliveries'} of ${gift.planName}, delivered ${(gift.recurrenceLabel || gift.recurrence).toLowerCase()}.
+${gift.message ? `\n"${gift.message}"\n` : ''}
+Claim it to choose your meals and where they should be delivered - there is nothing to pay:
+${claimLink}
+
+© ${new Date().getFullYear()} ${process.env.COMPANY_NAME || 'Your Company'}. All rights reserved.
+This is an automated message. Please do not reply directly to this email.
+    `;
+  }
+
   // Get priority color for styling
   getPriorityColor(priority) {
     const colors = {
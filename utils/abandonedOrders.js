@@ -0,0 +1,137 @@
+const cron = require('node-cron');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Order = require('../Models/Order');
+const { transitionOrder } = require('./orderStateMachine');
+const { releaseCouponRedemption } = require('./couponEngine');
+const { sendOrderNotification } = require('./orderNotifications');
+
+const REMINDER_AFTER_HOURS = parseFloat(process.env.ABANDONED_ORDER_REMINDER_HOURS) || 1;
+const EXPIRE_AFTER_HOURS = parseFloat(process.env.ABANDONED_ORDER_EXPIRY_HOURS) || 24;
+const HOUR_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+
+// One-time orders whose payment never went through
+const UNPAID_STATUSES = ['Pending', 'Payment_Failed'];
+const unpaidOrderFilter = () => ({
+  isSubscription: false,
+  isPaid: false,
+  status: { $in: UNPAID_STATUSES }
+});
+
+// Payment intents Stripe still lets us cancel
+const CANCELABLE_PAYMENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action', 'requires_capture'];
+
+// When an unpaid order is cancelled
+const getPaymentExpiry = (order) => new Date(order.createdAt.getTime() + EXPIRE_AFTER_HOURS * HOUR_MS);
+
+const getPaymentResumeLink = (order, token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3001'}/orders/${order._id}/complete-payment?token=${token}`;
+
+// Email a "complete your payment" link once per unpaid order
+const sendPaymentReminders = async () => {
+  const now = Date.now();
+  const orders = await Order.find({
+    ...unpaidOrderFilter(),
+    'paymentResume.remindedAt': null,
+    createdAt: {
+      $lte: new Date(now - REMINDER_AFTER_HOURS * HOUR_MS),
+      $gt: new Date(now - EXPIRE_AFTER_HOURS * HOUR_MS)
+    }
+  }).limit(BATCH_SIZE);
+
+  let sent = 0;
+  for (const order of orders) {
+    try {
+      const expiresAt = getPaymentExpiry(order);
+      const token = order.createPaymentResumeToken(expiresAt);
+      await order.save();
+
+      if (await sendOrderNotification(order, 'payment_reminder', { paymentLink: getPaymentResumeLink(order, token), expiresAt })) {
+        sent++;
+      }
+    } catch (error) {
+      console.error(`❌ Error sending payment reminder for order ${order._id}:`, error);
+    }
+  }
+
+  return sent;
+};
+
+// Cancel unpaid orders past the payment window, along with their payment intent,
+// held stock and coupon use
+const expireAbandonedOrders = async () => {
+  const orders = await Order.find({
+    ...unpaidOrderFilter(),
+    createdAt: { $lte: new Date(Date.now() - EXPIRE_AFTER_HOURS * HOUR_MS) }
+  }).limit(BATCH_SIZE);
+
+  let expired = 0;
+  for (const order of orders) {
+    try {
+      if (order.paymentIntent?.id) {
+        const paymentIntent = await stripe.paymentIntents.retrieve(order.paymentIntent.id);
+
+        // The payment may have gone through without us hearing about it - reconciliation picks it up
+        if (['succeeded', 'processing'].includes(paymentIntent.status)) {
+          console.warn(`Order ${order._id} has payment ${paymentIntent.status} in Stripe - not expiring`);
+          continue;
+        }
+
+        if (CANCELABLE_PAYMENT_STATUSES.includes(paymentIntent.status)) {
+          await stripe.paymentIntents.cancel(paymentIntent.id, { cancellation_reason: 'abandoned' });
+        }
+        order.paymentIntent.status = 'canceled';
+      }
+
+      order.cancellationReason = 'Payment was not completed in time';
+      const transition = await transitionOrder(order, 'Cancelled', {
+        note: `Order expired after ${EXPIRE_AFTER_HOURS} hours without payment`
+      });
+      if (!transition.success) {
+        console.warn(`Could not expire order ${order._id}: ${transition.message}`);
+        continue;
+      }
+
+      await releaseCouponRedemption(order);
+      await order.save();
+      expired++;
+    } catch (error) {
+      console.error(`❌ Error expiring order ${order._id}:`, error);
+    }
+  }
+
+  return expired;
+};
+
+const processAbandonedOrders = async () => {
+  const reminded = await sendPaymentReminders();
+  const expired = await expireAbandonedOrders();
+
+  if (reminded || expired) {
+    console.log(`📊 Abandoned orders: ${reminded} reminded, ${expired} expired`);
+  }
+  return { reminded, expired };
+};
+
+// Schedule abandoned order cleanup - run every 15 minutes
+const initializeAbandonedOrderCron = () => {
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await processAbandonedOrders();
+    } catch (error) {
+      console.error('❌ Abandoned order cleanup failed:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  console.log(`✅ Abandoned order cleanup scheduled (reminder after ${REMINDER_AFTER_HOURS}h, expiry after ${EXPIRE_AFTER_HOURS}h)`);
+};
+
+module.exports = {
+  UNPAID_STATUSES,
+  getPaymentExpiry,
+  processAbandonedOrders,
+  initializeAbandonedOrderCron
+};
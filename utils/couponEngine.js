@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Coupon = require('../Models/Coupon');
+const Order = require('../Models/Order');
+const { roundCurrency } = require('./orderPricing');
+
+// Check a code against the basket and work out the discount.
+// Returns { error } or { coupon, discount, lineDiscounts }.
+const validateCoupon = async (code, { userId, orderItems = [], itemsPrice = 0, shippingPrice = 0, isSubscription = false }) => {
+  const coupon = await Coupon.findOne({ code: (code || '').toString().trim().toUpperCase() });
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    return { error: 'Invalid coupon code' };
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { error: 'This coupon is not active yet' };
+  }
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    return { error: 'This coupon has expired' };
+  }
+  if (coupon.appliesTo === 'one_time' && isSubscription) {
+    return { error: 'This coupon cannot be used for subscriptions' };
+  }
+  if (coupon.appliesTo === 'subscription' && !isSubscription) {
+    return { error: 'This coupon can only be used for subscriptions' };
+  }
+  if (isSubscription && coupon.type === 'free_shipping') {
+    return { error: 'Free shipping coupons cannot be used for subscriptions' };
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return { error: 'This coupon has reached its usage limit' };
+  }
+  if (coupon.usageLimitPerUser !== null && coupon.getUserRedemptionCount(userId) >= coupon.usageLimitPerUser) {
+    return { error: 'You have already used this coupon' };
+  }
+  if (coupon.firstOrderOnly) {
+    const previousOrder = await Order.exists({
+      user: userId,
+      status: { $nin: ['Cancelled', 'Payment_Failed'] }
+    });
+    if (previousOrder) {
+      return { error: 'This coupon is only valid on your first order' };
+    }
+  }
+  if (itemsPrice < coupon.minimumBasket) {
+    return { error: `A minimum basket of ${coupon.minimumBasket.toFixed(2)} is required for this coupon` };
+  }
+
+  // Without line items (e.g. a plain Stripe price) only unrestricted coupons can apply
+  const isRestricted = coupon.applicableProducts.length > 0 || coupon.applicableCategories.length > 0;
+  const eligibleItems = orderItems.filter(item => coupon.appliesToItem(item));
+  if (isRestricted && eligibleItems.length === 0) {
+    return { error: 'This coupon does not apply to any items in your basket' };
+  }
+  const eligibleTotal = orderItems.length > 0
+    ? roundCurrency(eligibleItems.reduce((sum, item) => sum + item.price * item.quantity, 0))
+    : roundCurrency(itemsPrice);
+
+  let amount = 0;
+  switch (coupon.type) {
+    case 'percentage':
+      amount = roundCurrency(eligibleTotal * coupon.value / 100);
+      break;
+    case 'fixed':
+      amount = roundCurrency(Math.min(coupon.value, eligibleTotal));
+      break;
+    case 'free_shipping':
+      amount = roundCurrency(shippingPrice);
+      break;
+  }
+
+  // Spread item discounts across eligible lines so tax is charged on the discounted price
+  const lineDiscounts = {};
+  if (coupon.type !== 'free_shipping' && eligibleTotal > 0) {
+    for (const item of eligibleItems) {
+      const lineTotal = item.price * item.quantity;
+      lineDiscounts[item.product.toString()] = roundCurrency(amount * lineTotal / eligibleTotal);
+    }
+  }
+
+  return {
+    coupon,
+    lineDiscounts,
+    discount: {
+      coupon: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      description: coupon.description || describeCoupon(coupon),
+      amount
+    }
+  };
+};
+
+// Human readable label for the price breakdown
+const describeCoupon = (coupon) => {
+  switch (coupon.type) {
+    case 'percentage':
+      return `${coupon.value}% off`;
+    case 'fixed':
+      return `${coupon.value.toFixed(2)} off`;
+    case 'free_shipping':
+      return 'Free shipping';
+    default:
+      return coupon.code;
+  }
+};
+
+// Record a use of the coupon. The usage limits are re-checked atomically and an
+// order is only counted once, so callers must not apply the discount when this
+// returns false.
+const redeemCoupon = async (couponId, userId, orderId, amount) => {
+  const user = new mongoose.Types.ObjectId(userId.toString());
+  const userRedemptions = { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.user', user] } } } };
+
+  const result = await Coupon.updateOne(
+    {
+      _id: couponId,
+      ...(orderId && { 'redemptions.order': { $ne: orderId } }),
+      $and: [
+        { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+        { $or: [{ usageLimitPerUser: null }, { $expr: { $lt: [userRedemptions, '$usageLimitPerUser'] } }] }
+      ]
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { user: userId, order: orderId, amount, redeemedAt: new Date() } }
+    }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Take a use again for an order whose redemption was given back when its
+// payment failed. Returns false when the coupon's limits are now reached.
+const reclaimCouponRedemption = async (order) => {
+  if (!order.discount?.coupon) return true;
+  if (await redeemCoupon(order.discount.coupon, order.user, order._id, order.discount.amount)) return true;
+
+  // Orders still holding their use (e.g. waiting on 3D Secure) need no new one
+  return Boolean(await Coupon.exists({ _id: order.discount.coupon, 'redemptions.order': order._id }));
+};
+
+// Give a use back when the order it was redeemed on never went through
+const releaseCouponRedemption = async (order) => {
+  if (!order.discount?.coupon) return false;
+
+  const result = await Coupon.updateOne(
+    { _id: order.discount.coupon, 'redemptions.order': order._id },
+    {
+      $inc: { usedCount: -1 },
+      $pull: { redemptions: { order: order._id } }
+    }
+  );
+  return result.modifiedCount > 0;
+};
+
+// The Stripe coupon for a subscription discount. Unrestricted coupons share one
+// Stripe coupon (created once); when the discount was limited to some products
+// or capped at the basket, a coupon for exactly that amount is created instead.
+const getStripeCouponId = async (coupon, discount) => {
+  const isRestricted = coupon.applicableProducts.length > 0 || coupon.applicableCategories.length > 0;
+  const isExact = !isRestricted && (coupon.type === 'percentage' || discount.amount === coupon.value);
+
+  if (isExact && coupon.stripeCouponId) return coupon.stripeCouponId;
+
+  const couponData = {
+    name: coupon.code,
+    duration: coupon.subscriptionDuration,
+    metadata: {
+      couponId: coupon._id.toString()
+    }
+  };
+
+  if (isExact && coupon.type === 'percentage') {
+    couponData.percent_off = coupon.value;
+  } else {
+    couponData.amount_off = Math.round((isExact ? coupon.value : discount.amount) * 100);
+    couponData.currency = process.env.STRIPE_CURRENCY || 'usd';
+  }
+
+  if (coupon.subscriptionDuration === 'repeating') {
+    couponData.duration_in_months = coupon.subscriptionDurationInMonths;
+  }
+
+  const stripeCoupon = await stripe.coupons.create(couponData);
+  if (!isExact) {
+    console.log(`Stripe coupon ${stripeCoupon.id} created for ${coupon.code} (${discount.amount} off)`);
+    return stripeCoupon.id;
+  }
+
+  coupon.stripeCouponId = stripeCoupon.id;
+  await coupon.save();
+
+  console.log(`Stripe coupon ${stripeCoupon.id} created for ${coupon.code}`);
+  return stripeCoupon.id;
+};
+
+module.exports = {
+  validateCoupon,
+  redeemCoupon,
+  reclaimCouponRedemption,
+  releaseCouponRedemption,
+  getStripeCouponId
+};
@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+const ShippingZone = require('../Models/ShippingZone');
+const DeliverySlot = require('../Models/DeliverySlot');
+const DeliveryBlackout = require('../Models/DeliveryBlackout');
+const Order = require('../Models/Order');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+// How many days ahead customers can book a slot
+const SLOT_DAYS_AHEAD = parseInt(process.env.DELIVERY_SLOT_DAYS_AHEAD) || 14;
+// Longest range the utilization report covers, in days
+const MAX_REPORT_DAYS = 92;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// A window time ('HH:MM', UTC) on a given day
+const atTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(day.getTime() + (hours * 60 + minutes) * 60 * 1000);
+};
+
+// Every window of the zones on every day in the range, with its bookings and
+// any blackout. Days are UTC.
+const listSlots = async (zones, from, to) => {
+  const firstDay = startOfDay(from);
+  const lastDay = startOfDay(to);
+  const zoneIds = zones.map(zone => zone._id);
+
+  const [bookings, blackouts] = await Promise.all([
+    DeliverySlot.find({ zone: { $in: zoneIds }, date: { $gte: firstDay, $lte: lastDay } }),
+    DeliveryBlackout.find({ zone: { $in: [...zoneIds, null] }, date: { $gte: firstDay, $lte: lastDay } })
+  ]);
+
+  const slots = [];
+  for (const zone of zones) {
+    const windows = zone.getActiveWindows();
+
+    for (let day = firstDay; day <= lastDay; day = addDays(day, 1)) {
+      const blackout = blackouts.find(entry =>
+        entry.date.getTime() === day.getTime() && (!entry.zone || entry.zone.equals(zone._id))
+      );
+
+      for (const window of windows) {
+        if (!window.weekdays.includes(day.getUTCDay())) continue;
+
+        const booking = bookings.find(entry =>
+          entry.zone.equals(zone._id) && entry.window.equals(window._id) && entry.date.getTime() === day.getTime()
+        );
+        const startsAt = atTime(day, window.startTime);
+        const booked = booking ? booking.booked : 0;
+
+        slots.push({
+          zone: zone._id,
+          zoneName: zone.name,
+          windowId: window._id,
+          name: window.name,
+          date: day,
+          startsAt,
+          endsAt: atTime(day, window.endTime),
+          cutoff: new Date(startsAt.getTime() - window.cutoffHours * HOUR_MS),
+          capacity: window.capacity,
+          booked,
+          remaining: Math.max(0, window.capacity - booked),
+          blackout: blackout ? (blackout.reason || 'No deliveries on this day') : null
+        });
+      }
+    }
+  }
+
+  return slots.sort((a, b) => a.startsAt - b.startsAt);
+};
+
+// Slots a customer can still choose for the zone, soonest first
+const getAvailableSlots = async (zone, { from = new Date(), days = SLOT_DAYS_AHEAD } = {}) => {
+  const now = new Date();
+  const slots = await listSlots([zone], from, addDays(startOfDay(now), days));
+
+  return slots
+    .filter(slot => !slot.blackout && slot.cutoff > now && slot.startsAt >= from)
+    .map(({ zone: zoneId, zoneName, blackout, ...slot }) => ({ ...slot, available: slot.remaining > 0 }));
+};
+
+// Take one place in a zone's window on a day. The count is checked and taken
+// in one update, so two customers can't both get the last place.
+// Returns { deliverySlot } to store on the order, or { error, full }.
+const bookDeliverySlot = async (zone, { date, windowId } = {}) => {
+  const day = startOfDay(date);
+  if (!date || isNaN(day.getTime())) {
+    return { error: 'A valid delivery date is required' };
+  }
+
+  const window = mongoose.Types.ObjectId.isValid(windowId) ? zone.deliveryWindows.id(windowId) : null;
+  if (!window || !window.isActive || window.capacity <= 0) {
+    return { error: 'This delivery window is not available' };
+  }
+  if (!window.weekdays.includes(day.getUTCDay())) {
+    return { error: `${window.name} deliveries don't run on this day` };
+  }
+
+  const now = new Date();
+  const startsAt = atTime(day, window.startTime);
+  const endsAt = atTime(day, window.endTime);
+  if (startsAt.getTime() - window.cutoffHours * HOUR_MS <= now.getTime()) {
+    return { error: 'Booking for this delivery slot has closed' };
+  }
+  if (day > addDays(startOfDay(now), SLOT_DAYS_AHEAD)) {
+    return { error: `Delivery slots can only be booked ${SLOT_DAYS_AHEAD} days ahead` };
+  }
+
+  const blackout = await DeliveryBlackout.findOne({ date: day, zone: { $in: [zone._id, null] } });
+  if (blackout) {
+    return { error: blackout.reason ? `No deliveries on this day: ${blackout.reason}` : 'No deliveries on this day' };
+  }
+
+  let slot;
+  try {
+    slot = await DeliverySlot.findOneAndUpdate(
+      { zone: zone._id, window: window._id, date: day, booked: { $lt: window.capacity } },
+      {
+        $inc: { booked: 1 },
+        $set: { capacity: window.capacity, windowName: window.name, startsAt, endsAt }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The upsert only collides with an existing slot that is already full
+    if (error.code === 11000) {
+      return { error: 'This delivery slot is full, please choose another', full: true };
+    }
+    throw error;
+  }
+
+  return {
+    deliverySlot: {
+      slot: slot._id,
+      window: window._id,
+      windowName: window.name,
+      date: day,
+      startsAt,
+      endsAt,
+      status: 'booked'
+    }
+  };
+};
+
+// Give back a place taken by bookDeliverySlot (for bookings not stored on an order)
+const releaseSlotBooking = async (deliverySlot) => {
+  if (!deliverySlot?.slot) return;
+  await DeliverySlot.updateOne({ _id: deliverySlot.slot, booked: { $gt: 0 } }, { $inc: { booked: -1 } });
+};
+
+// Give an order's slot back. The status flip is done atomically so the same
+// order can never free its place twice.
+const releaseDeliverySlot = async (order) => {
+  if (order.deliverySlot?.status !== 'booked') return false;
+
+  const result = await Order.updateOne(
+    { _id: order._id, 'deliverySlot.status': 'booked' },
+    { $set: { 'deliverySlot.status': 'released' } }
+  );
+
+  order.deliverySlot.status = 'released';
+
+  if (result.modifiedCount === 0) return false;
+
+  await releaseSlotBooking(order.deliverySlot);
+  console.log(`Released delivery slot for order ${order._id}`);
+  return true;
+};
+
+// Take the same slot again for an order whose slot was released, e.g. when a
+// failed payment is retried (caller saves the order). Returns { error } if it's gone.
+const rebookDeliverySlot = async (order) => {
+  if (order.deliverySlot?.status !== 'released') return {};
+
+  const zone = await ShippingZone.findById(order.shippingMethod?.zone);
+  if (!zone) {
+    return { error: 'Shipping zone no longer exists' };
+  }
+
+  const booking = await bookDeliverySlot(zone, { date: order.deliverySlot.date, windowId: order.deliverySlot.window });
+  if (booking.error) return booking;
+
+  order.deliverySlot = booking.deliverySlot;
+  return booking;
+};
+
+// Book the first open slot on the subscriber's preferred weekday (any day when
+// they have none), in their preferred window when it has room.
+// Returns { deliverySlot }, { error }, or {} when the zone doesn't schedule deliveries.
+const bookSubscriptionSlot = async (subscription) => {
+  const zone = subscription.shippingMethod?.zone && await ShippingZone.findById(subscription.shippingMethod.zone);
+  if (!zone || zone.getActiveWindows().length === 0) return {};
+
+  const preferredWindow = subscription.preferredDeliveryWindow?.toString();
+  const candidates = (await getAvailableSlots(zone))
+    .filter(slot => slot.available &&
+      (subscription.preferredDeliveryDay === null || subscription.preferredDeliveryDay === undefined ||
+        slot.date.getUTCDay() === subscription.preferredDeliveryDay))
+    .sort((a, b) => (a.date - b.date) ||
+      ((b.windowId.toString() === preferredWindow) - (a.windowId.toString() === preferredWindow)) ||
+      (a.startsAt - b.startsAt));
+
+  for (const slot of candidates) {
+    const booking = await bookDeliverySlot(zone, { date: slot.date, windowId: slot.windowId });
+    if (booking.deliverySlot) return booking;
+  }
+
+  return { error: 'No delivery slot is available on the preferred day' };
+};
+
+// Resolve the utilization report range to whole UTC days. Defaults to the next two weeks.
+const getSlotRange = ({ from, to } = {}) => {
+  const start = startOfDay(from ? new Date(from) : new Date());
+  const end = to ? startOfDay(new Date(to)) : addDays(start, 13);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (start > end) {
+    return { error: 'from must be before to' };
+  }
+  if ((end - start) / DAY_MS + 1 > MAX_REPORT_DAYS) {
+    return { error: `The range cannot cover more than ${MAX_REPORT_DAYS} days` };
+  }
+
+  return { from: start, to: end };
+};
+
+// Booked places against capacity for every window in the range
+const getSlotUtilization = async ({ from, to }, zoneId = null) => {
+  const zones = await ShippingZone.find(zoneId
+    ? { _id: zoneId }
+    : { isActive: true, 'deliveryWindows.0': { $exists: true } });
+
+  const slots = (await listSlots(zones, from, to)).map(slot => ({
+    ...slot,
+    utilization: slot.capacity > 0 ? Math.round((slot.booked / slot.capacity) * 1000) / 10 : 0
+  }));
+
+  // Blacked out days have no capacity, but bookings made before the blackout still show
+  const open = slots.filter(slot => !slot.blackout);
+  const capacity = open.reduce((total, slot) => total + slot.capacity, 0);
+  const booked = slots.reduce((total, slot) => total + slot.booked, 0);
+
+  return {
+    range: { from, to },
+    summary: {
+      slots: slots.length,
+      capacity,
+      booked,
+      utilization: capacity > 0 ? Math.round((booked / capacity) * 1000) / 10 : 0,
+      fullSlots: open.filter(slot => slot.remaining === 0).length,
+      blackedOutBookings: slots.filter(slot => slot.blackout && slot.booked > 0).length
+    },
+    slots
+  };
+};
+
+module.exports = {
+  SLOT_DAYS_AHEAD,
+  startOfDay,
+  getAvailableSlots,
+  bookDeliverySlot,
+  releaseSlotBooking,
+  releaseDeliverySlot,
+  rebookDeliverySlot,
+  bookSubscriptionSlot,
+  getSlotRange,
+  getSlotUtilization
+};
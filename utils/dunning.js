@@ -0,0 +1,201 @@
+const cron = require('node-cron');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Subscription = require('../Models/Subscription');
+const { sendOrderNotification } = require('./orderNotifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+// Days after the first failure on which the payment is retried and, if it
+// still fails, the customer is reminded
+const REMINDER_DAYS = (process.env.DUNNING_REMINDER_DAYS || '1,3,7')
+  .split(',')
+  .map(day => parseFloat(day))
+  .filter(day => day > 0)
+  .sort((a, b) => a - b);
+// Day of the final attempt; the subscription is cancelled if it fails
+const CANCEL_AFTER_DAYS = Math.max(
+  parseFloat(process.env.DUNNING_CANCEL_AFTER_DAYS) || 10,
+  REMINDER_DAYS[REMINDER_DAYS.length - 1] || 0
+);
+
+const getPaymentUpdateLink = (subscription, token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3001'}/subscriptions/${subscription._id}/update-payment?token=${token}`;
+
+const getFinalAttemptDate = (subscription) => new Date(subscription.dunning.startedAt.getTime() + CANCEL_AFTER_DAYS * DAY_MS);
+
+// When the step after `attempts` completed steps is due
+const getNextAttemptDate = (subscription) => {
+  const day = subscription.dunning.attempts < REMINDER_DAYS.length
+    ? REMINDER_DAYS[subscription.dunning.attempts]
+    : CANCEL_AFTER_DAYS;
+  return new Date(subscription.dunning.startedAt.getTime() + day * DAY_MS);
+};
+
+const addTimelineEvent = (subscription, event, message) => {
+  subscription.dunning.timeline.push({ event, message, at: new Date() });
+};
+
+// Start chasing a failed subscription invoice. Further failures of the same
+// invoice (Stripe's own retries) are added to the timeline. While one invoice is
+// being chased, failures of another are only noted so the first isn't dropped.
+const startDunning = (subscription, invoice) => {
+  const amountDue = invoice.amount_due / 100;
+  const message = `Payment of ${amountDue.toFixed(2)} ${(invoice.currency || '').toUpperCase()} failed (attempt ${invoice.attempt_count || 1})`;
+
+  if (subscription.dunning?.status === 'active') {
+    addTimelineEvent(subscription, 'payment_failed', subscription.dunning.stripeInvoiceId === invoice.id
+      ? message
+      : `${message} on invoice ${invoice.number || invoice.id}`);
+    return;
+  }
+
+  subscription.dunning = {
+    status: 'active',
+    stripeInvoiceId: invoice.id,
+    amountDue,
+    startedAt: new Date(),
+    attempts: 0,
+    timeline: [{ event: 'payment_failed', message, at: new Date() }]
+  };
+  subscription.dunning.nextAttemptAt = getNextAttemptDate(subscription);
+  subscription.subscriptionStatus = 'payment_failed';
+
+  console.log(`Dunning started for subscription ${subscription._id} (invoice ${invoice.id})`);
+};
+
+// Close dunning once the invoice being chased has been paid
+const recordDunningRecovery = (subscription, invoiceId, message = 'Payment received') => {
+  if (subscription.dunning?.status !== 'active' || subscription.dunning.stripeInvoiceId !== invoiceId) return false;
+
+  subscription.dunning.status = 'recovered';
+  subscription.dunning.endedAt = new Date();
+  subscription.dunning.nextAttemptAt = null;
+  addTimelineEvent(subscription, 'recovered', message);
+
+  if (subscription.subscriptionStatus === 'payment_failed') {
+    subscription.subscriptionStatus = 'active';
+  }
+
+  console.log(`Dunning recovered for subscription ${subscription._id}`);
+  return true;
+};
+
+// Charge the open invoice again with the customer's current payment method.
+// Returns true when the invoice is settled.
+const retryInvoice = async (subscription) => {
+  const invoice = await stripe.invoices.retrieve(subscription.dunning.stripeInvoiceId);
+
+  if (invoice.status === 'paid') return true;
+  if (['void', 'uncollectible'].includes(invoice.status)) {
+    recordDunningRecovery(subscription, invoice.id, `Invoice was marked ${invoice.status} in Stripe`);
+    return true;
+  }
+
+  try {
+    const paidInvoice = await stripe.invoices.pay(invoice.id);
+    return paidInvoice.status === 'paid';
+  } catch (stripeError) {
+    addTimelineEvent(subscription, 'retry_failed', stripeError.message);
+    return false;
+  }
+};
+
+// Cancel a subscription whose final attempt failed
+const cancelForNonPayment = async (subscription) => {
+  if (subscription.stripeSubscriptionId) {
+    await stripe.subscriptions.cancel(subscription.stripeSubscriptionId, {
+      cancellation_details: { comment: 'Cancelled after failed payment retries' }
+    });
+  }
+
+  subscription.subscriptionStatus = 'cancelled';
+  subscription.cancellationReason = 'Payment could not be collected';
+  subscription.dunning.status = 'cancelled';
+  subscription.dunning.endedAt = new Date();
+  subscription.dunning.nextAttemptAt = null;
+  addTimelineEvent(subscription, 'cancelled', `Subscription cancelled after ${subscription.dunning.attempts} retries`);
+  if (subscription.hasPendingHold()) subscription.deliveryHold.status = 'cancelled';
+
+  await subscription.save();
+  sendOrderNotification(subscription, 'dunning_cancelled');
+
+  console.log(`Subscription ${subscription._id} cancelled for non-payment`);
+};
+
+// Run one dunning step: retry the payment, then remind the customer or, after
+// the final attempt, cancel
+const runDunningStep = async (subscription) => {
+  if (await retryInvoice(subscription)) {
+    recordDunningRecovery(subscription, subscription.dunning.stripeInvoiceId, 'Payment collected on retry');
+    await subscription.save();
+    return 'recovered';
+  }
+
+  if (subscription.dunning.attempts >= REMINDER_DAYS.length) {
+    await cancelForNonPayment(subscription);
+    return 'cancelled';
+  }
+
+  subscription.dunning.attempts += 1;
+  subscription.dunning.nextAttemptAt = getNextAttemptDate(subscription);
+
+  const finalAttemptAt = getFinalAttemptDate(subscription);
+  const token = subscription.createPaymentResumeToken(finalAttemptAt);
+  addTimelineEvent(subscription, 'reminder_sent', `Reminder ${subscription.dunning.attempts} of ${REMINDER_DAYS.length} sent`);
+  await subscription.save();
+
+  await sendOrderNotification(subscription, 'dunning_reminder', {
+    paymentLink: getPaymentUpdateLink(subscription, token),
+    amountDue: subscription.dunning.amountDue,
+    finalAttemptAt,
+    isFinalReminder: subscription.dunning.attempts === REMINDER_DAYS.length
+  });
+  return 'reminded';
+};
+
+const processDunning = async () => {
+  const subscriptions = await Subscription.find({
+    'dunning.status': 'active',
+    'dunning.nextAttemptAt': { $lte: new Date() }
+  }).limit(BATCH_SIZE);
+
+  const results = { recovered: 0, reminded: 0, cancelled: 0 };
+  for (const subscription of subscriptions) {
+    try {
+      results[await runDunningStep(subscription)]++;
+    } catch (error) {
+      console.error(`❌ Dunning step failed for subscription ${subscription._id}:`, error);
+    }
+  }
+
+  if (subscriptions.length > 0) {
+    console.log(`📊 Dunning: ${results.recovered} recovered, ${results.reminded} reminded, ${results.cancelled} cancelled`);
+  }
+  return results;
+};
+
+// Schedule dunning - run every hour
+const initializeDunningCron = () => {
+  cron.schedule('15 * * * *', async () => {
+    try {
+      await processDunning();
+    } catch (error) {
+      console.error('❌ Dunning run failed:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  console.log(`✅ Dunning scheduled (reminders on days ${REMINDER_DAYS.join(', ')}, cancellation on day ${CANCEL_AFTER_DAYS})`);
+};
+
+module.exports = {
+  REMINDER_DAYS,
+  CANCEL_AFTER_DAYS,
+  startDunning,
+  recordDunningRecovery,
+  processDunning,
+  initializeDunningCron
+};
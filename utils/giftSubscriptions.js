@@ -0,0 +1,153 @@
+const cron = require('node-cron');
+const GiftSubscription = require('../Models/GiftSubscription');
+const Subscription = require('../Models/Subscription');
+const User = require('../Models/Users');
+const emailService = require('./EmailService');
+const { createCycleOrder } = require('./subscriptionOrders');
+const { sendOrderNotification } = require('./orderNotifications');
+
+// Most deliveries a single gift can prepay
+const MAX_GIFT_CYCLES = parseInt(process.env.GIFT_MAX_CYCLES) || 52;
+const BATCH_SIZE = 200;
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3001';
+const getGiftClaimLink = (token) => `${frontendUrl()}/gifts/claim?token=${token}`;
+const getContinueLink = (subscription) => `${frontendUrl()}/subscriptions/${subscription._id}/continue`;
+
+// Record a gift's payment and send the recipient their claim link. Safe to call
+// from both the checkout request and the webhook: only the call that moves the
+// gift to paid issues a claim token and sends the email.
+const markGiftPaid = async (gift, paymentIntent) => {
+  const paid = await GiftSubscription.findOneAndUpdate(
+    { _id: gift._id, status: { $in: ['pending_payment', 'payment_failed'] } },
+    {
+      $set: {
+        status: 'paid',
+        paidAt: new Date(),
+        paymentIntent: { id: paymentIntent.id, status: paymentIntent.status }
+      }
+    },
+    { new: true }
+  );
+  if (!paid) return false;
+
+  const token = paid.createClaimToken();
+  await paid.save();
+
+  try {
+    const purchaser = await User.findById(paid.purchaser).select('name email');
+    await emailService.sendGiftClaimEmail(paid, purchaser, getGiftClaimLink(token));
+    paid.claimEmailSentAt = new Date();
+    await paid.save();
+  } catch (error) {
+    console.error(`Error sending claim email for gift ${paid._id}:`, error.message);
+  }
+
+  // Keep the caller's copy in step for its response
+  gift.status = paid.status;
+  gift.paidAt = paid.paidAt;
+  gift.paymentIntent = paid.paymentIntent;
+  gift.claimEmailSentAt = paid.claimEmailSentAt;
+
+  console.log(`Gift ${paid._id} paid - claim link sent to ${paid.recipientEmail}`);
+  return true;
+};
+
+const markGiftPaymentFailed = async (gift, paymentIntent) => {
+  const failed = await GiftSubscription.findOneAndUpdate(
+    { _id: gift._id, status: 'pending_payment' },
+    { $set: { status: 'payment_failed', paymentIntent: { id: paymentIntent.id, status: paymentIntent.status } } },
+    { new: true }
+  );
+  if (!failed) return false;
+
+  gift.status = failed.status;
+  gift.paymentIntent = failed.paymentIntent;
+  return true;
+};
+
+// When paid billing starts for a gift subscription that is continued: the
+// first billing date after the prepaid deliveries, and never in the past
+const getPaidStartDate = (subscription) => {
+  let date = subscription.nextBillingDate || new Date();
+  const remaining = Math.max(0, subscription.prepaidCycles - subscription.getDeliveredCycleCount());
+
+  for (let cycle = 0; cycle < remaining; cycle++) {
+    date = subscription.getBillingDateAfter(date);
+  }
+  while (date <= new Date()) {
+    date = subscription.getBillingDateAfter(date);
+  }
+  return date;
+};
+
+// Tell the recipient their last prepaid box is on its way and how to continue
+const sendGiftEndingPrompt = (subscription) =>
+  sendOrderNotification(subscription, 'gift_ending', { continueLink: getContinueLink(subscription) });
+
+// Deliver prepaid gift cycles as they fall due and end gift subscriptions that
+// weren't continued once the prepaid deliveries are used up. Continued
+// subscriptions are billed by Stripe after that.
+const processGiftSubscriptions = async () => {
+  const subscriptions = await Subscription.find({
+    prepaidCycles: { $gt: 0 },
+    subscriptionStatus: 'active',
+    nextBillingDate: { $lte: new Date() }
+  }).limit(BATCH_SIZE);
+
+  let delivered = 0;
+  let ended = 0;
+  for (const subscription of subscriptions) {
+    try {
+      if (subscription.getDeliveredCycleCount() < subscription.prepaidCycles) {
+        const cycle = subscription.currentBillingCycle + 1;
+        await createCycleOrder(subscription, {
+          note: `Prepaid gift delivery for billing cycle ${cycle}`
+        });
+        delivered++;
+
+        if (subscription.getDeliveredCycleCount() >= subscription.prepaidCycles && !subscription.stripeSubscriptionId) {
+          sendGiftEndingPrompt(subscription);
+        }
+      } else if (!subscription.stripeSubscriptionId) {
+        subscription.subscriptionStatus = 'expired';
+        await subscription.save();
+        ended++;
+        console.log(`Gift subscription ${subscription._id} ended after ${subscription.prepaidCycles} prepaid deliveries`);
+      }
+    } catch (error) {
+      console.error(`❌ Error processing gift subscription ${subscription._id}:`, error);
+    }
+  }
+
+  if (delivered || ended) {
+    console.log(`📊 Gift subscriptions: ${delivered} deliveries created, ${ended} ended`);
+  }
+  return { delivered, ended };
+};
+
+// Schedule prepaid gift deliveries - run every hour
+const initializeGiftSubscriptionCron = () => {
+  cron.schedule('45 * * * *', async () => {
+    try {
+      await processGiftSubscriptions();
+    } catch (error) {
+      console.error('❌ Gift subscription processing failed:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  console.log('✅ Gift subscription deliveries scheduled');
+};
+
+module.exports = {
+  MAX_GIFT_CYCLES,
+  markGiftPaid,
+  markGiftPaymentFailed,
+  getPaidStartDate,
+  sendGiftEndingPrompt,
+  processGiftSubscriptions,
+  initializeGiftSubscriptionCron
+};
@@ -0,0 +1,85 @@
+const Product = require('../Models/Product');
+const Order = require('../Models/Order');
+
+// Put stock back for the given order items
+const restockItems = async (items) => {
+  for (const item of items) {
+    await Product.updateOne({ _id: item.product }, { $inc: { stock: item.quantity } });
+  }
+};
+
+// Atomically take stock for every order item. Either all lines are reserved
+// or none are, and every line that could not be filled is reported.
+const reserveStock = async (items) => {
+  const reserved = [];
+  const outOfStock = [];
+
+  for (const item of items) {
+    const updated = await Product.findOneAndUpdate(
+      { _id: item.product, stock: { $gte: item.quantity } },
+      { $inc: { stock: -item.quantity } },
+      { new: true }
+    );
+
+    if (updated) {
+      reserved.push(item);
+      continue;
+    }
+
+    const product = await Product.findById(item.product).select('title stock');
+    const available = product ? product.stock : 0;
+    outOfStock.push({
+      product: item.product,
+      name: item.name,
+      requested: item.quantity,
+      available,
+      message: available > 0
+        ? `Only ${available} of ${item.name} left in stock`
+        : `${item.name} is out of stock`
+    });
+  }
+
+  if (outOfStock.length > 0) {
+    await restockItems(reserved);
+    return { success: false, outOfStock };
+  }
+
+  return { success: true, outOfStock: [] };
+};
+
+// Mark an order's reserved stock as sold (caller saves the order)
+const commitStock = (order) => {
+  if (order.inventory?.status !== 'reserved') return false;
+
+  order.inventory.status = 'committed';
+  order.inventory.committedAt = new Date();
+  return true;
+};
+
+// Give an order's stock back. The status flip is done atomically so the same
+// order can never be restocked twice (e.g. webhook racing a cancellation).
+const releaseStock = async (order) => {
+  if (!['reserved', 'committed'].includes(order.inventory?.status)) return false;
+
+  const releasedAt = new Date();
+  const result = await Order.updateOne(
+    { _id: order._id, 'inventory.status': { $in: ['reserved', 'committed'] } },
+    { $set: { 'inventory.status': 'released', 'inventory.releasedAt': releasedAt } }
+  );
+
+  order.inventory.status = 'released';
+  order.inventory.releasedAt = releasedAt;
+
+  if (result.modifiedCount === 0) return false;
+
+  await restockItems(order.orderItems);
+  console.log(`Released stock for order ${order._id}`);
+  return true;
+};
+
+module.exports = {
+  reserveStock,
+  restockItems,
+  commitStock,
+  releaseStock
+};
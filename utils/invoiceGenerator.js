@@ -0,0 +1,289 @@
+const PDFDocument = require('pdfkit');
+const Counter = require('../Models/Counter');
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'INV';
+// How long an invoice claim without a number is honoured before another request takes it over
+const CLAIM_TIMEOUT_MS = 30 * 1000;
+
+const formatInvoiceNumber = (seq) => `${INVOICE_PREFIX}-${String(seq).padStart(6, '0')}`;
+const formatMoney = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Hand an unused invoice number back to the counter. A number the failed write
+// did store after all is kept.
+const releaseInvoiceNumber = async (OrderModel, payment, seq) => {
+  if (!seq) return;
+  const invoiceNumber = formatInvoiceNumber(seq);
+  try {
+    const stored = await OrderModel.exists(payment
+      ? { 'paymentHistory.invoiceNumber': invoiceNumber }
+      : { invoiceNumber });
+    if (!stored) {
+      await Counter.release('invoice', seq);
+    }
+  } catch (error) {
+    console.error(`Error releasing invoice number ${invoiceNumber}:`, error);
+  }
+};
+
+// Give an order (or one of a subscription's payments) its invoice number.
+// The invoice is claimed before a number is taken, so concurrent requests
+// never use up a number. A number that could not be stored (e.g. the claim was
+// taken over after CLAIM_TIMEOUT_MS) goes back to the counter for the next
+// invoice, so the sequence stays gap-free. The order model is reached through
+// the document to keep this module free of model imports.
+const assignInvoiceNumber = async (order, payment = null) => {
+  const target = payment || order;
+  if (target.invoiceNumber) return target.invoiceNumber;
+
+  const OrderModel = order.constructor;
+  const path = payment ? 'paymentHistory.$.' : '';
+  const issuedAt = new Date();
+  const unclaimed = {
+    invoiceNumber: null,
+    $or: [{ invoiceIssuedAt: null }, { invoiceIssuedAt: { $lt: new Date(issuedAt.getTime() - CLAIM_TIMEOUT_MS) } }]
+  };
+  const ownClaim = payment
+    ? { _id: order._id, paymentHistory: { $elemMatch: { _id: payment._id, invoiceIssuedAt: issuedAt, invoiceNumber: null } } }
+    : { _id: order._id, invoiceIssuedAt: issuedAt, invoiceNumber: null };
+
+  const claim = await OrderModel.updateOne(
+    payment
+      ? { _id: order._id, paymentHistory: { $elemMatch: { _id: payment._id, ...unclaimed } } }
+      : { _id: order._id, ...unclaimed },
+    { $set: { [`${path}invoiceIssuedAt`]: issuedAt } }
+  );
+
+  if (claim.modifiedCount === 1) {
+    let seq;
+    let invoiceNumber;
+    try {
+      seq = await Counter.next('invoice');
+      invoiceNumber = formatInvoiceNumber(seq);
+
+      const issued = await OrderModel.updateOne(ownClaim, { $set: { [`${path}invoiceNumber`]: invoiceNumber } });
+      if (issued.modifiedCount !== 1) {
+        throw new Error(`Invoice claim for order ${order._id} was lost before ${invoiceNumber} was stored`);
+      }
+    } catch (error) {
+      await releaseInvoiceNumber(OrderModel, payment, seq);
+      await OrderModel.updateOne(ownClaim, { $set: { [`${path}invoiceIssuedAt`]: null } }).catch(() => {});
+      throw error;
+    }
+
+    target.invoiceNumber = invoiceNumber;
+    target.invoiceIssuedAt = issuedAt;
+    console.log(`Invoice ${invoiceNumber} issued for order ${order._id}`);
+    return invoiceNumber;
+  }
+
+  // Another request is issuing this invoice - wait for its number
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const fresh = await OrderModel.findById(order._id).select('invoiceNumber invoiceIssuedAt paymentHistory');
+    const freshTarget = payment ? fresh?.paymentHistory.id(payment._id) : fresh;
+
+    if (freshTarget?.invoiceNumber) {
+      target.invoiceNumber = freshTarget.invoiceNumber;
+      target.invoiceIssuedAt = freshTarget.invoiceIssuedAt;
+      return target.invoiceNumber;
+    }
+    await sleep(100);
+  }
+
+  throw new Error(`Invoice number could not be assigned for order ${order._id}`);
+};
+
+// Work out the invoices for an order. One-time orders have a single invoice;
+// subscription deliveries use the subscription's payment for their billing
+// cycle, and a subscription itself has one per successful payment.
+const getInvoiceSources = async (order, paymentId = null) => {
+  let source = order;
+  let payments;
+
+  if (order.subscription) {
+    source = await order.constructor.db.model('Subscription').findById(order.subscription);
+    payments = (source?.paymentHistory || []).filter(entry =>
+      entry.status === 'succeeded' && entry.billingCycle === order.subscriptionCycle
+    );
+  } else if (order.constructor.modelName === 'Subscription') {
+    payments = order.paymentHistory.filter(entry => entry.status === 'succeeded');
+  } else {
+    return order.isPaid ? [{ source: order, payment: null }] : [];
+  }
+
+  if (paymentId) {
+    payments = payments.filter(entry =>
+      [entry._id.toString(), entry.paymentId, entry.stripeInvoiceId, entry.invoiceNumber].includes(paymentId)
+    );
+  }
+
+  return payments.map(payment => ({ source, payment }));
+};
+
+// Number the order's invoices and collect what goes on each one
+const buildInvoices = async (order, paymentId = null) => {
+  const sources = await getInvoiceSources(order, paymentId);
+  const invoices = [];
+
+  for (const { source, payment } of sources) {
+    const number = await assignInvoiceNumber(source, payment);
+    const target = payment || source;
+
+    invoices.push({
+      number,
+      issuedAt: target.invoiceIssuedAt || new Date(),
+      plan: payment ? {
+        name: source.subscriptionName,
+        recurrenceLabel: source.recurrenceLabel
+      } : null,
+      payment: payment ? {
+        reference: payment.stripeInvoiceId || payment.paymentId,
+        amount: payment.amount,
+        paidAt: payment.paidAt,
+        billingCycle: payment.billingCycle
+      } : {
+        reference: order.paymentResult?.id || order.paymentIntent?.id,
+        amount: order.totalPrice,
+        paidAt: order.paidAt,
+        status: order.paymentResult?.status
+      }
+    });
+  }
+
+  return invoices;
+};
+
+// Draw one invoice page
+const drawInvoice = (doc, order, user, invoice) => {
+  const address = order.shippingAddress || {};
+  const left = 50;
+  const right = 545;
+
+  doc.fontSize(20).text(process.env.COMPANY_NAME || 'Your Company', left, 50);
+  doc.fontSize(9).fillColor('#555');
+  if (process.env.COMPANY_ADDRESS) doc.text(process.env.COMPANY_ADDRESS);
+  if (process.env.COMPANY_EMAIL) doc.text(process.env.COMPANY_EMAIL);
+
+  doc.fillColor('#000').fontSize(18).text('INVOICE', left, 50, { width: right - left, align: 'right' });
+  doc.fontSize(10)
+    .text(`Invoice number: ${invoice.number}`, { align: 'right' })
+    .text(`Invoice date: ${formatDate(invoice.issuedAt)}`, { align: 'right' })
+    .text(`Order: ${order._id}`, { align: 'right' });
+
+  doc.moveDown(2);
+  const addressTop = doc.y;
+  doc.fontSize(10).font('Helvetica-Bold').text('Bill to', left, addressTop);
+  doc.font('Helvetica').text(user?.name || '').text(user?.email || '');
+  doc.font('Helvetica-Bold').text('Ship to', 300, addressTop);
+  doc.font('Helvetica')
+    .text(address.address || '', 300)
+    .text(`${address.city || ''}, ${address.postalCode || ''}`, 300)
+    .text(address.country || '', 300);
+
+  // Line items
+  let y = Math.max(doc.y, addressTop + 70) + 20;
+  const columns = { item: left, qty: 330, price: 390, total: 470 };
+
+  doc.font('Helvetica-Bold')
+    .text('Item', columns.item, y)
+    .text('Qty', columns.qty, y, { width: 40, align: 'right' })
+    .text('Price', columns.price, y, { width: 70, align: 'right' })
+    .text('Total', columns.total, y, { width: 75, align: 'right' });
+  y += 18;
+  doc.moveTo(left, y - 4).lineTo(right, y - 4).stroke();
+  doc.font('Helvetica');
+
+  const drawLine = (label, quantity, price, total) => {
+    doc.text(label, columns.item, y, { width: 270 });
+    const rowHeight = Math.max(doc.y - y, 14);
+    if (quantity !== null) doc.text(String(quantity), columns.qty, y, { width: 40, align: 'right' });
+    if (price !== null) doc.text(formatMoney(price), columns.price, y, { width: 70, align: 'right' });
+    if (total !== null) doc.text(formatMoney(total), columns.total, y, { width: 75, align: 'right' });
+    y += rowHeight + 4;
+  };
+
+  const drawTotal = (label, amount, bold = false) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+      .text(label, columns.price - 60, y, { width: 130, align: 'right' })
+      .text(amount, columns.total, y, { width: 75, align: 'right' });
+    y += 16;
+  };
+
+  if (invoice.plan) {
+    const plan = invoice.plan.name || 'Meal subscription';
+    const cycle = invoice.payment.billingCycle ? ` - billing cycle ${invoice.payment.billingCycle}` : '';
+    drawLine(`${plan}${invoice.plan.recurrenceLabel ? ` (${invoice.plan.recurrenceLabel})` : ''}${cycle}`, 1, invoice.payment.amount, invoice.payment.amount);
+    doc.fontSize(9).fillColor('#555');
+    for (const item of order.orderItems) {
+      drawLine(`  ${item.name} x ${item.quantity}`, null, null, null);
+    }
+    doc.fontSize(10).fillColor('#000');
+
+    doc.moveTo(left, y).lineTo(right, y).stroke();
+    y += 8;
+    drawTotal('Total', formatMoney(invoice.payment.amount), true);
+  } else {
+    for (const item of order.orderItems) {
+      drawLine(item.name, item.quantity, item.price, item.price * item.quantity);
+    }
+
+    doc.moveTo(left, y).lineTo(right, y).stroke();
+    y += 8;
+    drawTotal('Subtotal', formatMoney(order.itemsPrice));
+    if (order.discountPrice) {
+      drawTotal(`Discount${order.discount?.code ? ` (${order.discount.code})` : ''}`, `-${formatMoney(order.discountPrice)}`);
+    }
+    drawTotal(`Shipping${order.shippingMethod?.name ? ` (${order.shippingMethod.name})` : ''}`, formatMoney(order.shippingPrice));
+    drawTotal(`Tax${order.taxJurisdiction?.rate ? ` (${order.taxJurisdiction.rate}%)` : ''}`, formatMoney(order.taxPrice));
+    drawTotal('Total', formatMoney(order.totalPrice), true);
+  }
+
+  // Payment details
+  y += 20;
+  doc.font('Helvetica-Bold').fontSize(10).text('Payment', left, y);
+  doc.font('Helvetica').fontSize(9)
+    .text(`Amount paid: ${formatMoney(invoice.payment.amount)}`)
+    .text(`Paid on: ${invoice.payment.paidAt ? formatDate(invoice.payment.paidAt) : '-'}`)
+    .text(`Payment reference: ${invoice.payment.reference || '-'}`);
+  if (invoice.payment.status) doc.text(`Status: ${invoice.payment.status}`);
+
+  doc.fontSize(8).fillColor('#555')
+    .text(`Thank you for your order. ${process.env.COMPANY_NAME || 'Your Company'}`, left, 760, { width: right - left, align: 'center' })
+    .fillColor('#000');
+};
+
+// Render invoices (one per page) to a PDF buffer
+const renderInvoicePdf = (order, user, invoices) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  invoices.forEach((invoice, index) => {
+    if (index > 0) doc.addPage();
+    drawInvoice(doc, order, user, invoice);
+  });
+
+  doc.end();
+});
+
+// Build the invoice PDF for an order. Returns null when there is nothing to invoice.
+const generateInvoicePdf = async (order, user, paymentId = null) => {
+  const invoices = await buildInvoices(order, paymentId);
+  if (invoices.length === 0) return null;
+
+  const pdf = await renderInvoicePdf(order, user, invoices);
+  return {
+    pdf,
+    invoices,
+    filename: invoices.length === 1 ? `${invoices[0].number}.pdf` : `invoices-${order._id}.pdf`
+  };
+};
+
+module.exports = {
+  assignInvoiceNumber,
+  generateInvoicePdf
+};
@@ -0,0 +1,401 @@
+const PDFDocument = require('pdfkit');
+const Order = require('../Models/Order');
+const Product = require('../Models/Product');
+const Subscription = require('../Models/Subscription');
+const { startOfDay } = require('./deliverySlots');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Paid orders the kitchen still has to cook and pack
+const KITCHEN_STATUSES = ['Payment_Confirmed', 'Processing'];
+// Longest range a kitchen report covers, in days
+const MAX_REPORT_DAYS = 31;
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+const formatTime = (date) => date ? date.toISOString().slice(11, 16) : '';
+
+// Resolve the report range to whole UTC days: a single `date` or `from`/`to`.
+// Defaults to today.
+const getKitchenRange = ({ date, from, to } = {}) => {
+  const start = startOfDay(date || from || new Date());
+  const end = startOfDay(date || to || start);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: 'date, from and to must be valid dates' };
+  }
+  if (start > end) {
+    return { error: 'from must be before to' };
+  }
+  if ((end - start) / DAY_MS + 1 > MAX_REPORT_DAYS) {
+    return { error: `The range cannot cover more than ${MAX_REPORT_DAYS} days` };
+  }
+
+  return { from: start, to: end };
+};
+
+// The day an order goes out: its booked slot, else the courier's estimate,
+// else the day it was paid
+const getDeliveryDate = (order) => {
+  if (order.deliverySlot?.status === 'booked' && order.deliverySlot.date) return startOfDay(order.deliverySlot.date);
+  if (order.tracking?.estimatedDeliveryDate) return startOfDay(order.tracking.estimatedDeliveryDate);
+  return startOfDay(order.paidAt || order.createdAt);
+};
+
+// Paid, unshipped orders delivering in the range, with their subscriptions
+const findKitchenOrders = async ({ from, to }, zoneId = null) => {
+  const days = { $gte: from, $lt: new Date(to.getTime() + DAY_MS) };
+  const filter = {
+    status: { $in: KITCHEN_STATUSES },
+    $or: [
+      { 'deliverySlot.status': 'booked', 'deliverySlot.date': days },
+      { 'deliverySlot.status': { $ne: 'booked' }, 'tracking.estimatedDeliveryDate': days },
+      { 'deliverySlot.status': { $ne: 'booked' }, 'tracking.estimatedDeliveryDate': null, paidAt: days }
+    ]
+  };
+  if (zoneId) filter['shippingMethod.zone'] = zoneId;
+
+  const orders = await Order.find(filter)
+    .select('user orderItems shippingAddress shippingMethod deliverySlot tracking.estimatedDeliveryDate status notes isSubscription subscription subscriptionCycle paidAt createdAt')
+    .populate('user', 'name email phone')
+    .lean();
+
+  const subscriptionIds = [...new Set(orders.filter(order => order.subscription).map(order => order.subscription.toString()))];
+  const subscriptions = subscriptionIds.length > 0
+    ? await Subscription.find({ _id: { $in: subscriptionIds } })
+      .select('subscriptionName orderItems selectedProducts cycleSelections')
+      .lean()
+    : [];
+  const subscriptionsById = new Map(subscriptions.map(subscription => [subscription._id.toString(), subscription]));
+
+  return orders.map(order => ({
+    ...order,
+    deliveryDate: getDeliveryDate(order),
+    subscription: order.subscription ? subscriptionsById.get(order.subscription.toString()) || null : null
+  }));
+};
+
+// What goes in an order's box as [{ product, name, category, portions }].
+// Orders keep the items they were charged for; a subscription delivery without
+// any falls back to the subscription's box for that cycle.
+const getOrderPortions = (order) => {
+  if (order.orderItems?.length > 0) {
+    return order.orderItems
+      .map(item => ({
+        product: item.product,
+        name: item.name,
+        category: item.category || null,
+        portions: item.quantity - (item.refundedQuantity || 0)
+      }))
+      .filter(item => item.portions > 0);
+  }
+
+  const subscription = order.subscription;
+  if (!subscription) return [];
+
+  const selection = subscription.cycleSelections?.find(entry => entry.billingCycle === order.subscriptionCycle);
+  const products = selection?.products.length > 0 ? selection.products : subscription.selectedProducts;
+
+  return (products || [])
+    .filter(product => product.quantity > 0)
+    .map(product => ({
+      product: product._id,
+      name: product.title,
+      category: null,
+      portions: product.quantity
+    }));
+};
+
+// Sum portions per product, and per ingredient of those products
+const rollUp = (lines, productsById) => {
+  const products = new Map();
+  for (const line of lines) {
+    const key = line.product ? line.product.toString() : line.name;
+    const entry = products.get(key) || {
+      product: line.product || null,
+      name: productsById.get(key)?.title || line.name,
+      category: productsById.get(key)?.category || line.category,
+      portions: 0,
+      orders: 0
+    };
+    entry.portions += line.portions;
+    entry.orders += 1;
+    products.set(key, entry);
+  }
+
+  // Products only list their ingredients, so each portion counts once per ingredient
+  const ingredients = new Map();
+  for (const [key, entry] of products) {
+    for (const ingredient of productsById.get(key)?.ingredients || []) {
+      const name = ingredient.trim();
+      if (!name) continue;
+      const total = ingredients.get(name.toLowerCase()) || { ingredient: name, portions: 0, products: [] };
+      total.portions += entry.portions;
+      total.products.push(entry.name);
+      ingredients.set(name.toLowerCase(), total);
+    }
+  }
+
+  return {
+    products: [...products.values()].sort((a, b) => b.portions - a.portions || a.name.localeCompare(b.name)),
+    ingredients: [...ingredients.values()].sort((a, b) => b.portions - a.portions || a.ingredient.localeCompare(b.ingredient))
+  };
+};
+
+// Portions to cook per product and ingredient, per delivery day and for the whole range
+const getProductionReport = async (range, zoneId = null) => {
+  const orders = await findKitchenOrders(range, zoneId);
+
+  const lines = orders.flatMap(order =>
+    getOrderPortions(order).map(line => ({ ...line, day: formatDay(order.deliveryDate), order: order._id }))
+  );
+
+  const productIds = [...new Set(lines.filter(line => line.product).map(line => line.product.toString()))];
+  const catalog = productIds.length > 0
+    ? await Product.find({ _id: { $in: productIds } }).select('title category ingredients').lean()
+    : [];
+  const productsById = new Map(catalog.map(product => [product._id.toString(), product]));
+
+  const days = [];
+  for (let day = range.from; day <= range.to; day = new Date(day.getTime() + DAY_MS)) {
+    const key = formatDay(day);
+    const dayLines = lines.filter(line => line.day === key);
+    const dayOrders = orders.filter(order => formatDay(order.deliveryDate) === key);
+
+    days.push({
+      date: day,
+      orders: dayOrders.length,
+      subscriptionOrders: dayOrders.filter(order => order.isSubscription).length,
+      portions: dayLines.reduce((total, line) => total + line.portions, 0),
+      ...rollUp(dayLines, productsById)
+    });
+  }
+
+  const totals = rollUp(lines, productsById);
+
+  return {
+    range: { from: range.from, to: range.to },
+    summary: {
+      orders: orders.length,
+      subscriptionOrders: orders.filter(order => order.isSubscription).length,
+      portions: lines.reduce((total, line) => total + line.portions, 0),
+      products: totals.products.length,
+      ingredients: totals.ingredients.length
+    },
+    days,
+    products: totals.products,
+    ingredients: totals.ingredients
+  };
+};
+
+// One packing slip per order, in delivery order (day, window, postcode)
+const getPackingSlips = async (range, zoneId = null) => {
+  const orders = await findKitchenOrders(range, zoneId);
+
+  const slips = orders.map(order => {
+    const items = getOrderPortions(order).map(({ name, portions }) => ({ name, quantity: portions }));
+    const slot = order.deliverySlot?.status === 'booked' ? order.deliverySlot : null;
+
+    return {
+      orderId: order._id,
+      status: order.status,
+      deliveryDate: order.deliveryDate,
+      window: slot ? {
+        name: slot.windowName,
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt
+      } : null,
+      zone: order.shippingMethod?.zoneName || null,
+      shippingMethod: order.shippingMethod?.name || null,
+      customer: {
+        name: order.user?.name || '',
+        email: order.user?.email || '',
+        phone: order.user?.phone || ''
+      },
+      shippingAddress: order.shippingAddress,
+      subscription: order.subscription ? {
+        id: order.subscription._id,
+        name: order.subscription.subscriptionName || 'Meal subscription',
+        cycle: order.subscriptionCycle
+      } : null,
+      items,
+      totalItems: items.reduce((total, item) => total + item.quantity, 0),
+      notes: order.notes || ''
+    };
+  });
+
+  slips.sort((a, b) =>
+    (a.deliveryDate - b.deliveryDate) ||
+    ((a.window?.startsAt || 0) - (b.window?.startsAt || 0)) ||
+    String(a.shippingAddress?.postalCode || '').localeCompare(String(b.shippingAddress?.postalCode || ''))
+  );
+
+  return {
+    range: { from: range.from, to: range.to },
+    count: slips.length,
+    slips
+  };
+};
+
+// Quote a CSV field when it holds a separator, quote or line break. Text that a
+// spreadsheet would run as a formula (customer names, notes) is prefixed with '.
+const csvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const toCsv = (rows) => rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+
+// One row per product and ingredient per day
+const productionReportCsv = (report) => {
+  const rows = [['Date', 'Type', 'Name', 'Category', 'Portions', 'Orders', 'Used in']];
+  for (const day of report.days) {
+    for (const product of day.products) {
+      rows.push([formatDay(day.date), 'product', product.name, product.category || '', product.portions, product.orders, '']);
+    }
+    for (const ingredient of day.ingredients) {
+      rows.push([formatDay(day.date), 'ingredient', ingredient.ingredient, '', ingredient.portions, '', ingredient.products.join('; ')]);
+    }
+  }
+  return toCsv(rows);
+};
+
+// One row per item on each packing slip
+const packingSlipsCsv = ({ slips }) => {
+  const rows = [[
+    'Delivery date', 'Window', 'Order', 'Customer', 'Email', 'Phone', 'Address', 'City',
+    'Postal code', 'Country', 'Zone', 'Subscription', 'Cycle', 'Item', 'Quantity', 'Notes'
+  ]];
+  for (const slip of slips) {
+    const window = slip.window ? `${slip.window.name} ${formatTime(slip.window.startsAt)}-${formatTime(slip.window.endsAt)}` : '';
+    const address = slip.shippingAddress || {};
+    for (const item of slip.items) {
+      rows.push([
+        formatDay(slip.deliveryDate), window, slip.orderId, slip.customer.name, slip.customer.email,
+        slip.customer.phone, address.address, address.city, address.postalCode, address.country,
+        slip.zone, slip.subscription?.name, slip.subscription?.cycle, item.name, item.quantity, slip.notes
+      ]);
+    }
+  }
+  return toCsv(rows);
+};
+
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  draw(doc);
+  doc.end();
+});
+
+// A two column table (name, count) that continues on a new page when full
+const drawCountTable = (doc, heading, rows) => {
+  const left = 50;
+  const right = 545;
+
+  if (doc.y > 720) doc.addPage();
+  doc.moveDown(0.5).font('Helvetica-Bold').fontSize(11).text(heading, left);
+  doc.moveDown(0.3);
+
+  if (rows.length === 0) {
+    doc.font('Helvetica').fontSize(9).fillColor('#555').text('Nothing to prepare', left).fillColor('#000');
+    return;
+  }
+
+  doc.fontSize(9);
+  for (const [label, detail, count] of rows) {
+    if (doc.y > 770) doc.addPage();
+    const y = doc.y;
+    doc.font('Helvetica').text(label, left, y, { width: 280 });
+    const rowBottom = doc.y;
+    if (detail) doc.fillColor('#555').text(detail, 340, y, { width: 140 }).fillColor('#000');
+    doc.font('Helvetica-Bold').text(String(count), 480, y, { width: right - 480, align: 'right' });
+    doc.y = Math.max(rowBottom, doc.y) + 3;
+  }
+};
+
+// Production sheet: one page per delivery day
+const renderProductionReportPdf = (report) => renderPdf((doc) => {
+  const days = report.days.filter(day => day.orders > 0);
+
+  if (days.length === 0) {
+    doc.fontSize(20).text('Kitchen production', 50, 50);
+    doc.fontSize(10).text(`${formatDay(report.range.from)} to ${formatDay(report.range.to)}`);
+    doc.moveDown().text('No orders to prepare in this range.');
+    return;
+  }
+
+  days.forEach((day, index) => {
+    if (index > 0) doc.addPage();
+
+    doc.font('Helvetica').fontSize(20).text('Kitchen production', 50, 50);
+    doc.fontSize(10)
+      .text(`Delivery date: ${formatDay(day.date)}`)
+      .text(`${day.orders} orders (${day.subscriptionOrders} subscription) - ${day.portions} portions`);
+
+    drawCountTable(doc, 'Portions per product', day.products.map(product => [product.name, product.category || '', product.portions]));
+    drawCountTable(doc, 'Ingredients (portions using each)', day.ingredients.map(ingredient => [ingredient.ingredient, `${ingredient.products.length} products`, ingredient.portions]));
+  });
+});
+
+// Packing slips: one page per order
+const renderPackingSlipsPdf = ({ range, slips }) => renderPdf((doc) => {
+  const left = 50;
+  const right = 545;
+
+  if (slips.length === 0) {
+    doc.fontSize(20).text('Packing slips', left, 50);
+    doc.fontSize(10).text(`${formatDay(range.from)} to ${formatDay(range.to)}`);
+    doc.moveDown().text('No orders to pack in this range.');
+    return;
+  }
+
+  slips.forEach((slip, index) => {
+    if (index > 0) doc.addPage();
+    const address = slip.shippingAddress || {};
+
+    doc.font('Helvetica').fontSize(20).text('Packing slip', left, 50);
+    doc.fontSize(10)
+      .text(`Order: ${slip.orderId}`, left, 50, { width: right - left, align: 'right' })
+      .text(`Delivery: ${formatDay(slip.deliveryDate)}`, { align: 'right' });
+    if (slip.window) {
+      doc.text(`${slip.window.name} ${formatTime(slip.window.startsAt)}-${formatTime(slip.window.endsAt)} UTC`, { align: 'right' });
+    }
+
+    doc.moveDown(2);
+    const top = doc.y;
+    doc.font('Helvetica-Bold').text('Deliver to', left, top);
+    doc.font('Helvetica')
+      .text(slip.customer.name)
+      .text(address.address || '')
+      .text(`${address.city || ''}, ${address.postalCode || ''}`)
+      .text(address.country || '');
+    if (slip.customer.phone) doc.text(slip.customer.phone);
+
+    doc.font('Helvetica-Bold').text('Shipping', 300, top);
+    doc.font('Helvetica').text(slip.shippingMethod || '-', 300);
+    if (slip.zone) doc.text(`Zone: ${slip.zone}`, 300);
+    if (slip.subscription) doc.text(`${slip.subscription.name} - cycle ${slip.subscription.cycle}`, 300);
+
+    doc.y = Math.max(doc.y, top + 80);
+    drawCountTable(doc, `Items (${slip.totalItems})`, slip.items.map(item => [item.name, '', item.quantity]));
+
+    if (slip.notes) {
+      doc.moveDown().font('Helvetica-Bold').fontSize(10).text('Notes', left);
+      doc.font('Helvetica').fontSize(9).text(slip.notes, left, doc.y, { width: right - left });
+    }
+  });
+});
+
+module.exports = {
+  KITCHEN_STATUSES,
+  getKitchenRange,
+  getProductionReport,
+  getPackingSlips,
+  productionReportCsv,
+  packingSlipsCsv,
+  renderProductionReportPdf,
+  renderPackingSlipsPdf
+};
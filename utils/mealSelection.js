@@ -0,0 +1,154 @@
+const Plan = require('../Models/Plan');
+const { priceOrderItems, roundCurrency } = require('./orderPricing');
+
+// Box changes for the next delivery close this long before it is billed
+const SELECTION_CUTOFF_HOURS = parseFloat(process.env.MEAL_SELECTION_CUTOFF_HOURS) || 48;
+// How many upcoming cycles can be planned
+const MAX_CYCLES_AHEAD = 4;
+
+// Check a box selection ([{ product, quantity }]) against the subscription's
+// plan. Returns { error, errors } or { products } in selectedProducts shape.
+const buildSelection = async (subscription, items) => {
+  const { orderItems, errors } = await priceOrderItems(items);
+
+  if (errors.length > 0) {
+    return { error: 'Some selected products are invalid', errors };
+  }
+
+  const productCount = orderItems.reduce((sum, item) => sum + item.quantity, 0);
+  if (subscription.maxProducts > 0 && productCount > subscription.maxProducts) {
+    return { error: `Your plan allows up to ${subscription.maxProducts} products per delivery` };
+  }
+
+  if (subscription.plan) {
+    const plan = await Plan.findById(subscription.plan);
+    const ineligibleItems = plan ? orderItems.filter(item => !plan.allowsCategory(item.category)) : [];
+    if (ineligibleItems.length > 0) {
+      return { error: `${ineligibleItems.map(item => item.name).join(', ')} cannot be included in ${plan.name}` };
+    }
+  }
+
+  return {
+    products: orderItems.map(item => ({
+      _id: item.product,
+      title: item.name,
+      imageUrl: item.image,
+      price: item.price,
+      quantity: item.quantity
+    }))
+  };
+};
+
+// Check that a cycle's box can still be changed. Returns { error } or
+// { cutoff } (the cutoff is only known for the next delivery).
+const getSelectionWindow = (subscription, cycle) => {
+  const upcomingCycle = subscription.currentBillingCycle + 1;
+  const lastCycle = Math.min(
+    upcomingCycle + MAX_CYCLES_AHEAD - 1,
+    subscription.totalBillingCycles || Infinity
+  );
+
+  if (!['active', 'paused'].includes(subscription.subscriptionStatus)) {
+    return { error: 'Deliveries can only be changed on active or paused subscriptions' };
+  }
+  if (!Number.isInteger(cycle) || cycle < upcomingCycle || cycle > lastCycle) {
+    return { error: `Only billing cycles ${upcomingCycle} to ${lastCycle} can be changed` };
+  }
+
+  if (cycle === upcomingCycle && subscription.nextBillingDate) {
+    const cutoff = new Date(subscription.nextBillingDate.getTime() - SELECTION_CUTOFF_HOURS * 60 * 60 * 1000);
+    if (cutoff <= new Date()) {
+      return { error: `Changes for your next delivery closed on ${cutoff.toISOString()}`, locked: true };
+    }
+    return { cutoff };
+  }
+
+  return { cutoff: null };
+};
+
+// Items for a cycle's delivery: the cycle's own selection, else the default
+// selection, else the original box. Products are re-read from the catalog so
+// discontinued meals drop out. Returns { orderItems, selectedProducts, errors }.
+const getCycleOrderItems = async (subscription, cycle) => {
+  const selection = subscription.cycleSelections.find(entry => entry.billingCycle === cycle);
+  const products = selection?.products.length > 0 ? selection.products : subscription.selectedProducts;
+
+  if (!products || products.length === 0) {
+    return { orderItems: subscription.orderItems, selectedProducts: subscription.selectedProducts, errors: [] };
+  }
+
+  const { orderItems, errors } = await priceOrderItems(
+    products.map(product => ({ product: product._id, quantity: product.quantity }))
+  );
+
+  // Nothing left to send - fall back to the original box
+  if (orderItems.length === 0) {
+    return { orderItems: subscription.orderItems, selectedProducts: subscription.selectedProducts, errors };
+  }
+
+  return { orderItems, selectedProducts: products, errors };
+};
+
+// Split an amount into cent shares proportional to the weights. The rounding
+// remainder goes on the last share so the shares add up to the amount.
+const splitByWeight = (amount, weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let remaining = roundCurrency(amount);
+
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) return remaining;
+    const share = total > 0 ? roundCurrency(amount * weight / total) : 0;
+    remaining = roundCurrency(remaining - share);
+    return share;
+  });
+};
+
+// Price a cycle's box at what the subscription charges for it. A selection
+// costs the same as the original box, so the items, discount and tax the
+// subscription was priced with are spread over the selected items by their
+// catalog value. Invoices, line refunds and reports then add up to the amount
+// paid. Returns { orderItems, itemsPrice, taxPrice, taxBreakdown }.
+const priceCycleItems = (subscription, orderItems) => {
+  const boxPrice = {
+    itemsPrice: subscription.itemsPrice,
+    taxPrice: subscription.taxPrice,
+    taxBreakdown: subscription.taxBreakdown
+  };
+  if (orderItems === subscription.orderItems) return { orderItems, ...boxPrice };
+
+  const weights = orderItems.map(item => item.price * item.quantity);
+  const discount = subscription.taxBreakdown.reduce((sum, line) => sum + (line.discountAmount || 0), 0);
+  const lineTotals = splitByWeight(subscription.itemsPrice, weights);
+  const lineDiscounts = splitByWeight(discount, weights);
+  const lineTaxes = splitByWeight(subscription.taxPrice, weights);
+
+  const pricedItems = orderItems.map((item, index) => ({
+    ...item,
+    price: lineTotals[index] / item.quantity
+  }));
+
+  const taxBreakdown = pricedItems.map((item, index) => {
+    const taxableAmount = roundCurrency(Math.max(0, lineTotals[index] - lineDiscounts[index]));
+    return {
+      product: item.product,
+      name: item.name,
+      category: item.category,
+      discountAmount: lineDiscounts[index],
+      taxableAmount,
+      rate: taxableAmount > 0 ? roundCurrency(lineTaxes[index] / taxableAmount * 100) : 0,
+      taxAmount: lineTaxes[index],
+      exempt: lineTaxes[index] === 0
+    };
+  });
+
+  return { ...boxPrice, orderItems: pricedItems, taxBreakdown };
+};
+
+module.exports = {
+  SELECTION_CUTOFF_HOURS,
+  MAX_CYCLES_AHEAD,
+  buildSelection,
+  getSelectionWindow,
+  getCycleOrderItems,
+  priceCycleItems
+};
@@ -0,0 +1,65 @@
+const User = require('../Models/Users');
+const emailService = require('./EmailService');
+const { generateInvoicePdf } = require('./invoiceGenerator');
+
+// Order statuses that send the customer an email
+const STATUS_EMAILS = {
+  Payment_Confirmed: 'paid',
+  Shipped: 'shipped',
+  Delivered: 'delivered',
+  Cancelled: 'cancelled',
+  Refunded: 'refunded'
+};
+
+// Email the customer about their order unless they turned order emails off.
+// Email problems are logged and never fail the request that triggered them.
+const sendOrderNotification = async (order, type, options = {}) => {
+  try {
+    const user = order.user?.email
+      ? order.user
+      : await User.findById(order.user).select('name email emailPreferences');
+
+    if (!user?.email) return false;
+
+    if (user.emailPreferences?.orderUpdates === false) {
+      console.log(`Order ${type} email skipped for ${user.email} (opted out)`);
+      return false;
+    }
+
+    // Order confirmations carry the invoice for the payment just taken
+    if (type === 'paid' && !options.attachments) {
+      const invoice = await generateInvoicePdf(order, user);
+      if (invoice) {
+        options.attachments = [{ filename: invoice.filename, content: invoice.pdf, contentType: 'application/pdf' }];
+      }
+    }
+
+    await emailService.sendOrderEmail(order, user, type, options);
+    return true;
+  } catch (error) {
+    console.error(`Error sending order ${type} email for order ${order._id}:`, error.message);
+    return false;
+  }
+};
+
+// Queue an email to go out once the order has been saved
+const queueOrderNotification = (order, type) => {
+  order.$locals.pendingEmails = [...(order.$locals.pendingEmails || []), type];
+};
+
+// Send the emails queued on an order (called after save)
+const sendQueuedNotifications = (order) => {
+  const pendingEmails = order.$locals.pendingEmails || [];
+  order.$locals.pendingEmails = [];
+
+  for (const type of pendingEmails) {
+    sendOrderNotification(order, type);
+  }
+};
+
+module.exports = {
+  STATUS_EMAILS,
+  sendOrderNotification,
+  queueOrderNotification,
+  sendQueuedNotifications
+};
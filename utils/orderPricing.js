@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Product = require('../Models/Product');
+
+// Round to cents to avoid floating point drift in totals
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+// Build order items from { product, quantity } pairs using current product data.
+// Client supplied names, images and prices are ignored.
+const priceOrderItems = async (items) => {
+  const errors = [];
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return { orderItems: [], itemsPrice: 0, errors: [{ message: 'No order items provided' }] };
+  }
+
+  // Collapse duplicate product lines into one
+  const quantities = new Map();
+  for (const item of items) {
+    const productId = (item.product?._id || item.product || '').toString();
+    const quantity = parseInt(item.quantity);
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      errors.push({ product: productId || null, message: 'Invalid product ID' });
+      continue;
+    }
+    if (!quantity || quantity <= 0) {
+      errors.push({ product: productId, message: 'Quantity must be greater than 0' });
+      continue;
+    }
+
+    quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+  }
+
+  const products = await Product.find({ _id: { $in: [...quantities.keys()] } });
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  const orderItems = [];
+  for (const [productId, quantity] of quantities) {
+    const product = productMap.get(productId);
+
+    if (!product) {
+      errors.push({ product: productId, message: 'Product not found' });
+      continue;
+    }
+    if (product.status !== 'active') {
+      errors.push({ product: productId, name: product.title, message: `${product.title} is no longer available` });
+      continue;
+    }
+
+    orderItems.push({
+      name: product.title,
+      quantity,
+      image: product.imageUrl,
+      price: product.price,
+      product: product._id,
+      category: product.category,
+      weight: product.weight || 0
+    });
+  }
+
+  const itemsPrice = roundCurrency(
+    orderItems.reduce((sum, item) => sum + item.price * item.quantity, 0)
+  );
+
+  return { orderItems, itemsPrice, errors };
+};
+
+module.exports = {
+  roundCurrency,
+  priceOrderItems
+};
@@ -0,0 +1,82 @@
+const { reserveStock, commitStock, releaseStock } = require('./inventory');
+const { releaseDeliverySlot, rebookDeliverySlot } = require('./deliverySlots');
+const { STATUS_EMAILS, queueOrderNotification } = require('./orderNotifications');
+
+// Side effects run when an order enters a status (the caller saves the order)
+const STATUS_EFFECTS = {
+  Payment_Confirmed: async (order) => {
+    if (!order.isPaid) {
+      order.isPaid = true;
+      order.paidAt = new Date();
+    }
+
+    // Stock released after a failed attempt has to be taken again
+    if (order.inventory?.status === 'released') {
+      const reservation = await reserveStock(order.orderItems);
+      if (reservation.success) {
+        order.inventory.status = 'reserved';
+        order.inventory.reservedAt = new Date();
+      } else {
+        order.adminNotes = `Stock shortfall: ${reservation.outOfStock.map(item => item.message).join('; ')}`;
+      }
+    }
+    commitStock(order);
+
+    // So does a delivery slot given up at the same time
+    const slot = await rebookDeliverySlot(order);
+    if (slot.error) {
+      order.adminNotes = [order.adminNotes, `Delivery slot: ${slot.error}`].filter(Boolean).join('\n');
+    }
+  },
+  Delivered: (order) => {
+    order.isDelivered = true;
+    order.deliveredAt = order.deliveredAt || new Date();
+  },
+  Cancelled: async (order, { updatedBy }) => {
+    order.cancelledAt = new Date();
+    if (updatedBy) order.cancelledBy = updatedBy;
+    await releaseStock(order);
+    await releaseDeliverySlot(order);
+  },
+  Payment_Failed: async (order) => {
+    await releaseStock(order);
+    await releaseDeliverySlot(order);
+  },
+  Refunded: async (order) => {
+    order.refundedAt = order.refundedAt || new Date();
+    await releaseStock(order);
+    await releaseDeliverySlot(order);
+  }
+};
+
+// Move an order to a new status through the transition table and run the
+// side effects for that status. Returns { success, message }.
+const transitionOrder = async (order, status, { note, updatedBy = null } = {}) => {
+  if (!order.canTransitionTo(status)) {
+    const allowed = order.getAllowedTransitions();
+    return {
+      success: false,
+      message: allowed.length > 0
+        ? `Cannot change status from ${order.status} to ${status}. Allowed: ${allowed.join(', ')}`
+        : `Cannot change status of a ${order.status} order`
+    };
+  }
+
+  const previousStatus = order.status;
+  order.addStatusToHistory(status, note || `Status updated to ${status}`, updatedBy);
+
+  const effect = STATUS_EFFECTS[status];
+  if (effect) {
+    await effect(order, { previousStatus, updatedBy });
+  }
+
+  if (STATUS_EMAILS[status]) {
+    queueOrderNotification(order, STATUS_EMAILS[status]);
+  }
+
+  return { success: true };
+};
+
+module.exports = {
+  transitionOrder
+};
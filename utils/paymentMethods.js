@@ -0,0 +1,107 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const User = require('../Models/Users');
+
+// Get the user's Stripe customer, creating it (once) if needed. Customers made
+// before the ID was stored on the user are found again by email.
+const getOrCreateStripeCustomer = async (user, requestOptions = {}) => {
+  if (user.stripeCustomerId) return user.stripeCustomerId;
+
+  let customerId;
+  const existingCustomers = await stripe.customers.list({ email: user.email, limit: 1 });
+
+  if (existingCustomers.data.length > 0) {
+    customerId = existingCustomers.data[0].id;
+  } else {
+    const customer = await stripe.customers.create({
+      email: user.email,
+      name: user.name,
+      metadata: {
+        userId: user._id.toString()
+      }
+    }, requestOptions);
+    customerId = customer.id;
+  }
+
+  // Only the first request stores its customer; others use that one
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, stripeCustomerId: null },
+    { $set: { stripeCustomerId: customerId } },
+    { new: true }
+  );
+  if (!updated) {
+    const fresh = await User.findById(user._id).select('stripeCustomerId');
+    customerId = fresh.stripeCustomerId;
+  }
+
+  user.stripeCustomerId = customerId;
+  return customerId;
+};
+
+// Turn the PaymentMethod or SetupIntent ID sent by the frontend into a Stripe
+// PaymentMethod the user may charge. Returns { error } or { paymentMethod }.
+const resolvePaymentMethod = async (user, { paymentMethodId, setupIntentId } = {}) => {
+  try {
+    if (setupIntentId) {
+      const setupIntent = await stripe.setupIntents.retrieve(setupIntentId);
+
+      if (!user.stripeCustomerId || setupIntent.customer !== user.stripeCustomerId) {
+        return { error: 'This card setup does not belong to your account' };
+      }
+      if (setupIntent.status !== 'succeeded') {
+        return { error: 'Card setup has not been completed' };
+      }
+      paymentMethodId = typeof setupIntent.payment_method === 'string'
+        ? setupIntent.payment_method
+        : setupIntent.payment_method?.id;
+    }
+
+    if (!paymentMethodId || !paymentMethodId.startsWith('pm_')) {
+      return { error: 'A Stripe PaymentMethod ID or SetupIntent ID is required' };
+    }
+
+    const paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+
+    if (paymentMethod.customer && paymentMethod.customer !== user.stripeCustomerId) {
+      return { error: 'This payment method does not belong to your account' };
+    }
+
+    return { paymentMethod };
+  } catch (error) {
+    if (error.type === 'StripeInvalidRequestError') {
+      return { error: 'Invalid payment method' };
+    }
+    throw error;
+  }
+};
+
+// Attach the payment method to the customer (if it isn't already) and make it
+// the default for invoices
+const setDefaultPaymentMethod = async (customerId, paymentMethod) => {
+  if (!paymentMethod.customer) {
+    await stripe.paymentMethods.attach(paymentMethod.id, { customer: customerId });
+    paymentMethod.customer = customerId;
+  }
+
+  await stripe.customers.update(customerId, {
+    invoice_settings: {
+      default_payment_method: paymentMethod.id
+    }
+  });
+};
+
+// Safe card summary for responses and order records
+const describeCard = (paymentMethod) => ({
+  id: paymentMethod.id,
+  brand: paymentMethod.card?.brand || null,
+  last4: paymentMethod.card?.last4 || null,
+  expMonth: paymentMethod.card?.exp_month || null,
+  expYear: paymentMethod.card?.exp_year || null,
+  name: paymentMethod.billing_details?.name || null
+});
+
+module.exports = {
+  getOrCreateStripeCustomer,
+  resolvePaymentMethod,
+  setDefaultPaymentMethod,
+  describeCard
+};
@@ -0,0 +1,94 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Plan = require('../Models/Plan');
+
+// Archive Stripe prices that are no longer offered. Archived prices keep
+// billing existing subscriptions but can't be used for new ones.
+const archivePrices = async (priceIds) => {
+  for (const priceId of priceIds) {
+    try {
+      await stripe.prices.update(priceId, { active: false });
+    } catch (error) {
+      console.error(`Error archiving Stripe price ${priceId}:`, error.message);
+    }
+  }
+};
+
+// Whether an existing Stripe price still matches the option
+const priceMatches = (price, unitAmount, currency, recurring) =>
+  price.active &&
+  price.unit_amount === unitAmount &&
+  price.currency === currency &&
+  price.recurring?.interval === recurring.interval &&
+  price.recurring?.interval_count === recurring.interval_count;
+
+// Create or update the Stripe product and prices for a plan. Stripe prices
+// can't change, so a changed amount gets a new price and the old one is
+// archived. Sets the Stripe IDs on the (unsaved) plan.
+const syncPlanWithStripe = async (plan, previousPriceIds = []) => {
+  const productData = {
+    name: plan.name,
+    description: plan.description || undefined,
+    active: plan.isActive,
+    metadata: {
+      planId: plan._id.toString(),
+      slug: plan.slug
+    }
+  };
+
+  if (plan.stripeProductId) {
+    await stripe.products.update(plan.stripeProductId, productData);
+  } else {
+    const product = await stripe.products.create(productData);
+    plan.stripeProductId = product.id;
+  }
+
+  const replacedPriceIds = [];
+
+  for (const option of plan.recurrenceOptions) {
+    const unitAmount = Math.round(plan.getOptionPrice(option) * 100);
+    const recurring = Plan.RECURRENCE_INTERVALS[option.recurrence];
+
+    if (option.stripePriceId) {
+      const existingPrice = await stripe.prices.retrieve(option.stripePriceId);
+      if (existingPrice.product === plan.stripeProductId && priceMatches(existingPrice, unitAmount, plan.currency, recurring)) {
+        continue;
+      }
+      replacedPriceIds.push(option.stripePriceId);
+    }
+
+    const price = await stripe.prices.create({
+      product: plan.stripeProductId,
+      unit_amount: unitAmount,
+      currency: plan.currency,
+      recurring,
+      nickname: `${plan.name} - ${option.label || Plan.DEFAULT_RECURRENCE_LABELS[option.recurrence]}`,
+      metadata: {
+        planId: plan._id.toString(),
+        recurrence: option.recurrence
+      }
+    });
+    option.stripePriceId = price.id;
+  }
+
+  // Prices of removed or changed options
+  const currentPriceIds = plan.recurrenceOptions.map(option => option.stripePriceId);
+  const unusedPriceIds = [...new Set([...previousPriceIds, ...replacedPriceIds])]
+    .filter(priceId => priceId && !currentPriceIds.includes(priceId));
+  await archivePrices(unusedPriceIds);
+
+  console.log(`Plan ${plan.slug} synced with Stripe product ${plan.stripeProductId}`);
+  return plan;
+};
+
+// Take a plan off sale in Stripe
+const archivePlanInStripe = async (plan) => {
+  if (plan.stripeProductId) {
+    await stripe.products.update(plan.stripeProductId, { active: false });
+  }
+  await archivePrices(plan.recurrenceOptions.map(option => option.stripePriceId).filter(Boolean));
+};
+
+module.exports = {
+  syncPlanWithStripe,
+  archivePlanInStripe
+};
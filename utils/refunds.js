@@ -0,0 +1,219 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Order = require('../Models/Order');
+const Subscription = require('../Models/Subscription');
+const { roundCurrency } = require('./orderPricing');
+const { transitionOrder } = require('./orderStateMachine');
+const { sendOrderNotification } = require('./orderNotifications');
+
+// Reasons Stripe accepts on a refund; anything else is kept as a note only
+const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+// Look up the payment intent behind a subscription invoice
+const getInvoicePaymentIntentId = async (invoiceId) => {
+  const invoice = await stripe.invoices.retrieve(invoiceId, { expand: ['payments'] });
+  if (invoice.payment_intent) {
+    return typeof invoice.payment_intent === 'string' ? invoice.payment_intent : invoice.payment_intent.id;
+  }
+
+  const payment = invoice.payments?.data?.find(entry => entry.payment?.payment_intent);
+  return payment ? payment.payment.payment_intent : null;
+};
+
+// Amount captured and already refunded on a payment intent, read from Stripe so
+// refunds made in the dashboard are taken into account
+const getPaymentAmounts = async (paymentIntentId) => {
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId, { expand: ['latest_charge'] });
+  const charge = paymentIntent.latest_charge;
+
+  return {
+    amount: (charge?.amount ?? paymentIntent.amount_received) / 100,
+    refunded: (charge?.amount_refunded || 0) / 100
+  };
+};
+
+// Find the Stripe payment a refund on this order is taken from. One-time orders
+// use their payment intent (older confirm-payment orders only kept it in
+// paymentResult); subscription deliveries use the subscription's paymentHistory
+// entry for their billing cycle (or the one asked for).
+const getRefundablePayment = async (order, paymentId = null) => {
+  if (!order.subscription && !paymentId) {
+    const paymentIntentId = order.paymentIntent?.id || order.paymentResult?.id;
+    if (!paymentIntentId?.startsWith('pi_')) return null;
+    return {
+      paymentIntentId,
+      invoiceId: null,
+      billingCycle: 1,
+      ...await getPaymentAmounts(paymentIntentId)
+    };
+  }
+
+  const matchesPayment = (entry) => entry.status === 'succeeded' &&
+    (!paymentId || [entry.paymentId, entry.stripeInvoiceId, entry.stripePaymentIntentId].includes(paymentId));
+
+  let payment = [...order.paymentHistory].reverse().find(matchesPayment);
+
+  if (!payment && order.subscription) {
+    const subscription = await Subscription.findById(order.subscription).select('paymentHistory');
+    const payments = [...(subscription?.paymentHistory || [])].reverse();
+    payment = paymentId
+      ? payments.find(matchesPayment)
+      : payments.find(entry => entry.status === 'succeeded' && entry.billingCycle === order.subscriptionCycle);
+  }
+
+  if (!payment) return null;
+
+  let paymentIntentId = payment.stripePaymentIntentId;
+  if (!paymentIntentId && payment.stripeInvoiceId) {
+    paymentIntentId = await getInvoicePaymentIntentId(payment.stripeInvoiceId);
+  }
+  if (!paymentIntentId) return null;
+
+  return {
+    paymentIntentId,
+    invoiceId: payment.stripeInvoiceId || null,
+    billingCycle: payment.billingCycle,
+    ...await getPaymentAmounts(paymentIntentId)
+  };
+};
+
+// Work out the refund for the requested lines. Each unit gives back its price
+// less its share of the coupon discount, plus the tax charged on it. A refund
+// of the last units still on the order gives back everything left of the order
+// total, shipping included, so the order ends up fully refunded.
+// Returns { error } or { amount, items }.
+const calculateLineRefund = (order, requestedItems) => {
+  const items = [];
+  let amount = 0;
+
+  for (const requested of requestedItems) {
+    const line = order.orderItems.find(item => item.product.toString() === requested.product?.toString());
+    const quantity = Number(requested.quantity);
+
+    if (!line) {
+      return { error: `Product ${requested.product} is not part of this order` };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: `Invalid refund quantity for ${line.name}` };
+    }
+
+    const refundable = line.quantity - (line.refundedQuantity || 0);
+    if (quantity > refundable) {
+      return { error: `Only ${refundable} of ${line.name} can still be refunded` };
+    }
+
+    const tax = order.taxBreakdown.find(entry => entry.product?.toString() === line.product.toString());
+    const unitDiscount = tax ? (tax.discountAmount || 0) / line.quantity : 0;
+    const unitTax = tax ? tax.taxAmount / line.quantity : 0;
+    const lineAmount = roundCurrency((line.price - unitDiscount + unitTax) * quantity);
+
+    items.push({ product: line.product.toString(), name: line.name, quantity, amount: lineAmount });
+    amount += lineAmount;
+  }
+
+  const refundsEverything = order.orderItems.every(line => {
+    const refunded = items
+      .filter(item => item.product === line.product.toString())
+      .reduce((sum, item) => sum + item.quantity, 0);
+    return line.quantity - (line.refundedQuantity || 0) - refunded <= 0;
+  });
+  if (refundsEverything) {
+    amount = Math.max(0, order.totalPrice - (order.refundAmount || 0));
+  }
+
+  return { amount: roundCurrency(amount), items };
+};
+
+// Issue a refund in Stripe. The order ID and refunded lines travel in the
+// refund metadata so the charge.refunded webhook can recognise it.
+const createStripeRefund = async (order, payment, amount, { items = [], reason, note } = {}) => {
+  const refundData = {
+    payment_intent: payment.paymentIntentId,
+    amount: Math.round(amount * 100),
+    metadata: {
+      orderId: order._id.toString(),
+      items: JSON.stringify(items.map(item => ({ product: item.product, quantity: item.quantity }))),
+      note: (note || '').slice(0, 500)
+    }
+  };
+
+  if (STRIPE_REFUND_REASONS.includes(reason)) {
+    refundData.reason = reason;
+  }
+
+  return stripe.refunds.create(refundData);
+};
+
+// Record a Stripe refund on the order exactly once. The refund ID is used as
+// the paymentHistory paymentId, so the admin endpoint and the webhook can both
+// call this without counting the same refund twice. Returns the updated order,
+// or null when the refund was already recorded.
+const recordRefund = async (orderId, refund, { invoiceId = null, billingCycle, source = 'stripe', note, updatedBy = null } = {}) => {
+  const amount = refund.amount / 100;
+
+  let items = [];
+  try {
+    items = JSON.parse(refund.metadata?.items || '[]');
+  } catch (error) {
+    console.error(`Invalid items metadata on refund ${refund.id}:`, error.message);
+  }
+
+  const update = {
+    $push: {
+      paymentHistory: {
+        paymentId: refund.id,
+        amount,
+        currency: refund.currency,
+        status: 'refunded',
+        billingCycle,
+        paidAt: new Date(refund.created * 1000),
+        stripeInvoiceId: invoiceId,
+        stripePaymentIntentId: refund.payment_intent,
+        metadata: {
+          refundId: refund.id,
+          refundStatus: refund.status,
+          reason: refund.reason,
+          note: note || refund.metadata?.note,
+          items,
+          source
+        }
+      }
+    },
+    $inc: { refundAmount: amount },
+    $set: { refundedAt: new Date() }
+  };
+
+  const options = { new: true };
+  const arrayFilters = [];
+  items.forEach((item, index) => {
+    update.$inc[`orderItems.$[line${index}].refundedQuantity`] = item.quantity;
+    arrayFilters.push({ [`line${index}.product`]: item.product });
+  });
+  if (arrayFilters.length > 0) options.arrayFilters = arrayFilters;
+
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, 'paymentHistory.paymentId': { $ne: refund.id } },
+    update,
+    options
+  );
+
+  if (!order) return null;
+
+  // The order only counts as refunded once everything paid for it has gone back
+  if (order.canTransitionTo('Refunded') && roundCurrency(order.refundAmount) >= roundCurrency(order.totalPrice)) {
+    await transitionOrder(order, 'Refunded', { note: note || 'Order fully refunded', updatedBy });
+    await order.save();
+  } else {
+    // Partial refunds keep the order status but the customer still hears about them
+    sendOrderNotification(order, 'refunded');
+  }
+
+  console.log(`Refund ${refund.id} of ${amount} recorded on order ${order._id}`);
+  return order;
+};
+
+module.exports = {
+  getRefundablePayment,
+  calculateLineRefund,
+  createStripeRefund,
+  recordRefund
+};
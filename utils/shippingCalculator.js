@@ -0,0 +1,79 @@
+const ShippingZone = require('../Models/ShippingZone');
+const { roundCurrency } = require('./orderPricing');
+
+// Price a single zone rate for the basket
+const priceRate = (rate, itemsPrice, totalWeight) => {
+  switch (rate.type) {
+    case 'weight':
+      return roundCurrency(rate.amount + rate.perKg * totalWeight);
+    case 'free_over':
+      return itemsPrice >= rate.threshold ? 0 : roundCurrency(rate.amount);
+    case 'flat':
+    default:
+      return roundCurrency(rate.amount);
+  }
+};
+
+// Quote every active shipping option for the address, cheapest first.
+// Returns a null zone when the address is outside every delivery zone.
+const quoteShipping = async (orderItems, itemsPrice, shippingAddress) => {
+  const zone = await ShippingZone.findForAddress(shippingAddress);
+  if (!zone) {
+    return { zone: null, options: [] };
+  }
+
+  const totalWeight = orderItems.reduce((sum, item) => sum + (item.weight || 0) * item.quantity, 0);
+
+  const options = zone.rates
+    .filter(rate => rate.isActive)
+    .map(rate => ({
+      rateId: rate._id,
+      name: rate.name,
+      type: rate.type,
+      courier: rate.courier || zone.defaultCourier,
+      price: priceRate(rate, itemsPrice, totalWeight),
+      estimatedDaysMin: rate.estimatedDaysMin,
+      estimatedDaysMax: rate.estimatedDaysMax
+    }))
+    .sort((a, b) => a.price - b.price);
+
+  return { zone, options, totalWeight };
+};
+
+// Pick the requested (or cheapest) option and shape it for the order document
+const resolveShipping = async (orderItems, itemsPrice, shippingAddress, rateId) => {
+  const { zone, options } = await quoteShipping(orderItems, itemsPrice, shippingAddress);
+
+  if (!zone) {
+    return { error: 'We do not deliver to this address yet' };
+  }
+  if (options.length === 0) {
+    return { error: 'No shipping options are available for this address' };
+  }
+
+  const option = rateId
+    ? options.find(candidate => candidate.rateId.toString() === rateId.toString())
+    : options[0];
+
+  if (!option) {
+    return { error: 'Selected shipping option is not available for this address' };
+  }
+
+  return {
+    shippingPrice: option.price,
+    shippingMethod: {
+      zone: zone._id,
+      zoneName: zone.name,
+      rateId: option.rateId,
+      name: option.name,
+      courier: option.courier,
+      estimatedDaysMin: option.estimatedDaysMin,
+      estimatedDaysMax: option.estimatedDaysMax
+    }
+  };
+};
+
+module.exports = {
+  quoteShipping,
+  resolveShipping
+};
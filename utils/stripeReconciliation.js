@@ -0,0 +1,342 @@
+const cron = require('node-cron');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Order = require('../Models/Order');
+const Subscription = require('../Models/Subscription');
+const StripeEvent = require('../Models/StripeEvent');
+const ReconciliationReport = require('../Models/ReconciliationReport');
+const GiftSubscription = require('../Models/GiftSubscription');
+const { transitionOrder } = require('./orderStateMachine');
+const { markGiftPaid } = require('./giftSubscriptions');
+const { startDunning } = require('./dunning');
+
+const LOOKBACK_HOURS = parseInt(process.env.RECONCILIATION_LOOKBACK_HOURS) || 48;
+const MAX_OBJECTS = 1000; // Per Stripe object type and run
+
+// Our subscriptionStatus for a Stripe subscription, or null when there is nothing to compare.
+// Skips and vacation holds pause collection too, but the subscription stays active.
+const getExpectedSubscriptionStatus = (subscription, local) => {
+  if (subscription.status === 'canceled') return 'cancelled';
+  if (['past_due', 'unpaid'].includes(subscription.status)) return 'payment_failed';
+  if (subscription.pause_collection) return local?.deliveryHold?.status === 'active' ? 'active' : 'paused';
+  if (['active', 'trialing'].includes(subscription.status)) return 'active';
+  return null;
+};
+
+// Newer Stripe API versions moved these fields, so read both places
+const getInvoiceSubscriptionId = (invoice) =>
+  invoice.subscription || invoice.parent?.subscription_details?.subscription || null;
+const getPeriodEnd = (subscription) =>
+  subscription.current_period_end || subscription.items?.data?.[0]?.current_period_end || null;
+
+// Compare recent payment intents with their orders. Succeeded and cancelled
+// payments are final in Stripe, so the order can safely follow them.
+const reconcilePaymentIntents = async (since, report) => {
+  let checked = 0;
+
+  for await (const paymentIntent of stripe.paymentIntents.list({ created: { gte: since }, limit: 100 })) {
+    if (++checked > MAX_OBJECTS) break;
+
+    const orderId = paymentIntent.metadata?.orderId;
+
+    // Gift purchases are tracked on the gift rather than an order
+    if (paymentIntent.metadata?.giftId) {
+      const gift = await GiftSubscription.findById(paymentIntent.metadata.giftId);
+      if (!gift) {
+        report({
+          type: 'payment_without_order',
+          stripeId: paymentIntent.id,
+          message: `Payment intent references gift ${paymentIntent.metadata.giftId}, which does not exist`,
+          action: 'Check the payment in Stripe and refund it if needed'
+        });
+      } else if (paymentIntent.status === 'succeeded' && await markGiftPaid(gift, paymentIntent)) {
+        report({
+          type: 'payment_status',
+          stripeId: paymentIntent.id,
+          message: `Gift ${gift._id} did not match payment status ${paymentIntent.status}`,
+          fixed: true,
+          action: 'marked as paid, claim email sent'
+        });
+      }
+      continue;
+    }
+
+    // Paid through create-payment-intent, but confirm-payment never created the order
+    if (!orderId) {
+      if (paymentIntent.status === 'succeeded' && paymentIntent.metadata?.userId && !paymentIntent.invoice) {
+        const hasOrder = await Order.exists({ 'paymentResult.id': paymentIntent.id });
+        if (!hasOrder) {
+          report({
+            type: 'payment_without_order',
+            stripeId: paymentIntent.id,
+            message: `Payment of ${paymentIntent.amount_received / 100} by user ${paymentIntent.metadata.userId} has no order`,
+            action: 'Contact the customer, then create the order or refund the payment'
+          });
+        }
+      }
+      continue;
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      report({
+        type: 'payment_without_order',
+        stripeId: paymentIntent.id,
+        message: `Payment intent references order ${orderId}, which does not exist`,
+        action: 'Check the payment in Stripe and refund it if needed'
+      });
+      continue;
+    }
+
+    const changes = [];
+
+    if (paymentIntent.status === 'succeeded' && !order.isPaid) {
+      const transition = await transitionOrder(order, 'Payment_Confirmed', {
+        note: 'Payment confirmed by Stripe reconciliation'
+      });
+
+      if (transition.success) {
+        order.paymentResult = {
+          id: paymentIntent.id,
+          status: paymentIntent.status,
+          updateTime: new Date().toISOString()
+        };
+        changes.push('marked as paid');
+      } else {
+        report({
+          type: 'payment_not_recorded',
+          stripeId: paymentIntent.id,
+          order: order._id,
+          message: `Payment succeeded but the order is ${order.status}: ${transition.message}`,
+          action: 'Review the order and refund the payment if it will not be fulfilled'
+        });
+      }
+    }
+
+    if (paymentIntent.status === 'canceled' && order.status === 'Pending') {
+      const transition = await transitionOrder(order, 'Cancelled', {
+        note: 'Payment cancelled in Stripe (reconciliation)'
+      });
+      if (transition.success) changes.push('cancelled');
+    }
+
+    if (paymentIntent.status === 'succeeded' && paymentIntent.amount_received !== Math.round(order.totalPrice * 100)) {
+      report({
+        type: 'amount_mismatch',
+        stripeId: paymentIntent.id,
+        order: order._id,
+        message: `Stripe received ${paymentIntent.amount_received / 100}, order total is ${order.totalPrice}`,
+        action: 'Check the order total and refund or charge the difference'
+      });
+    }
+
+    if (order.paymentIntent?.id === paymentIntent.id && order.paymentIntent.status !== paymentIntent.status) {
+      changes.push(`payment status ${order.paymentIntent.status || 'none'} -> ${paymentIntent.status}`);
+      order.paymentIntent.status = paymentIntent.status;
+    }
+
+    if (changes.length > 0) {
+      await order.save();
+      report({
+        type: 'payment_status',
+        stripeId: paymentIntent.id,
+        order: order._id,
+        message: `Order did not match payment status ${paymentIntent.status}`,
+        fixed: true,
+        action: changes.join(', ')
+      });
+    }
+  }
+
+  return Math.min(checked, MAX_OBJECTS);
+};
+
+// Every paid subscription invoice should be in its subscription's payment history.
+// Missing payments create delivery orders, so they are only reported.
+const reconcileInvoices = async (since, report) => {
+  let checked = 0;
+
+  for await (const invoice of stripe.invoices.list({ created: { gte: since }, status: 'paid', limit: 100 })) {
+    if (++checked > MAX_OBJECTS) break;
+
+    const subscriptionId = getInvoiceSubscriptionId(invoice);
+    if (!subscriptionId || invoice.amount_paid === 0) continue;
+
+    const subscription = await Subscription.findOne({ stripeSubscriptionId: subscriptionId }).select('paymentHistory');
+    if (!subscription) {
+      report({
+        type: 'invoice_without_order',
+        stripeId: invoice.id,
+        message: `Paid invoice for subscription ${subscriptionId}, which has no subscription record`,
+        action: 'Check the subscription in Stripe'
+      });
+      continue;
+    }
+
+    if (subscription.paymentHistory.some(entry => entry.stripeInvoiceId === invoice.id)) continue;
+
+    const failedEvent = await StripeEvent.findOne({
+      type: 'invoice.payment_succeeded',
+      'payload.data.object.id': invoice.id,
+      status: 'failed'
+    }).select('eventId');
+
+    report({
+      type: 'invoice_not_recorded',
+      stripeId: invoice.id,
+      subscription: subscription._id,
+      message: `Paid invoice ${invoice.number || invoice.id} is missing from the payment history`,
+      action: failedEvent
+        ? `Replay webhook event ${failedEvent.eventId}`
+        : 'Resend the invoice.payment_succeeded event from the Stripe dashboard'
+    });
+  }
+
+  return Math.min(checked, MAX_OBJECTS);
+};
+
+// Bring subscription status and billing date in line with Stripe, which is
+// where dashboard changes happen
+const reconcileSubscriptions = async (since, report) => {
+  let checked = 0;
+
+  const subscriptions = await Subscription.find({
+    stripeSubscriptionId: { $ne: null },
+    subscriptionStatus: { $in: ['active', 'paused', 'payment_failed'] }
+  }).limit(MAX_OBJECTS);
+
+  for (const local of subscriptions) {
+    checked++;
+    const subscriptionId = local.stripeSubscriptionId;
+
+    let subscription;
+    try {
+      subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    } catch (error) {
+      if (error.code !== 'resource_missing') throw error;
+      report({
+        type: 'subscription_missing',
+        stripeId: subscriptionId,
+        subscription: local._id,
+        message: 'Subscription does not exist in Stripe',
+        action: 'Cancel the subscription'
+      });
+      continue;
+    }
+
+    const changes = [];
+    const expectedStatus = getExpectedSubscriptionStatus(subscription, local);
+    if (expectedStatus && expectedStatus !== local.subscriptionStatus) {
+      changes.push(`status ${local.subscriptionStatus} -> ${expectedStatus}`);
+      local.subscriptionStatus = expectedStatus;
+    }
+
+    // A missed invoice.payment_failed webhook means nobody is chasing the open invoice
+    if (expectedStatus === 'payment_failed' && local.dunning?.status !== 'active' && subscription.latest_invoice) {
+      const invoice = await stripe.invoices.retrieve(subscription.latest_invoice.id || subscription.latest_invoice);
+      if (invoice.status === 'open') {
+        startDunning(local, invoice);
+        changes.push('dunning started');
+      }
+    }
+
+    // Stripe periods keep running through a hold, while our billing date is already past it.
+    // A continued gift trials in Stripe until paid billing starts; its prepaid deliveries
+    // still follow our own billing date.
+    const periodEnd = getPeriodEnd(subscription);
+    const onHold = local.deliveryHold?.status === 'active';
+    const deliveringPrepaid = subscription.status === 'trialing' ||
+      (local.prepaidCycles > 0 && local.getDeliveredCycleCount() < local.prepaidCycles);
+    if (expectedStatus === 'active' && periodEnd && !onHold && !deliveringPrepaid) {
+      const nextBillingDate = new Date(periodEnd * 1000);
+      if (local.nextBillingDate?.getTime() !== nextBillingDate.getTime()) {
+        changes.push(`next billing date -> ${nextBillingDate.toISOString()}`);
+        local.nextBillingDate = nextBillingDate;
+      }
+    }
+
+    if (changes.length > 0) {
+      await local.save();
+      report({
+        type: 'subscription_status',
+        stripeId: subscriptionId,
+        subscription: local._id,
+        message: `Subscription was ${subscription.status}${subscription.pause_collection ? ' (paused)' : ''} in Stripe`,
+        fixed: true,
+        action: changes.join(', ')
+      });
+    }
+  }
+
+  // Subscriptions started in Stripe that were never recorded here
+  let listed = 0;
+  for await (const subscription of stripe.subscriptions.list({ created: { gte: since }, status: 'all', limit: 100 })) {
+    if (++listed > MAX_OBJECTS) break;
+    if (['incomplete', 'incomplete_expired'].includes(subscription.status)) continue;
+
+    const isRecorded = await Subscription.exists({ stripeSubscriptionId: subscription.id });
+    if (!isRecorded) {
+      report({
+        type: 'subscription_without_order',
+        stripeId: subscription.id,
+        message: `Subscription for customer ${subscription.customer} has no subscription record`,
+        action: 'Create the subscription or cancel it in Stripe'
+      });
+    }
+  }
+
+  return checked + Math.min(listed, MAX_OBJECTS);
+};
+
+// Run a full reconciliation and store the report
+const runReconciliation = async ({ trigger = 'cron', triggeredBy = null, lookbackHours = LOOKBACK_HOURS } = {}) => {
+  const windowEnd = new Date();
+  const windowStart = new Date(windowEnd.getTime() - lookbackHours * 60 * 60 * 1000);
+  const since = Math.floor(windowStart.getTime() / 1000);
+
+  const report = await ReconciliationReport.create({ trigger, triggeredBy, windowStart, windowEnd });
+  const discrepancies = [];
+  const addDiscrepancy = (entry) => discrepancies.push(entry);
+
+  console.log(`🔄 Running Stripe reconciliation since ${windowStart.toISOString()}...`);
+
+  try {
+    report.checked.paymentIntents = await reconcilePaymentIntents(since, addDiscrepancy);
+    report.checked.invoices = await reconcileInvoices(since, addDiscrepancy);
+    report.checked.subscriptions = await reconcileSubscriptions(since, addDiscrepancy);
+    report.status = 'completed';
+  } catch (error) {
+    console.error('❌ Stripe reconciliation failed:', error);
+    report.status = 'failed';
+    report.error = error.message;
+  }
+
+  const fixed = discrepancies.filter(entry => entry.fixed).length;
+  report.discrepancies = discrepancies;
+  report.summary = { total: discrepancies.length, fixed, open: discrepancies.length - fixed };
+  report.finishedAt = new Date();
+  await report.save();
+
+  console.log(`📊 Stripe reconciliation ${report.status}: ${discrepancies.length} discrepancies, ${fixed} fixed`);
+  return report;
+};
+
+// Schedule reconciliation - run every 6 hours
+const initializeReconciliationCron = () => {
+  cron.schedule('30 */6 * * *', async () => {
+    try {
+      await runReconciliation();
+    } catch (error) {
+      console.error('❌ Scheduled Stripe reconciliation failed:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  console.log('✅ Stripe reconciliation scheduled every 6 hours');
+};
+
+module.exports = {
+  runReconciliation,
+  initializeReconciliationCron
+};
@@ -0,0 +1,275 @@
+const Order = require('../Models/Order');
+const Subscription = require('../Models/Subscription');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 365.25 / 12;
+// Longest range the report covers, in months
+const MAX_RANGE_MONTHS = 60;
+
+// Deliveries per month for each recurrence, used to normalise prices to MRR
+const CYCLES_PER_MONTH = {
+  weekly: 52 / 12,
+  biweekly: 26 / 12,
+  monthly: 1,
+  quarterly: 1 / 3
+};
+// Statuses that still bring in recurring revenue
+const BILLING_STATUSES = ['active', 'payment_failed'];
+const ENDED_STATUSES = ['cancelled', 'expired'];
+
+const round = (value) => Math.round(value * 100) / 100;
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100) : 0);
+
+const startOfMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+const addMonths = (date, months) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+// Resolve the report range to whole UTC months. Defaults to the last 12 months.
+const getReportRange = ({ from, to } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : addMonths(startOfMonth(end), -11);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (start > end) {
+    return { error: 'from must be before to' };
+  }
+
+  const months = [];
+  for (let month = startOfMonth(start); month <= end; month = addMonths(month, 1)) {
+    months.push(month);
+  }
+  if (months.length > MAX_RANGE_MONTHS) {
+    return { error: `The range cannot cover more than ${MAX_RANGE_MONTHS} months` };
+  }
+
+  return { from: months[0], to: end, months };
+};
+
+// Subscriptions started by the end of the range, with the refunds made on
+// their delivery orders
+const loadSubscriptions = async (to) => {
+  const subscriptions = await Subscription.find({ createdAt: { $lte: to } })
+    .select('createdAt updatedAt cancelledAt subscriptionStatus subscriptionStatusHistory subscriptionPrice recurrence billingCycle planChanges paymentHistory prepaidCycles stripeSubscriptionId')
+    .lean();
+
+  const refunds = await Order.aggregate([
+    { $match: { subscription: { $ne: null }, 'paymentHistory.status': 'refunded' } },
+    { $unwind: '$paymentHistory' },
+    { $match: { 'paymentHistory.status': 'refunded' } },
+    { $group: { _id: '$subscription', amount: { $sum: '$paymentHistory.amount' } } }
+  ]);
+  const refundedBySubscription = new Map(refunds.map(entry => [entry._id.toString(), entry.amount]));
+
+  return subscriptions.map(subscription => ({
+    ...subscription,
+    refundedAmount: refundedBySubscription.get(subscription._id.toString()) || 0
+  }));
+};
+
+// Status changes oldest first. Subscriptions created before the history was
+// recorded start active and end (if they did) at their last update.
+const getTimeline = (subscription) => {
+  const history = (subscription.subscriptionStatusHistory || [])
+    .filter(entry => entry.status && entry.changedAt)
+    .sort((a, b) => a.changedAt - b.changedAt);
+  if (history.length > 0) return history;
+
+  const timeline = [{ status: 'active', changedAt: subscription.createdAt }];
+  if (subscription.subscriptionStatus && subscription.subscriptionStatus !== 'active') {
+    timeline.push({
+      status: subscription.subscriptionStatus,
+      changedAt: subscription.cancelledAt || subscription.updatedAt || subscription.createdAt
+    });
+  }
+  return timeline;
+};
+
+// Status in effect at a date, or null before the subscription started
+const getStatusAt = (subscription, date) => {
+  let status = null;
+  for (const entry of subscription.timeline) {
+    if (entry.changedAt > date) break;
+    status = entry.status;
+  }
+  return status;
+};
+
+const isLive = (status) => Boolean(status) && !ENDED_STATUSES.includes(status);
+
+// Per-delivery price at a date, following plan changes
+const getPriceAt = (subscription, date) => {
+  const changes = subscription.planChanges || [];
+  if (changes.length === 0) return subscription.subscriptionPrice || 0;
+
+  let price = changes[0].fromPrice ?? subscription.subscriptionPrice;
+  for (const change of changes) {
+    if (change.changedAt > date) break;
+    price = change.toPrice ?? price;
+  }
+  return price || 0;
+};
+
+const getMrrAt = (subscription, date) => {
+  // Gifts that were never continued are prepaid, not recurring revenue
+  if (subscription.prepaidCycles > 0 && !subscription.stripeSubscriptionId) return 0;
+  if (!BILLING_STATUSES.includes(getStatusAt(subscription, date))) return 0;
+
+  const cyclesPerMonth = CYCLES_PER_MONTH[subscription.recurrence] || 1;
+  return (getPriceAt(subscription, date) * cyclesPerMonth) / (subscription.billingCycle || 1);
+};
+
+const getEndedAt = (subscription) => {
+  const last = subscription.timeline[subscription.timeline.length - 1];
+  return ENDED_STATUSES.includes(last.status) ? last.changedAt : null;
+};
+
+// Collected revenue net of refunds
+const getNetRevenue = (subscription) => (subscription.paymentHistory || []).reduce((total, payment) => {
+  if (payment.status === 'succeeded') return total + payment.amount;
+  if (payment.status === 'refunded') return total - payment.amount;
+  return total;
+}, 0) - subscription.refundedAmount;
+
+// MRR movements, churn and pauses for one month
+const getMonthMetrics = (subscriptions, monthStart, monthEnd) => {
+  const movement = { newMrr: 0, expansionMrr: 0, reactivationMrr: 0, contractionMrr: 0, churnedMrr: 0, pausedMrr: 0 };
+  let startMrr = 0;
+  let endMrr = 0;
+  let liveAtStart = 0;
+  let churned = 0;
+  let paused = 0;
+  let signups = 0;
+
+  // Compare the state just before the month with the state at its last moment
+  const startAt = new Date(monthStart.getTime() - 1);
+  const endAt = new Date(monthEnd.getTime() - 1);
+
+  for (const subscription of subscriptions) {
+    const before = getMrrAt(subscription, startAt);
+    const after = getMrrAt(subscription, endAt);
+    const statusAtStart = getStatusAt(subscription, startAt);
+    const statusAtEnd = getStatusAt(subscription, endAt);
+    startMrr += before;
+    endMrr += after;
+
+    const startedInMonth = subscription.createdAt >= monthStart && subscription.createdAt < monthEnd;
+    if (startedInMonth) signups++;
+
+    if (before === 0 && after > 0) {
+      movement[startedInMonth ? 'newMrr' : 'reactivationMrr'] += after;
+    } else if (before > 0 && after === 0) {
+      movement[isLive(statusAtEnd) ? 'pausedMrr' : 'churnedMrr'] += before;
+    } else if (after > before) {
+      movement.expansionMrr += after - before;
+    } else if (after < before) {
+      movement.contractionMrr += before - after;
+    }
+
+    if (!isLive(statusAtStart)) continue;
+    liveAtStart++;
+    if (!isLive(statusAtEnd)) churned++;
+    const pausedInMonth = subscription.timeline.some(entry =>
+      entry.status === 'paused' && entry.changedAt >= monthStart && entry.changedAt < monthEnd
+    );
+    if (pausedInMonth) paused++;
+  }
+
+  const netNewMrr = movement.newMrr + movement.expansionMrr + movement.reactivationMrr
+    - movement.contractionMrr - movement.churnedMrr - movement.pausedMrr;
+
+  return {
+    month: monthKey(monthStart),
+    startMrr: round(startMrr),
+    endMrr: round(endMrr),
+    ...Object.fromEntries(Object.entries(movement).map(([key, value]) => [key, round(value)])),
+    netNewMrr: round(netNewMrr),
+    signups,
+    subscribersAtStart: liveAtStart,
+    churned,
+    churnRate: percent(churned, liveAtStart),
+    revenueChurnRate: percent(movement.churnedMrr + movement.contractionMrr, startMrr),
+    paused,
+    pauseRate: percent(paused, liveAtStart)
+  };
+};
+
+// Signup cohorts with the share of each still subscribed N months later
+const getCohorts = (subscriptions, months, to) => months.map((cohortStart, index) => {
+  const cohortEnd = addMonths(cohortStart, 1);
+  const members = subscriptions.filter(subscription =>
+    subscription.createdAt >= cohortStart && subscription.createdAt < cohortEnd
+  );
+
+  const retention = months.slice(index).map((monthStart, offset) => {
+    const checkAt = new Date(Math.min(addMonths(monthStart, 1).getTime() - 1, to.getTime()));
+    const retained = members.filter(subscription => isLive(getStatusAt(subscription, checkAt))).length;
+    return { monthOffset: offset, retained, retentionRate: percent(retained, members.length) };
+  });
+
+  return { cohort: monthKey(cohortStart), subscribers: members.length, retention };
+});
+
+// MRR, net new MRR, churn, pause rate, lifetime, LTV and signup cohort
+// retention for a range from getReportRange
+const getSubscriptionMetrics = async (range) => {
+  const subscriptions = (await loadSubscriptions(range.to)).map(subscription => ({
+    ...subscription,
+    timeline: getTimeline(subscription)
+  }));
+
+  const monthly = range.months.map(monthStart => {
+    const monthEnd = new Date(Math.min(addMonths(monthStart, 1).getTime(), range.to.getTime()));
+    return getMonthMetrics(subscriptions, monthStart, monthEnd);
+  });
+
+  // Point-in-time figures at the end of the range
+  const mrr = subscriptions.reduce((total, subscription) => total + getMrrAt(subscription, range.to), 0);
+  const payingSubscribers = subscriptions.filter(subscription => getMrrAt(subscription, range.to) > 0).length;
+  const arpu = payingSubscribers > 0 ? mrr / payingSubscribers : 0;
+
+  // Rates across the range, weighted by the subscribers at each month start
+  const subscriberMonths = monthly.reduce((total, month) => total + month.subscribersAtStart, 0);
+  const churned = monthly.reduce((total, month) => total + month.churned, 0);
+  const paused = monthly.reduce((total, month) => total + month.paused, 0);
+  const churnRate = percent(churned, subscriberMonths);
+
+  // Lifetime and realised LTV of subscriptions that ended in the range
+  const ended = subscriptions.filter(subscription => {
+    const endedAt = getEndedAt(subscription);
+    return endedAt && endedAt >= range.from && endedAt <= range.to;
+  });
+  const lifetimeDays = ended.map(subscription => (getEndedAt(subscription) - subscription.createdAt) / DAY_MS);
+  const averageLifetimeDays = lifetimeDays.length > 0
+    ? lifetimeDays.reduce((total, days) => total + days, 0) / lifetimeDays.length
+    : 0;
+  const realisedLtv = ended.length > 0
+    ? ended.reduce((total, subscription) => total + getNetRevenue(subscription), 0) / ended.length
+    : 0;
+
+  return {
+    range: { from: range.from, to: range.to },
+    summary: {
+      mrr: round(mrr),
+      payingSubscribers,
+      arpu: round(arpu),
+      netNewMrr: round(monthly.reduce((total, month) => total + month.netNewMrr, 0)),
+      churnRate,
+      pauseRate: percent(paused, subscriberMonths),
+      averageLifetimeDays: round(averageLifetimeDays),
+      averageLifetimeMonths: round(averageLifetimeDays / DAYS_PER_MONTH),
+      endedSubscriptions: ended.length,
+      // Expected revenue per subscriber at the current ARPU and monthly churn
+      predictedLtv: churnRate > 0 ? round(arpu / (churnRate / 100)) : null,
+      realisedLtv: round(realisedLtv)
+    },
+    monthly,
+    cohorts: getCohorts(subscriptions, range.months, range.to)
+  };
+};
+
+module.exports = {
+  getReportRange,
+  getSubscriptionMetrics
+};
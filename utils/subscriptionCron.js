@@ -1,79 +1,56 @@
 const cron = require('node-cron');
-const api = require('../index');
-const Order = require('../Models/Order');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Subscription = require('../Models/Subscription');
+const { startDunning } = require('./dunning');
 
-// Function to process recurring billing
+// Stripe bills subscriptions and the invoice.payment_succeeded webhook creates
+// each cycle's delivery order. This job only brings local subscription statuses
+// back in line with Stripe when a webhook was missed.
 const processRecurringBilling = async () => {
   try {
-    console.log('🔄 Processing recurring billing for subscriptions...');
-    
-    // Try to get active subscriptions with fallback
-    let activeSubscriptions;
-    try {
-      activeSubscriptions = await Order.getActiveSubscriptions();
-    } catch (error) {
-      console.error('Error calling getActiveSubscriptions:', error);
-      // Fallback: manually query for active subscriptions
-      activeSubscriptions = await Order.find({ 
-        isSubscription: true, 
-        subscriptionStatus: 'active' 
-      }).populate('user', 'name email').sort({ nextBillingDate: 1 });
-    }
-    
+    console.log('🔄 Checking Stripe subscription statuses...');
+
+    const activeSubscriptions = await Subscription.find({
+      subscriptionStatus: 'active',
+      stripeSubscriptionId: { $ne: null }
+    });
+
     const processedSubscriptions = [];
     const failedSubscriptions = [];
 
     for (const subscription of activeSubscriptions) {
       try {
-        const shouldProcess = subscription.processNextBillingCycle();
-        
-        if (shouldProcess) {
-          // Create a new order for the next billing cycle
-          const newOrderData = {
-            orderItems: subscription.orderItems,
-            user: subscription.user._id,
-            shippingAddress: subscription.shippingAddress,
-            paymentMethod: subscription.paymentMethod,
-            itemsPrice: subscription.itemsPrice,
-            taxPrice: subscription.taxPrice,
-            shippingPrice: subscription.shippingPrice,
-            totalPrice: subscription.subscriptionPrice,
-            isSubscription: true,
-            subscriptionType: subscription.subscriptionType,
-            subscriptionName: subscription.subscriptionName,
-            subscriptionPrice: subscription.subscriptionPrice,
-            maxProducts: subscription.maxProducts,
-            recurrence: subscription.recurrence,
-            recurrenceLabel: subscription.recurrenceLabel,
-            selectedProducts: subscription.selectedProducts,
-            billingCycle: subscription.billingCycle,
-            totalBillingCycles: subscription.totalBillingCycles,
-            currentBillingCycle: subscription.currentBillingCycle,
-            status: 'Payment_Confirmed',
-            isPaid: true,
-            paidAt: new Date(),
-            statusHistory: [{
-              status: 'Payment_Confirmed',
-              timestamp: new Date(),
-              note: `Recurring billing for subscription cycle ${subscription.currentBillingCycle}`,
-              updatedBy: subscription.user._id
-            }]
-          };
+        const stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripeSubscriptionId, {
+          expand: ['latest_invoice']
+        });
 
-          const newOrder = await Order.create(newOrderData);
-          await subscription.save(); // Save the updated subscription with new billing date
-          
+        // Update local subscription status based on Stripe status
+        let updated = false;
+        if (stripeSubscription.status === 'canceled') {
+          subscription.subscriptionStatus = 'cancelled';
+          subscription.cancelledAt = subscription.cancelledAt || new Date();
+          updated = true;
+        } else if (stripeSubscription.status === 'past_due') {
+          // The invoice.payment_failed webhook was missed - start chasing the open invoice
+          const invoice = stripeSubscription.latest_invoice;
+          if (invoice && typeof invoice === 'object' && invoice.status === 'open') {
+            startDunning(subscription, invoice);
+          } else {
+            subscription.subscriptionStatus = 'payment_failed';
+          }
+          updated = true;
+        }
+
+        if (updated) {
+          await subscription.save();
           processedSubscriptions.push({
             subscriptionId: subscription._id,
-            newOrderId: newOrder._id,
-            billingCycle: subscription.currentBillingCycle,
-            userEmail: subscription.user.email
+            stripeStatus: stripeSubscription.status,
+            action: 'updated_status'
           });
-
-          console.log(`✅ Processed billing for subscription ${subscription._id}, new order: ${newOrder._id}`);
         }
       } catch (error) {
-        console.error(`❌ Error processing subscription ${subscription._id}:`, error);
+        console.error(`❌ Error checking subscription ${subscription._id}:`, error);
         failedSubscriptions.push({
           subscriptionId: subscription._id,
           error: error.message
@@ -81,8 +58,8 @@ const processRecurringBilling = async () => {
       }
     }
 
-    console.log(`📊 Recurring billing summary:`);
-    console.log(`   - Processed: ${processedSubscriptions.length}`);
+    console.log(`📊 Subscription status check summary:`);
+    console.log(`   - Updated: ${processedSubscriptions.length}`);
     console.log(`   - Failed: ${failedSubscriptions.length}`);
     console.log(`   - Total active subscriptions: ${activeSubscriptions.length}`);
 
@@ -94,40 +71,40 @@ const processRecurringBilling = async () => {
     };
 
   } catch (error) {
-    console.error('❌ Error in recurring billing process:', error);
+    console.error('❌ Error in subscription status check:', error);
     throw error;
   }
 };
 
-// Schedule recurring billing - run daily at 2 AM
+// Schedule the status check - run daily at 2 AM
 const scheduleRecurringBilling = () => {
-  console.log('⏰ Scheduling recurring billing cron job...');
-  
+  console.log('⏰ Scheduling subscription status cron job...');
+
   cron.schedule('0 2 * * *', async () => {
-    console.log('🕐 Running scheduled recurring billing...');
+    console.log('🕐 Running scheduled subscription status check...');
     try {
       await processRecurringBilling();
-      console.log('✅ Scheduled recurring billing completed successfully');
+      console.log('✅ Scheduled subscription status check completed successfully');
     } catch (error) {
-      console.error('❌ Scheduled recurring billing failed:', error);
+      console.error('❌ Scheduled subscription status check failed:', error);
     }
   }, {
     scheduled: true,
     timezone: "UTC"
   });
 
-  console.log('✅ Recurring billing scheduled for daily at 2:00 AM UTC');
+  console.log('✅ Subscription status check scheduled for daily at 2:00 AM UTC');
 };
 
 // Manual trigger for testing
 const triggerRecurringBilling = async () => {
-  console.log('🔧 Manually triggering recurring billing...');
+  console.log('🔧 Manually triggering subscription status check...');
   try {
     const result = await processRecurringBilling();
-    console.log('✅ Manual recurring billing completed:', result);
+    console.log('✅ Manual subscription status check completed:', result);
     return result;
   } catch (error) {
-    console.error('❌ Manual recurring billing failed:', error);
+    console.error('❌ Manual subscription status check failed:', error);
     throw error;
   }
 };
@@ -142,4 +119,4 @@ module.exports = {
   scheduleRecurringBilling,
   triggerRecurringBilling,
   initializeSubscriptionCron
-}; 
\ No newline at end of file
+};
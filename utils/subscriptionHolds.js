@@ -0,0 +1,236 @@
+const cron = require('node-cron');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Subscription = require('../Models/Subscription');
+
+// Longest vacation hold a customer can book
+const MAX_HOLD_DAYS = parseInt(process.env.SUBSCRIPTION_MAX_HOLD_DAYS) || 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+
+const toUnixTime = (date) => Math.floor(date.getTime() / 1000);
+
+// Window that skips just the next delivery. Collection resumes halfway to the
+// following billing date so only one invoice falls inside it.
+const getSkipWindow = (subscription) => {
+  const skippedDate = subscription.nextBillingDate;
+  const followingDate = subscription.getBillingDateAfter(skippedDate);
+
+  return {
+    startsAt: skippedDate,
+    resumesAt: new Date(skippedDate.getTime() + (followingDate.getTime() - skippedDate.getTime()) / 2)
+  };
+};
+
+// Check a vacation hold request. Returns { error } or { startsAt, resumesAt }.
+const validateHoldDates = (startDate, endDate) => {
+  const startsAt = new Date(startDate);
+  const resumesAt = new Date(endDate);
+
+  if (isNaN(startsAt.getTime()) || isNaN(resumesAt.getTime())) {
+    return { error: 'Valid start and end dates are required' };
+  }
+  if (resumesAt <= startsAt) {
+    return { error: 'The hold must end after it starts' };
+  }
+  if (resumesAt <= new Date()) {
+    return { error: 'The hold must end in the future' };
+  }
+  if (resumesAt - startsAt > MAX_HOLD_DAYS * DAY_MS) {
+    return { error: `Holds can last at most ${MAX_HOLD_DAYS} days` };
+  }
+
+  return { startsAt, resumesAt };
+};
+
+// Put the hold into effect: Stripe voids every invoice until resumesAt and the
+// billing cycles falling inside it are recorded as skipped. Fixed-term
+// subscriptions are extended so skipped deliveries aren't lost. Safe to call
+// only once nothing is left to bill before the hold starts.
+const applyHold = async (subscription) => {
+  const hold = subscription.deliveryHold;
+  const previousBillingDate = subscription.nextBillingDate;
+
+  if (subscription.stripeSubscriptionId) {
+    const update = {
+      pause_collection: {
+        behavior: 'void',
+        resumes_at: toUnixTime(hold.resumesAt)
+      }
+    };
+
+    if (subscription.totalBillingCycles) {
+      const stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripeSubscriptionId);
+      if (stripeSubscription.cancel_at) {
+        update.cancel_at = stripeSubscription.cancel_at;
+      }
+    }
+
+    // Count the skipped cycles first so the term can be extended in the same call
+    hold.appliedAt = new Date();
+    recordSkippedCycles(subscription);
+    if (update.cancel_at && previousBillingDate) {
+      update.cancel_at += Math.round((subscription.nextBillingDate - previousBillingDate) / 1000);
+    }
+
+    await stripe.subscriptions.update(subscription.stripeSubscriptionId, update);
+  } else {
+    hold.appliedAt = new Date();
+    recordSkippedCycles(subscription);
+  }
+
+  hold.status = 'active';
+  await subscription.save();
+
+  console.log(`${hold.type === 'skip' ? 'Skip' : 'Vacation hold'} applied to subscription ${subscription._id} until ${hold.resumesAt.toISOString()}`);
+  return subscription;
+};
+
+// Move the subscription past every billing date inside the hold
+const recordSkippedCycles = (subscription) => {
+  const hold = subscription.deliveryHold;
+
+  while (subscription.nextBillingDate && subscription.nextBillingDate < hold.resumesAt) {
+    subscription.skippedCycles.push({
+      billingCycle: subscription.currentBillingCycle + 1,
+      billingDate: subscription.nextBillingDate,
+      reason: hold.type
+    });
+    subscription.updateNextBillingDate();
+  }
+
+  // Selections for skipped deliveries are no longer needed
+  subscription.cycleSelections = subscription.cycleSelections.filter(entry =>
+    entry.billingCycle > subscription.currentBillingCycle
+  );
+};
+
+// Book a skip or vacation hold, applying it straight away when no invoice is
+// due before it starts
+const scheduleHold = async (subscription, { type, startsAt, resumesAt, reason, createdBy }) => {
+  subscription.deliveryHold = {
+    type,
+    startsAt,
+    resumesAt,
+    reason,
+    status: 'scheduled',
+    createdBy
+  };
+
+  if (!subscription.nextBillingDate || subscription.nextBillingDate >= startsAt) {
+    return applyHold(subscription);
+  }
+
+  await subscription.save();
+  console.log(`Vacation hold scheduled for subscription ${subscription._id} from ${startsAt.toISOString()}`);
+  return subscription;
+};
+
+// Call off a hold. Cycles the hold skipped that haven't come round yet are
+// given back and Stripe collection is resumed.
+const cancelHold = async (subscription) => {
+  const hold = subscription.deliveryHold;
+
+  if (hold.status === 'active') {
+    const now = new Date();
+    const restored = subscription.skippedCycles.filter(entry =>
+      entry.reason === hold.type &&
+      entry.billingDate >= hold.startsAt && entry.billingDate < hold.resumesAt &&
+      entry.billingDate > now
+    );
+
+    if (restored.length > 0) {
+      const firstRestored = restored.reduce((first, entry) => entry.billingCycle < first.billingCycle ? entry : first);
+      const shortenedBy = subscription.nextBillingDate - firstRestored.billingDate;
+
+      subscription.skippedCycles = subscription.skippedCycles.filter(entry => !restored.includes(entry));
+      subscription.currentBillingCycle = firstRestored.billingCycle - 1;
+      subscription.nextBillingDate = firstRestored.billingDate;
+
+      if (subscription.stripeSubscriptionId) {
+        const update = { pause_collection: '' };
+        if (subscription.totalBillingCycles) {
+          const stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripeSubscriptionId);
+          if (stripeSubscription.cancel_at) {
+            update.cancel_at = stripeSubscription.cancel_at - Math.round(shortenedBy / 1000);
+          }
+        }
+        await stripe.subscriptions.update(subscription.stripeSubscriptionId, update);
+      }
+    } else if (subscription.stripeSubscriptionId) {
+      await stripe.subscriptions.update(subscription.stripeSubscriptionId, { pause_collection: '' });
+    }
+  }
+
+  hold.status = 'cancelled';
+  await subscription.save();
+
+  console.log(`Hold cancelled for subscription ${subscription._id}`);
+  return subscription;
+};
+
+// Apply scheduled holds once their last invoice before the hold has been
+// billed, and close holds whose end date has passed. Stripe resumes collection
+// by itself at resumes_at.
+const processSubscriptionHolds = async () => {
+  const now = new Date();
+  let applied = 0;
+  let completed = 0;
+
+  const scheduled = await Subscription.find({
+    subscriptionStatus: 'active',
+    'deliveryHold.status': 'scheduled'
+  }).limit(BATCH_SIZE);
+
+  for (const subscription of scheduled) {
+    if (subscription.nextBillingDate && subscription.nextBillingDate < subscription.deliveryHold.startsAt) {
+      continue;
+    }
+
+    try {
+      await applyHold(subscription);
+      applied++;
+    } catch (error) {
+      console.error(`Error applying hold to subscription ${subscription._id}:`, error.message);
+    }
+  }
+
+  const finished = await Subscription.updateMany(
+    {
+      'deliveryHold.status': 'active',
+      'deliveryHold.resumesAt': { $lte: now }
+    },
+    { $set: { 'deliveryHold.status': 'completed' } }
+  );
+  completed = finished.modifiedCount;
+
+  if (applied > 0 || completed > 0) {
+    console.log(`Subscription holds: ${applied} applied, ${completed} completed`);
+  }
+
+  return { applied, completed };
+};
+
+const initializeSubscriptionHoldCron = () => {
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await processSubscriptionHolds();
+    } catch (error) {
+      console.error('❌ Subscription hold processing failed:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  console.log('✅ Subscription hold processing scheduled');
+};
+
+module.exports = {
+  MAX_HOLD_DAYS,
+  getSkipWindow,
+  validateHoldDates,
+  scheduleHold,
+  cancelHold,
+  processSubscriptionHolds,
+  initializeSubscriptionHoldCron
+};
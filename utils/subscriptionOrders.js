@@ -0,0 +1,102 @@
+const Order = require('../Models/Order');
+const { reserveStock, restockItems } = require('./inventory');
+const { getCycleOrderItems, priceCycleItems } = require('./mealSelection');
+const { bookSubscriptionSlot, releaseSlotBooking } = require('./deliverySlots');
+const { sendOrderNotification } = require('./orderNotifications');
+
+// Create the delivery order for the subscription's next billing cycle and move
+// the subscription on to the following cycle and billing date. Saves both, so
+// the confirmation email can find the cycle's payment on the subscription.
+// Each cycle has one order: a replay after the subscription failed to save
+// moves the subscription on and returns the order already created.
+const createCycleOrder = async (subscription, { note } = {}) => {
+  const cycle = subscription.currentBillingCycle + 1;
+
+  const existingOrder = await Order.findOne({ subscription: subscription._id, subscriptionCycle: cycle });
+  if (existingOrder) return advanceSubscription(subscription, existingOrder);
+
+  // The box holds the customer's selection for this cycle
+  const { orderItems: selectedItems, errors: selectionErrors } = await getCycleOrderItems(subscription, cycle);
+  const { orderItems: cycleItems, itemsPrice, taxPrice, taxBreakdown } = priceCycleItems(subscription, selectedItems);
+
+  const newOrderData = {
+    orderItems: cycleItems,
+    user: subscription.user,
+    shippingAddress: subscription.shippingAddress,
+    paymentMethod: subscription.paymentMethod,
+    itemsPrice,
+    taxPrice,
+    taxBreakdown,
+    taxJurisdiction: subscription.taxJurisdiction,
+    shippingPrice: subscription.shippingPrice,
+    shippingMethod: subscription.shippingMethod,
+    tracking: {
+      courier: subscription.shippingMethod?.courier
+    },
+    totalPrice: subscription.subscriptionPrice,
+    isSubscription: true,
+    subscription: subscription._id,
+    subscriptionCycle: cycle,
+    status: 'Payment_Confirmed',
+    isPaid: true,
+    paidAt: new Date(),
+    paymentType: 'online',
+    statusHistory: [{
+      status: 'Payment_Confirmed',
+      timestamp: new Date(),
+      note: note || `Billing cycle ${cycle} processed`,
+      updatedBy: subscription.user
+    }]
+  };
+
+  // Each delivery takes stock; a shortfall must not block the paid cycle
+  const reservation = await reserveStock(cycleItems);
+  const adminNotes = selectionErrors.map(error => `Selection skipped: ${error.name || error.product} - ${error.message}`);
+  if (reservation.success) {
+    newOrderData.inventory = { status: 'committed', reservedAt: new Date(), committedAt: new Date() };
+  } else {
+    adminNotes.push(`Stock shortfall: ${reservation.outOfStock.map(item => item.message).join('; ')}`);
+    console.warn(`Stock shortfall for subscription ${subscription._id} cycle ${cycle}`);
+  }
+
+  // Delivery goes into the first open slot on the subscriber's preferred day
+  const booking = await bookSubscriptionSlot(subscription);
+  if (booking.deliverySlot) {
+    newOrderData.deliverySlot = booking.deliverySlot;
+    newOrderData.tracking.estimatedDeliveryDate = booking.deliverySlot.startsAt;
+  } else if (booking.error) {
+    adminNotes.push(`Delivery slot: ${booking.error}`);
+  }
+  if (adminNotes.length > 0) newOrderData.adminNotes = adminNotes.join('\n');
+
+  let newOrder;
+  try {
+    newOrder = await Order.create(newOrderData);
+  } catch (error) {
+    if (reservation.success) await restockItems(cycleItems);
+    await releaseSlotBooking(booking.deliverySlot);
+    if (error.code !== 11000) throw error;
+
+    // A concurrent run created this cycle's order first
+    const concurrentOrder = await Order.findOne({ subscription: subscription._id, subscriptionCycle: cycle });
+    if (!concurrentOrder) throw error;
+    return advanceSubscription(subscription, concurrentOrder);
+  }
+
+  await advanceSubscription(subscription, newOrder);
+
+  sendOrderNotification(newOrder, 'paid');
+  return newOrder;
+};
+
+// Move the subscription on to the next cycle and billing date
+const advanceSubscription = async (subscription, order) => {
+  subscription.updateNextBillingDate();
+  subscription.cycleSelections = subscription.cycleSelections.filter(entry => entry.billingCycle > subscription.currentBillingCycle);
+  await subscription.save();
+  return order;
+};
+
+module.exports = {
+  createCycleOrder
+};
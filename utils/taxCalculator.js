@@ -0,0 +1,43 @@
+const TaxRate = require('../Models/TaxRate');
+const { roundCurrency } = require('./orderPricing');
+
+// Compute tax per order line from the rate table for the shipping address.
+// Addresses without a configured rate are not taxed. lineDiscounts maps
+// product IDs to the coupon discount taken off that line.
+const calculateTax = async (orderItems, shippingAddress, lineDiscounts = {}) => {
+  const taxRate = await TaxRate.findForAddress(shippingAddress);
+
+  const taxBreakdown = orderItems.map(item => {
+    const discountAmount = lineDiscounts[item.product.toString()] || 0;
+    const taxableAmount = roundCurrency(Math.max(0, item.price * item.quantity - discountAmount));
+    const exempt = !taxRate || taxRate.exemptCategories.includes(item.category);
+    const rate = exempt ? 0 : taxRate.rate;
+
+    return {
+      product: item.product,
+      name: item.name,
+      category: item.category,
+      discountAmount,
+      taxableAmount,
+      rate,
+      taxAmount: roundCurrency(taxableAmount * rate / 100),
+      exempt
+    };
+  });
+
+  return {
+    taxPrice: roundCurrency(taxBreakdown.reduce((sum, line) => sum + line.taxAmount, 0)),
+    taxBreakdown,
+    taxJurisdiction: taxRate ? {
+      taxRate: taxRate._id,
+      name: taxRate.name,
+      country: taxRate.country,
+      postalCodePrefix: taxRate.postalCodePrefix,
+      rate: taxRate.rate
+    } : null
+  };
+};
+
+module.exports = {
+  calculateTax
+};